@@ -0,0 +1,125 @@
+// auth.js
+//
+// Why this file exists:
+// ---------------------
+// The shim had no auth: anyone on the Docker network could create bookmarks
+// or attach tags. With SHIM_API_KEYS (or SHIM_API_KEYS_FILE) set, every route
+// except /health needs a key, sent as `Authorization: Bearer <key>` or
+// `X-API-Key: <key>`. Each key has a label (for logs) and scopes:
+//   read   — read tools (get-*/search-*/list-*, see tools.js), specs, /feed
+//   write  — write tools (create-*, attach-*, ...)
+//   admin  — /admin/* endpoints
+// Scopes don't imply each other; a typical client key has ["read", "write"].
+//
+// A key may carry its own `karakeepToken`, forwarded upstream in
+// KARAKEEP_TOKEN_HEADER, so several KaraKeep users can share one shim.
+
+import { createHash, timingSafeEqual } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { SHIM_API_KEYS, SHIM_API_KEYS_FILE } from "./config.js";
+import { info, warn } from "./logger.js";
+import { sendError } from "./errors.js";
+
+export const SCOPES = ["read", "write", "admin"];
+
+// Reachable without a key (orchestrator probes)
+const PUBLIC_PATHS = new Set(["/health"]);
+
+function digest(key) {
+  return createHash("sha256").update(String(key)).digest();
+}
+
+/** Validate the configured key list; throws on anything ambiguous */
+function parseKeys(text, source) {
+  const list = JSON.parse(text);
+  if (!Array.isArray(list)) throw new Error(`${source}: expected a JSON array of keys`);
+  const labels = new Set();
+  return list.map((k, i) => {
+    if (!k || typeof k.key !== "string" || k.key.length === 0) throw new Error(`${source}[${i}]: missing "key"`);
+    const label = typeof k.label === "string" && k.label ? k.label : `key#${i}`;
+    if (labels.has(label)) throw new Error(`${source}[${i}]: duplicate label "${label}"`);
+    labels.add(label);
+    const scopes = Array.isArray(k.scopes) ? k.scopes : ["read"];
+    const unknown = scopes.filter((s) => !SCOPES.includes(s));
+    if (unknown.length) throw new Error(`${source}[${i}] (${label}): unknown scopes ${unknown.join(", ")}`);
+    return {
+      label,
+      digest: digest(k.key),
+      scopes: new Set(scopes),
+      karakeepToken: typeof k.karakeepToken === "string" && k.karakeepToken ? k.karakeepToken : null,
+    };
+  });
+}
+
+function loadKeys() {
+  const keys = [];
+  if (SHIM_API_KEYS) keys.push(...parseKeys(SHIM_API_KEYS, "SHIM_API_KEYS"));
+  if (SHIM_API_KEYS_FILE) keys.push(...parseKeys(readFileSync(SHIM_API_KEYS_FILE, "utf8"), SHIM_API_KEYS_FILE));
+  if (keys.length) info(`Auth: ${keys.length} API key(s) loaded; anonymous access disabled`);
+  return keys;
+}
+
+const keys = loadKeys();
+
+export function authEnabled() {
+  return keys.length > 0;
+}
+
+/** Constant-time lookup of a presented key */
+function findKey(presented) {
+  const d = digest(presented);
+  let match = null;
+  for (const k of keys) {
+    if (timingSafeEqual(k.digest, d)) match = k;
+  }
+  return match;
+}
+
+function presentedKey(req) {
+  const header = req.get("Authorization") || "";
+  const bearer = /^Bearer\s+(.+)$/i.exec(header);
+  if (bearer) return bearer[1].trim();
+  return req.get("X-API-Key") || null;
+}
+
+/** The caller as the rest of the shim sees it */
+function clientOf(k) {
+  return { label: k.label, scopes: k.scopes, karakeepToken: k.karakeepToken };
+}
+
+/**
+ * May this caller use `scope`? No client means auth is off (authenticate lets
+ * nothing else through) or the stdio MCP server, whose peer started us.
+ */
+export function hasScope(client, scope) {
+  if (!client) return true;
+  return client.scopes.has(scope);
+}
+
+/**
+ * Resolve the API key into `req.auth` (not `req.client`, which Node already
+ * uses for the socket). With auth enabled, requests without a valid key are
+ * rejected with 401 (except PUBLIC_PATHS).
+ */
+export function authenticate(req, res, next) {
+  if (!authEnabled()) return next();
+  const presented = presentedKey(req);
+  const k = presented ? findKey(presented) : null;
+  if (k) {
+    req.auth = clientOf(k);
+    return next();
+  }
+  if (PUBLIC_PATHS.has(req.path)) return next();
+  warn(`Auth: rejected ${req.method} ${req.path} from ${req.ip}: ${presented ? "unknown" : "missing"} API key`);
+  res.set("WWW-Authenticate", 'Bearer realm="karakeep-shim"');
+  return sendError(res, "unauthorized", presented ? "Invalid API key" : "API key required");
+}
+
+/** Route middleware: the authenticated key must have `scope` */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (hasScope(req.auth, scope)) return next();
+    warn(`Auth: rejected ${req.method} ${req.path} for key "${req.auth?.label}": needs "${scope}" scope`);
+    return sendError(res, "forbidden", `This API key lacks the "${scope}" scope`);
+  };
+}
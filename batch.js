@@ -0,0 +1,194 @@
+// batch.js
+//
+// Why this file exists:
+// ---------------------
+// Agents routinely call get-bookmark for each of the ten IDs a search
+// returned: ten round trips through the shim. Two ways to do it in one:
+//  - POST /batch { calls: [{ path, body }, ...] } runs calls against the
+//    upstream tool routes, BATCH_CONCURRENCY at a time, each through the same
+//    pipeline as its REST route (runTool: validation, cache, parser,
+//    transformer). Results come back in call order, each with its own
+//    `status` and either `result` or `error` (the errors.js envelope's
+//    `error`); the batch itself answers 200. Every call needs its own scope,
+//    and each costs a rate-limit token per upstream call it may make.
+//  - get-bookmarks { bookmarkIds } is a tool the shim implements itself on
+//    top of get-bookmark. spec.js publishes it next to the upstream tools, so
+//    OpenAPI and MCP clients see it like any other. local-search (mirror.js)
+//    is served the same way.
+
+import { BATCH_CONCURRENCY, BATCH_MAX_CALLS } from "./config.js";
+import { getCachedOpenAPI } from "./openapi.js";
+import { searchMirror } from "./mirror.js";
+import { runTool, toolCalls } from "./router.js";
+import { hasScope } from "./auth.js";
+import { chargeCalls, mapWithConcurrency } from "./limits.js";
+import { findToolPath, toolAccess } from "./tools.js";
+import { compileValidator, validateRequest } from "./validate.js";
+import { classifyException, errorBody, sendError, statusFor } from "./errors.js";
+import { err, warn } from "./logger.js";
+
+/* ------------------------------------------------------------------ */
+/* Running calls                                                       */
+/* ------------------------------------------------------------------ */
+
+/** The method an upstream tool route is registered with, or null */
+function routeMethod(path) {
+  const pathObj = getCachedOpenAPI()?.paths?.[path];
+  if (pathObj?.post) return "post";
+  if (pathObj?.get) return "get";
+  return null;
+}
+
+function failed(path, code, message, { requestId }) {
+  return { path, status: statusFor(code), error: errorBody(code, message, { requestId }).error };
+}
+
+/** One call; never throws */
+async function runCall({ path, body = {} }, { client, requestId }) {
+  const method = routeMethod(path);
+  if (!method) return failed(path, "not_found", `No tool route ${path}`, { requestId });
+
+  const scope = toolAccess(path);
+  if (!hasScope(client, scope)) {
+    warn(`Auth: rejected batch call ${path} for key "${client?.label}": needs "${scope}" scope`);
+    return failed(path, "forbidden", `This API key lacks the "${scope}" scope`, { requestId });
+  }
+
+  try {
+    const { status, payload } = await runTool(path, {
+      method,
+      body: method === "post" ? body : {},
+      query: method === "get" ? body : {},
+      client,
+      requestId,
+    });
+    return status >= 400 ? { path, status, error: payload.error } : { path, status, result: payload };
+  } catch (e) {
+    const code = classifyException(e);
+    if (code === "internal") err(`Batch call error on ${path}: ${e?.message || e}`, e);
+    const message =
+      code === "timeout"
+        ? `Upstream timeout on ${path}`
+        : code === "upstream_unavailable" || code === "rate_limited"
+          ? `${e?.message || "Upstream unavailable"} (${path})`
+          : `Shim failed on ${path}`;
+    return failed(path, code, message, { requestId });
+  }
+}
+
+/** Run calls with bounded concurrency; one result per call, in order */
+export function runBatch(calls, { client = null, requestId = null } = {}) {
+  return mapWithConcurrency(calls, BATCH_CONCURRENCY, (call) => runCall(call, { client, requestId }));
+}
+
+/* ------------------------------------------------------------------ */
+/* POST /batch                                                         */
+/* ------------------------------------------------------------------ */
+
+const validateBatch = compileValidator({
+  type: "object",
+  properties: {
+    calls: {
+      type: "array",
+      minItems: 1,
+      maxItems: BATCH_MAX_CALLS,
+      items: {
+        type: "object",
+        properties: {
+          path: { type: "string", minLength: 1 },
+          body: { type: "object", additionalProperties: true },
+        },
+        required: ["path"],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ["calls"],
+});
+
+export async function batchHandler(req, res) {
+  const check = validateBatch(req.body);
+  if (!check.ok) return sendError(res, "validation", "Request body failed validation", { details: check.errors });
+  const { calls } = check.value;
+
+  const upstreamCalls = calls.reduce((n, call) => n + toolCalls(call.path, call.body), 0);
+  if (!chargeCalls(req, res, upstreamCalls)) return;
+
+  const results = await runBatch(calls, { client: req.auth, requestId: req.id });
+  const ok = results.filter((r) => r.status < 400).length;
+  res.set("Cache-Control", "no-store");
+  res.json({ results, stats: { calls: results.length, ok, failed: results.length - ok } });
+}
+
+/* ------------------------------------------------------------------ */
+/* Shim-native tools                                                   */
+/* ------------------------------------------------------------------ */
+
+/** get-bookmarks: get-bookmark for each ID; found bookmarks in `items`, failures in `errors` */
+async function runGetBookmarks(body, { client, requestId }) {
+  const path = findToolPath(getCachedOpenAPI()?.paths, "get-bookmark");
+  if (!path) {
+    return { status: 404, payload: errorBody("not_found", "No get-bookmark tool upstream", { requestId }) };
+  }
+  const ids = [...new Set(body.bookmarkIds)];
+  const results = await runBatch(
+    ids.map((bookmarkId) => ({ path, body: { bookmarkId } })),
+    { client, requestId }
+  );
+  const items = [];
+  const errors = [];
+  results.forEach((r, i) => {
+    if (r.error) errors.push({ bookmarkId: ids[i], status: r.status, error: r.error });
+    else items.push(r.result);
+  });
+  return { status: 200, payload: { items, errors } };
+}
+
+// path -> { run, calls(body): upstream calls it makes, for rate limiting }
+const NATIVE_TOOLS = {
+  "/get-bookmarks": {
+    run: runGetBookmarks,
+    calls: (body) => (Array.isArray(body?.bookmarkIds) ? new Set(body.bookmarkIds).size : 1),
+  },
+  // Served from the local mirror (mirror.js); no upstream call
+  "/local-search": {
+    run: (body, { requestId }) => searchMirror(body, { requestId }),
+    calls: () => 1,
+  },
+};
+
+/** Upstream calls a native tool call makes, for rate limiting */
+export function nativeToolCalls(path, body) {
+  return NATIVE_TOOLS[path].calls(body);
+}
+
+/** Is `path` a tool the shim implements itself (and upstream doesn't)? */
+export function isNativePath(path) {
+  return path in NATIVE_TOOLS && !getCachedOpenAPI()?.paths?.[path];
+}
+
+/** Run a shim-native tool; same contract as runTool */
+export async function runNativeTool(path, { body = {}, client = null, requestId = null } = {}) {
+  const check = validateRequest(path, "post", body);
+  if (!check.ok) {
+    return {
+      status: statusFor("validation"),
+      payload: errorBody("validation", "Request body failed validation", { requestId, details: check.errors }),
+    };
+  }
+  return NATIVE_TOOLS[path].run(check.value, { client, requestId });
+}
+
+/** Express handler for the native tools; defers to upstream when it has the same route */
+export async function nativeToolHandler(req, res, next) {
+  if (!isNativePath(req.path)) return next();
+  if (!chargeCalls(req, res, nativeToolCalls(req.path, req.body))) return;
+  try {
+    const { status, payload } = await runNativeTool(req.path, { body: req.body, client: req.auth, requestId: req.id });
+    res.set("Cache-Control", "no-store");
+    res.status(status).json(payload);
+  } catch (e) {
+    err(`Native tool error on ${req.path}: ${e?.message || e}`, e);
+    sendError(res, classifyException(e), `Shim failed on ${req.path}`);
+  }
+}
@@ -0,0 +1,161 @@
+// bm25.js
+//
+// Why this file exists:
+// ---------------------
+// The local mirror (mirror.js) answers searches without KaraKeep, so it needs
+// its own ranking. This is a small in-memory BM25 index:
+//  - documents are sets of named fields; each field has a weight, and a term's
+//    frequency counts once per occurrence times its field's weight (a title hit
+//    outweighs a content hit);
+//  - terms are lowercased, accent-folded runs of letters/digits, minus a short
+//    English stopword list; there is no stemming;
+//  - documents can be added, replaced and removed one at a time, so a sync
+//    only touches what changed;
+//  - snippet() picks the window of a text with the most query terms and marks
+//    them with **bold**, for Markdown clients.
+
+const STOPWORDS = new Set(
+  "a an and are as at be but by for from has have in is it its of on or that the this to was were will with".split(" ")
+);
+
+const TERM = /[\p{L}\p{N}]+/gu;
+
+/** Lowercase, accent-folded form of one word */
+function fold(word) {
+  return word.normalize("NFKD").replace(/\p{M}/gu, "").toLowerCase();
+}
+
+/** Index terms of `text`, in order (repeats kept) */
+export function tokenize(text) {
+  const terms = [];
+  for (const [word] of String(text ?? "").matchAll(TERM)) {
+    const t = fold(word);
+    if (!STOPWORDS.has(t)) terms.push(t);
+  }
+  return terms;
+}
+
+/**
+ * An empty index. `fields` maps field names to weights; fields not listed are
+ * not indexed. `k1` and `b` are the usual BM25 parameters.
+ */
+export function createIndex({ fields, k1 = 1.2, b = 0.75 }) {
+  const postings = new Map(); // term -> Map(id -> weighted term frequency)
+  const docTerms = new Map(); // id -> terms it has postings for (for removal)
+  const docLength = new Map(); // id -> weighted length
+  let totalLength = 0;
+
+  function remove(id) {
+    const terms = docTerms.get(id);
+    if (!terms) return false;
+    for (const term of terms) {
+      const list = postings.get(term);
+      list.delete(id);
+      if (list.size === 0) postings.delete(term);
+    }
+    totalLength -= docLength.get(id);
+    docTerms.delete(id);
+    docLength.delete(id);
+    return true;
+  }
+
+  /** Add `doc` under `id`, replacing any previous version */
+  function add(id, doc) {
+    remove(id);
+    const tf = new Map();
+    let length = 0;
+    for (const [field, weight] of Object.entries(fields)) {
+      const value = doc?.[field];
+      const text = Array.isArray(value) ? value.join(" ") : value;
+      for (const term of tokenize(text)) {
+        tf.set(term, (tf.get(term) || 0) + weight);
+        length += weight;
+      }
+    }
+    for (const [term, f] of tf) {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(id, f);
+    }
+    docTerms.set(id, [...tf.keys()]);
+    docLength.set(id, length);
+    totalLength += length;
+  }
+
+  /**
+   * Ids matching any query term, best first, as [{ id, score }]. `filter(id)`
+   * drops documents before ranking.
+   */
+  function search(query, { filter = null } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    const n = docLength.size;
+    const avgLength = n ? totalLength / n : 0;
+    const scores = new Map();
+    for (const term of terms) {
+      const list = postings.get(term);
+      if (!list) continue;
+      const idf = Math.log(1 + (n - list.size + 0.5) / (list.size + 0.5));
+      for (const [id, f] of list) {
+        if (filter && !filter(id)) continue;
+        const norm = k1 * (1 - b + (b * docLength.get(id)) / (avgLength || 1));
+        scores.set(id, (scores.get(id) || 0) + (idf * f * (k1 + 1)) / (f + norm));
+      }
+    }
+    return [...scores].map(([id, score]) => ({ id, score })).sort((x, y) => y.score - x.score);
+  }
+
+  return {
+    add,
+    remove,
+    search,
+    get size() {
+      return docLength.size;
+    },
+  };
+}
+
+/**
+ * The part of `text` (about `maxChars` long) with the most query terms, with
+ * each term **marked**, or null when none of them occur.
+ */
+export function snippet(text, query, { maxChars = 200 } = {}) {
+  const s = String(text ?? "");
+  const wanted = new Set(tokenize(query));
+  if (!s || wanted.size === 0) return null;
+
+  const hits = [];
+  for (const m of s.matchAll(TERM)) {
+    if (wanted.has(fold(m[0]))) hits.push({ start: m.index, end: m.index + m[0].length });
+  }
+  if (hits.length === 0) return null;
+
+  // The hit that starts the window covering the most hits
+  let best = 0;
+  let bestCount = 0;
+  for (let i = 0, j = 0; i < hits.length; i++) {
+    while (j < hits.length && hits[j].end - hits[i].start <= maxChars) j++;
+    if (j - i > bestCount) {
+      best = i;
+      bestCount = j - i;
+    }
+  }
+
+  // Centre the covered hits in the window, then widen to whole words
+  const covered = hits.slice(best, best + Math.max(1, bestCount));
+  const span = covered[covered.length - 1].end - covered[0].start;
+  let from = Math.max(0, covered[0].start - Math.floor(Math.max(0, maxChars - span) / 2));
+  let to = Math.min(s.length, from + maxChars);
+  from = Math.max(0, to - maxChars);
+  for (let n = 0; n < 30 && from > 0 && /\S/.test(s[from - 1]); n++) from--;
+  for (let n = 0; n < 30 && to < s.length && /\S/.test(s[to]); n++) to++;
+
+  let out = "";
+  let pos = from;
+  for (const h of hits) {
+    if (h.start < from || h.end > to) continue;
+    out += `${s.slice(pos, h.start)}**${s.slice(h.start, h.end)}**`;
+    pos = h.end;
+  }
+  out += s.slice(pos, to);
+  out = out.replace(/\s+/g, " ").trim();
+  return `${from > 0 ? "…" : ""}${out}${to < s.length ? "…" : ""}`;
+}
@@ -0,0 +1,169 @@
+// bookmark.js
+//
+// Why this file exists:
+// ---------------------
+// A bookmark reaches the shim in several spellings depending on the path it
+// took through the parser:
+//  - KV text from the KaraKeep MCP server: `Bookmark_ID`, `Created_at`,
+//    `Bookmark_type`, `Bookmarked_URL`, `Tags` ("a, b" already split), ...
+//  - Interleaved rows coalesced by normalizeKarakeepPayload (same keys, plus
+//    lowercase `description`/`author`/`publisher`).
+//  - Real JSON (KaraKeep API shape): `id`, `createdAt`, nested `content`
+//    object with `type`/`url`, and `tags` as [{ id, name }].
+//
+// toCanonicalBookmark(...) maps all of them into ONE camelCase shape so
+// downstream code never has to check for both spellings. The original keys
+// are kept under `raw` only when the caller opts in.
+
+export const BOOKMARK_TYPES = ["link", "text", "asset", "unknown"];
+
+// Canonical field -> accepted source keys, compared after squashing case and
+// punctuation ("Bookmarked_URL" -> "bookmarkedurl").
+const FIELD_ALIASES = {
+  id: ["bookmarkid", "id"],
+  createdAt: ["createdat", "created"],
+  modifiedAt: ["modifiedat", "updatedat"],
+  title: ["title"],
+  summary: ["summary"],
+  note: ["note", "notes"],
+  type: ["bookmarktype", "type"],
+  url: ["bookmarkedurl", "url"],
+  sourceUrl: ["sourceurl"],
+  description: ["description"],
+  author: ["author"],
+  publisher: ["publisher"],
+  tags: ["tags", "tag"],
+  assetId: ["assetid"],
+  assetType: ["assettype"],
+};
+
+// KaraKeep prints asset bookmarks as "media"
+const TYPE_ALIASES = { link: "link", text: "text", asset: "asset", media: "asset" };
+
+/** JSON Schema for the canonical bookmark (published in /openapi.json) */
+export const BOOKMARK_SCHEMA = {
+  type: "object",
+  description: "Canonical KaraKeep bookmark, mapped from every upstream spelling.",
+  properties: {
+    id: { type: "string" },
+    createdAt: { type: "string", format: "date-time", nullable: true },
+    modifiedAt: { type: "string", format: "date-time", nullable: true },
+    title: { type: "string", nullable: true },
+    summary: { type: "string", nullable: true },
+    note: { type: "string", nullable: true },
+    type: { type: "string", enum: BOOKMARK_TYPES },
+    url: { type: "string", nullable: true },
+    sourceUrl: { type: "string", nullable: true },
+    description: { type: "string", nullable: true },
+    author: { type: "string", nullable: true },
+    publisher: { type: "string", nullable: true },
+    tags: { type: "array", items: { type: "string" } },
+    assetId: { type: "string", nullable: true },
+    assetType: { type: "string", nullable: true },
+    raw: {
+      type: "object",
+      additionalProperties: true,
+      description: "Original upstream keys; only present when requested with ?raw=1.",
+    },
+  },
+  required: ["id", "type", "tags"],
+};
+
+function squashKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/** Blank strings and placeholders become null; everything else is trimmed text */
+function cleanString(v) {
+  if (v == null) return null;
+  const s = String(v).trim();
+  return s === "" || s === "null" || s === "undefined" ? null : s;
+}
+
+/** Parse ISO strings and epoch numbers (seconds or ms) into an ISO string */
+export function toISODate(v) {
+  if (v == null || v === "") return null;
+  let ms;
+  if (typeof v === "number" || /^\d+$/.test(String(v).trim())) {
+    const n = Number(v);
+    ms = n < 1e12 ? n * 1000 : n;
+  } else {
+    ms = Date.parse(String(v));
+  }
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+function toTags(v) {
+  if (v == null) return [];
+  const list = Array.isArray(v) ? v : String(v).split(",");
+  const out = [];
+  for (const t of list) {
+    const name = cleanString(t && typeof t === "object" ? t.name : t);
+    if (name && !out.includes(name)) out.push(name);
+  }
+  return out;
+}
+
+function toType(v, fallbackUrl) {
+  const t = TYPE_ALIASES[String(v ?? "").trim().toLowerCase()];
+  if (t) return t;
+  return fallbackUrl ? "link" : "unknown";
+}
+
+/** Does this row start a bookmark block (carries an ID under any spelling)? */
+export function hasBookmarkId(row) {
+  if (!row || typeof row !== "object") return false;
+  return Object.keys(row).some((k) => FIELD_ALIASES.id.includes(squashKey(k)));
+}
+
+/**
+ * Map one (already coalesced) bookmark object into the canonical shape.
+ * Unknown keys are dropped from the top level but survive under `raw`
+ * when `includeRaw` is set.
+ */
+export function toCanonicalBookmark(row, { includeRaw = false } = {}) {
+  const src = row && typeof row === "object" ? row : {};
+
+  // KaraKeep API shape nests link/asset details under `content`
+  const flat = { ...src };
+  if (src.content && typeof src.content === "object" && !Array.isArray(src.content)) {
+    delete flat.content;
+    for (const [k, v] of Object.entries(src.content)) {
+      if (!(k in flat)) flat[k] = v;
+    }
+  }
+
+  const found = {};
+  for (const [key, value] of Object.entries(flat)) {
+    const sq = squashKey(key);
+    for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+      // First alias in the list wins ("Bookmark_ID" over a stray "id")
+      const rank = aliases.indexOf(sq);
+      if (rank === -1) continue;
+      if (!found[field] || rank < found[field].rank) found[field] = { rank, value };
+    }
+  }
+  const get = (field) => found[field]?.value;
+
+  const url = cleanString(get("url"));
+  const bookmark = {
+    id: cleanString(get("id")) ?? "",
+    createdAt: toISODate(get("createdAt")),
+    modifiedAt: toISODate(get("modifiedAt")),
+    title: cleanString(get("title")),
+    summary: cleanString(get("summary")),
+    note: cleanString(get("note")),
+    type: toType(get("type"), url),
+    url,
+    sourceUrl: cleanString(get("sourceUrl")),
+    description: cleanString(get("description")),
+    author: cleanString(get("author")),
+    publisher: cleanString(get("publisher")),
+    tags: toTags(get("tags")),
+    assetId: cleanString(get("assetId")),
+    assetType: cleanString(get("assetType")),
+  };
+
+  if (includeRaw) bookmark.raw = { ...src };
+  return bookmark;
+}
@@ -0,0 +1,97 @@
+// breaker.js
+//
+// Why this file exists:
+// ---------------------
+// While mcpo restarts, every request used to wait out FETCH_TIMEOUT_MS (or a
+// connection error) and come back 502. The circuit breaker notices that
+// upstream is clearly down and fails fast instead:
+//
+//   closed     — calls go through; BREAKER_FAILURE_THRESHOLD consecutive
+//                failures open the circuit
+//   open       — calls fail immediately (error name "CircuitOpenError") until
+//                BREAKER_COOLDOWN_MS has passed
+//   half_open  — exactly one probe call goes through; success closes the
+//                circuit, failure opens it for another cooldown
+//
+// Only upstream *availability* counts as failure (connection errors, timeouts,
+// 502/503/504). Tool errors such as "Bookmark not found" mean upstream is up.
+
+import { BREAKER_FAILURE_THRESHOLD, BREAKER_COOLDOWN_MS } from "./config.js";
+import { info, warn } from "./logger.js";
+
+const state = {
+  state: "closed",
+  failures: 0,
+  openedAt: null,
+  probing: false,
+  lastError: null,
+};
+
+function circuitOpenError(retryInMs) {
+  const e = new Error(`Upstream circuit open; next probe in ${Math.ceil(retryInMs / 1000)}s`);
+  e.name = "CircuitOpenError";
+  e.retryInMs = retryInMs;
+  return e;
+}
+
+function enabled() {
+  return BREAKER_FAILURE_THRESHOLD > 0;
+}
+
+/** Does this upstream status mean upstream itself is unavailable? */
+export function isUnavailableStatus(status) {
+  return status === 502 || status === 503 || status === 504;
+}
+
+/**
+ * Ask to make one upstream call. Throws a CircuitOpenError when the circuit is
+ * open (or a half-open probe is already in flight).
+ */
+export function breakerAcquire() {
+  if (!enabled() || state.state === "closed") return;
+
+  const waited = Date.now() - state.openedAt;
+  if (state.state === "open" && waited >= BREAKER_COOLDOWN_MS) {
+    state.state = "half_open";
+    info("Circuit breaker half-open: probing upstream");
+  }
+  if (state.state === "half_open" && !state.probing) {
+    state.probing = true;
+    return;
+  }
+  throw circuitOpenError(Math.max(0, BREAKER_COOLDOWN_MS - waited));
+}
+
+export function breakerSuccess() {
+  if (!enabled()) return;
+  if (state.state !== "closed") info("Circuit breaker closed: upstream is back");
+  state.state = "closed";
+  state.failures = 0;
+  state.openedAt = null;
+  state.probing = false;
+  state.lastError = null;
+}
+
+export function breakerFailure(reason) {
+  if (!enabled()) return;
+  state.failures++;
+  state.lastError = reason;
+  state.probing = false;
+  if (state.state === "half_open" || (state.state === "closed" && state.failures >= BREAKER_FAILURE_THRESHOLD)) {
+    state.state = "open";
+    state.openedAt = Date.now();
+    warn(`Circuit breaker open after ${state.failures} upstream failures (last: ${reason})`);
+  }
+}
+
+/** Breaker state for /health */
+export function breakerStatus() {
+  return {
+    state: enabled() ? state.state : "disabled",
+    consecutiveFailures: state.failures,
+    openedAt: state.openedAt && new Date(state.openedAt).toISOString(),
+    nextProbeAt:
+      state.state === "open" ? new Date(state.openedAt + BREAKER_COOLDOWN_MS).toISOString() : null,
+    lastError: state.lastError,
+  };
+}
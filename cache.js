@@ -0,0 +1,191 @@
+// cache.js
+//
+// Why this file exists:
+// ---------------------
+// Every call costs a full MCP round trip (seconds), and chat sessions ask for
+// the same bookmark content over and over. This is a small LRU for read-tool
+// responses:
+//  - keyed by tool path + request body (+ query and options that change the
+//    payload), with a TTL per tool from CACHE_TTLS;
+//  - each entry carries an ETag so the router can answer If-None-Match;
+//  - write tools invalidate the entries they can affect (see invalidateFor);
+//  - with CACHE_DIR set, entries are written through to disk and reloaded on
+//    startup, so a restart doesn't start cold.
+
+import { createHash } from "node:crypto";
+import { mkdirSync, readdirSync, readFileSync, unlinkSync, writeFile } from "node:fs";
+import { join } from "node:path";
+import { CACHE_ENABLED, CACHE_MAX_ENTRIES, CACHE_DIR, CACHE_TTLS } from "./config.js";
+import { dbg, warn } from "./logger.js";
+import { baseToolName, squashToolName } from "./tools.js";
+import { stableStringify } from "./stable-json.js";
+
+const entries = new Map(); // key -> { path, bookmarkId, value, etag, expiresAt }
+
+function sha1(text) {
+  return createHash("sha1").update(text).digest("base64url");
+}
+
+/** Weak ETag over the serialized payload */
+export function etagFor(payload) {
+  return `W/"${sha1(JSON.stringify(payload))}"`;
+}
+
+// CACHE_TTLS by squashed tool name, so "get-lists" also covers "/tool_get_lists_post"
+const TTLS = new Map(Object.entries(CACHE_TTLS).map(([tool, ttl]) => [squashToolName(tool), ttl]));
+
+/** Cache TTL (ms) for a route; 0 means "don't cache" */
+export function ttlFor(path) {
+  if (!CACHE_ENABLED) return 0;
+  const ttl = Number(TTLS.get(squashToolName(path)) ?? 0);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : 0;
+}
+
+export function cacheKey(path, { body, query, variant } = {}) {
+  return `${path}|${stableStringify(body || {})}|${stableStringify(query || {})}|${variant ?? ""}`;
+}
+
+/* ------------------------------------------------------------------ */
+/* Disk persistence                                                    */
+/* ------------------------------------------------------------------ */
+
+function diskFile(key) {
+  return join(CACHE_DIR, `${sha1(key)}.json`);
+}
+
+function persist(key, entry) {
+  if (!CACHE_DIR) return;
+  writeFile(diskFile(key), JSON.stringify({ key, ...entry }), (e) => {
+    if (e) warn(`Cache write failed for ${entry.path}: ${e.message}`);
+  });
+}
+
+function unpersist(key) {
+  if (!CACHE_DIR) return;
+  try {
+    unlinkSync(diskFile(key));
+  } catch {
+    // already gone
+  }
+}
+
+/** Load unexpired entries written by a previous run */
+function loadFromDisk() {
+  if (!CACHE_DIR || !CACHE_ENABLED) return;
+  mkdirSync(CACHE_DIR, { recursive: true });
+  const now = Date.now();
+  let loaded = 0;
+  for (const file of readdirSync(CACHE_DIR)) {
+    if (!file.endsWith(".json")) continue;
+    try {
+      const { key, ...entry } = JSON.parse(readFileSync(join(CACHE_DIR, file), "utf8"));
+      if (!key || entry.expiresAt <= now) {
+        unlinkSync(join(CACHE_DIR, file));
+        continue;
+      }
+      entries.set(key, entry);
+      loaded++;
+    } catch {
+      // Corrupt/partial file from a crash: ignore it
+    }
+  }
+  evict();
+  if (loaded) dbg(`Cache: loaded ${loaded} entries from ${CACHE_DIR}`);
+}
+
+/* ------------------------------------------------------------------ */
+/* LRU                                                                 */
+/* ------------------------------------------------------------------ */
+
+function evict() {
+  while (entries.size > CACHE_MAX_ENTRIES) {
+    const oldest = entries.keys().next().value;
+    entries.delete(oldest);
+    unpersist(oldest);
+  }
+}
+
+function drop(key) {
+  entries.delete(key);
+  unpersist(key);
+}
+
+/** Cached { status, payload, etag } or null; refreshes LRU position */
+export function cacheGet(key) {
+  const entry = entries.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    drop(key);
+    return null;
+  }
+  entries.delete(key);
+  entries.set(key, entry);
+  // Hand out copies so callers can't mutate what's cached
+  return { ...structuredClone(entry.value), etag: entry.etag };
+}
+
+/** Store a successful read response; returns its ETag */
+export function cacheSet(key, path, body, value, ttl) {
+  const entry = {
+    path,
+    bookmarkId: typeof body?.bookmarkId === "string" ? body.bookmarkId : null,
+    value: structuredClone(value),
+    etag: etagFor(value.payload),
+    expiresAt: Date.now() + ttl,
+  };
+  entries.delete(key);
+  entries.set(key, entry);
+  persist(key, entry);
+  evict();
+  return entry.etag;
+}
+
+/* ------------------------------------------------------------------ */
+/* Invalidation                                                        */
+/* ------------------------------------------------------------------ */
+
+// Which cached reads a write can make stale:
+//   search   — search-bookmarks pages (any query)
+//   bookmark — get-bookmark / get-bookmark-content (only the written bookmarkId, when known)
+//   lists    — get-lists
+const INVALIDATION_RULES = [
+  { match: /^create[-_]bookmark/i, drop: ["search"] },
+  { match: /^(attach|detach)[-_]tags?[-_]/i, drop: ["search", "bookmark"] },
+  { match: /^(add|remove)[-_]bookmark[-_](to|from)[-_]list/i, drop: ["search", "bookmark", "lists"] },
+  { match: /list/i, drop: ["lists"] },
+];
+
+function entryKind(entry) {
+  const name = baseToolName(entry.path);
+  if (/search[-_]?bookmarks/i.test(name)) return "search";
+  if (/^get[-_]lists?$/i.test(name)) return "lists";
+  if (/bookmark/i.test(name)) return "bookmark";
+  return "other";
+}
+
+/**
+ * Drop cached reads affected by a successful write. Writes we have no rule
+ * for clear the whole cache — stale data is worse than a cold cache.
+ */
+export function invalidateFor(path, body) {
+  if (entries.size === 0) return;
+  const rule = INVALIDATION_RULES.find((r) => r.match.test(baseToolName(path)));
+  if (!rule) {
+    dbg(`Cache: ${path} has no invalidation rule; clearing ${entries.size} entries`);
+    for (const key of [...entries.keys()]) drop(key);
+    return;
+  }
+
+  const bookmarkId = typeof body?.bookmarkId === "string" ? body.bookmarkId : null;
+  let dropped = 0;
+  for (const [key, entry] of [...entries]) {
+    const kind = entryKind(entry);
+    if (!rule.drop.includes(kind)) continue;
+    if (kind === "bookmark" && bookmarkId && entry.bookmarkId && entry.bookmarkId !== bookmarkId) continue;
+    drop(key);
+    dropped++;
+  }
+  if (dropped) dbg(`Cache: ${path} invalidated ${dropped} entries`);
+}
+
+loadFromDisk();
@@ -0,0 +1,138 @@
+// canonical-url.js
+//
+// Why this file exists:
+// ---------------------
+// KaraKeep stores a URL as given, so one article saved from a newsletter, a
+// tweet and a phone ends up in the library three times. canonicalUrl() maps
+// such variants to one key:
+//  - https, and a lowercase host without www., m., mobile. or amp. labels;
+//  - tracking parameters dropped (utm_*, fbclid, gclid, ... plus
+//    CANONICAL_STRIP_PARAMS), the remaining ones sorted by name;
+//  - no fragment (except #! and #/ routes) and no trailing slash;
+//  - AMP pages mapped to the article: Google's AMP viewer and cache URLs,
+//    .amp.html and ?outputType=amp. An /amp path suffix or an ?amp=1 flag
+//    proves nothing alone (github.com/someone/amp is a repository, en.
+//    wikipedia.org/wiki/AMP an article), so those count only when the page
+//    without them is among the URLs compared (samePage, canonicalUrls).
+// The key is for comparing URLs, not for saving them: http-only sites get
+// https too. create-bookmark's duplicate check (router.js), /duplicates and
+// /import all compare bookmarks by it.
+
+import { CANONICAL_STRIP_PARAMS } from "./config.js";
+
+const TRACKING_PARAMS = new Set([
+  "fbclid",
+  "gclid",
+  "dclid",
+  "gbraid",
+  "wbraid",
+  "msclkid",
+  "yclid",
+  "twclid",
+  "igshid",
+  "mc_cid",
+  "mc_eid",
+  "_hsenc",
+  "_hsmi",
+  "mkt_tok",
+  "ref_src",
+  "si",
+  ...CANONICAL_STRIP_PARAMS,
+]);
+
+// Host labels that only select a variant of the same site
+const VARIANT_LABELS = new Set(["www", "m", "mobile", "amp"]);
+
+// ?amp values that switch a page to its AMP version
+const AMP_FLAGS = new Set(["", "1", "true"]);
+
+function dropParam(name, value) {
+  const key = name.toLowerCase();
+  if (key.startsWith("utm_") || TRACKING_PARAMS.has(key)) return true;
+  return key === "outputtype" && value.toLowerCase() === "amp";
+}
+
+function isAmpFlag([name, value]) {
+  return name.toLowerCase() === "amp" && AMP_FLAGS.has(value.toLowerCase());
+}
+
+/** Host without variant labels; the last two labels always stay */
+function canonicalHost(hostname) {
+  const labels = hostname.toLowerCase().replace(/\.$/, "").split(".");
+  return labels.filter((label, i) => i >= labels.length - 2 || !VARIANT_LABELS.has(label)).join(".");
+}
+
+/** The article URL behind Google's AMP viewer or the AMP cache, or null */
+function unwrapAmpProxy(u) {
+  const host = u.hostname.toLowerCase();
+  let m = null;
+  if (/(^|\.)google\.[a-z.]+$/.test(host)) m = u.pathname.match(/^\/amp\/(s\/)?(.+)$/);
+  else if (host.endsWith(".cdn.ampproject.org")) m = u.pathname.match(/^\/[a-z]\/(s\/)?(.+)$/);
+  return m ? `${m[1] ? "https" : "http"}://${m[2]}${u.search}` : null;
+}
+
+function canonicalPath(pathname) {
+  return pathname.replace(/\.amp\.html$/i, ".html").replace(/\/+$/, "");
+}
+
+/**
+ * The canonical form of `url`, or null when it isn't an http(s) URL.
+ *
+ *   canonicalUrl("http://WWW.Example.com/post/?utm_source=x&b=2&a=1#top")
+ *   // -> "https://example.com/post?a=1&b=2"
+ */
+export function canonicalUrl(url) {
+  let u;
+  try {
+    u = new URL(String(url ?? "").trim());
+  } catch {
+    return null;
+  }
+  if (u.protocol !== "http:" && u.protocol !== "https:") return null;
+
+  const inner = unwrapAmpProxy(u);
+  if (inner) {
+    const unwrapped = canonicalUrl(inner);
+    if (unwrapped) return unwrapped;
+  }
+
+  const params = [...u.searchParams].filter(([name, value]) => !dropParam(name, value));
+  params.sort(([x], [y]) => (x < y ? -1 : x > y ? 1 : 0));
+  const query = new URLSearchParams(params).toString();
+  const hash = /^#[!/]/.test(u.hash) ? u.hash : "";
+  const port = u.port ? `:${u.port}` : "";
+  return `https://${canonicalHost(u.hostname)}${port}${canonicalPath(u.pathname)}${query ? `?${query}` : ""}${hash}`;
+}
+
+/**
+ * The page that canonical URL `key` would be the AMP version of: `key`
+ * without its /amp path suffix and ?amp flag. Null when it has neither.
+ */
+function ampPageKey(key) {
+  const u = new URL(key);
+  const path = u.pathname.replace(/\/amp$/i, "");
+  const params = [...u.searchParams];
+  if (path === u.pathname && !params.some(isAmpFlag)) return null;
+  u.pathname = path;
+  u.search = new URLSearchParams(params.filter((p) => !isAmpFlag(p))).toString();
+  return canonicalUrl(u.href);
+}
+
+/** Do canonical URLs `a` and `b` name the same page, one maybe the other's AMP version? */
+export function samePage(a, b) {
+  if (!a || !b) return false;
+  return a === b || ampPageKey(a) === b || ampPageKey(b) === a;
+}
+
+/**
+ * canonicalUrl of each of `urls` (null for what isn't a URL), AMP versions
+ * mapped to their page when that page is among `urls` too.
+ */
+export function canonicalUrls(urls) {
+  const keys = urls.map(canonicalUrl);
+  const present = new Set(keys);
+  return keys.map((key) => {
+    const page = key && ampPageKey(key);
+    return page && present.has(page) ? page : key;
+  });
+}
@@ -3,8 +3,24 @@ export const PORT = process.env.PORT ? Number(process.env.PORT) : 9000;
 // Where the MCPO (OpenAPI proxy) is reachable from inside the Docker network
 export const MCPO_URL = process.env.MCPO_URL || "http://mcpo-karakeep:8000";
 
-// Toggle verbose logs (set SHIM_DEBUG=0 to quiet down)
-export const SHIM_DEBUG = process.env.SHIM_DEBUG !== "2";
+// Legacy switch for debug logs: SHIM_DEBUG=1 means LOG_LEVEL=debug.
+// (This used to test `!== "2"`, so debug output was on for every other value.)
+export const SHIM_DEBUG = process.env.SHIM_DEBUG === "1" || process.env.SHIM_DEBUG === "true";
+
+// Log threshold: debug | info | warn | error
+export const LOG_LEVEL = (process.env.LOG_LEVEL || (SHIM_DEBUG ? "debug" : "info")).toLowerCase();
+
+// Log line format: "json" (one object per line) or "text" (the old [INFO] lines)
+export const LOG_FORMAT = process.env.LOG_FORMAT === "text" ? "text" : "json";
+
+// Field names whose values are replaced with "[REDACTED]" in logs (case-insensitive, comma-separated)
+export const LOG_REDACT_FIELDS = (
+  process.env.LOG_REDACT_FIELDS ??
+  "note,content,htmlContent,text,karakeepToken,token,apiKey,key,authorization,password,secret"
+)
+  .split(",")
+  .map((f) => f.trim())
+  .filter(Boolean);
 
 // Startup OpenAPI fetch retry
 export const OPENAPI_RETRY_MS = process.env.OPENAPI_RETRY_MS
@@ -15,3 +31,184 @@ export const OPENAPI_RETRY_MS = process.env.OPENAPI_RETRY_MS
 export const FETCH_TIMEOUT_MS = process.env.FETCH_TIMEOUT_MS
   ? Number(process.env.FETCH_TIMEOUT_MS)
   : 20000;
+
+// Keep original upstream keys under `raw` on canonical bookmarks (per request: ?raw=1)
+export const INCLUDE_RAW = process.env.SHIM_INCLUDE_RAW === "1";
+
+// Upstream backend: "mcpo" (HTTP via MCPO_URL) or "mcp" (talk MCP to KaraKeep directly)
+export const SHIM_BACKEND = process.env.SHIM_BACKEND === "mcp" ? "mcp" : "mcpo";
+
+// SHIM_BACKEND=mcp, streamable HTTP: the KaraKeep MCP endpoint (takes precedence over stdio)
+export const MCP_URL = process.env.MCP_URL || "";
+
+// SHIM_BACKEND=mcp, stdio: command + args that start the KaraKeep MCP server.
+// MCP_ARGS is a JSON array or a space-separated list.
+export const MCP_COMMAND = process.env.MCP_COMMAND || "";
+export const MCP_ARGS = (() => {
+  const v = (process.env.MCP_ARGS || "").trim();
+  if (v.startsWith("[")) return JSON.parse(v);
+  return v ? v.split(/\s+/) : [];
+})();
+
+// Serve the shim as an MCP server on stdin/stdout instead of listening on PORT
+// (logs then go to stderr). The HTTP transport is always available at /mcp.
+export const SHIM_MCP_STDIO = process.env.SHIM_MCP_STDIO === "1";
+
+// Auto-pagination ("all": true on search-bookmarks): hard ceilings; requests may ask for less
+export const AUTO_PAGINATE_MAX_PAGES = process.env.AUTO_PAGINATE_MAX_PAGES
+  ? Number(process.env.AUTO_PAGINATE_MAX_PAGES)
+  : 20;
+export const AUTO_PAGINATE_MAX_ITEMS = process.env.AUTO_PAGINATE_MAX_ITEMS
+  ? Number(process.env.AUTO_PAGINATE_MAX_ITEMS)
+  : 1000;
+
+// Response cache for read tools (in-memory LRU, optionally persisted to CACHE_DIR)
+export const CACHE_ENABLED = process.env.CACHE_ENABLED !== "0";
+export const CACHE_MAX_ENTRIES = process.env.CACHE_MAX_ENTRIES
+  ? Number(process.env.CACHE_MAX_ENTRIES)
+  : 500;
+export const CACHE_DIR = process.env.CACHE_DIR || "";
+
+// Per-tool TTLs in ms, merged over the defaults; tools not listed aren't cached.
+// e.g. CACHE_TTLS='{"get-bookmark-content":3600000,"search-bookmarks":0}'
+export const CACHE_TTLS = {
+  "search-bookmarks": 30000,
+  "get-bookmark": 120000,
+  "get-bookmark-content": 600000,
+  "get-lists": 60000,
+  ...(process.env.CACHE_TTLS ? JSON.parse(process.env.CACHE_TTLS) : {}),
+};
+
+// Periodic OpenAPI/tool refresh (ms); 0 disables it (POST /admin/reload-spec still works)
+export const SPEC_REFRESH_MS = process.env.SPEC_REFRESH_MS
+  ? Number(process.env.SPEC_REFRESH_MS)
+  : 300000;
+
+// /health reports the spec as stale when the last good load is older than this (0 = never by age)
+export const SPEC_STALE_AFTER_MS = process.env.SPEC_STALE_AFTER_MS
+  ? Number(process.env.SPEC_STALE_AFTER_MS)
+  : SPEC_REFRESH_MS * 3;
+
+// Upstream retries (read tools only): extra attempts after the first, with
+// jittered exponential backoff between RETRY_BASE_MS and RETRY_MAX_MS
+export const RETRY_ATTEMPTS = process.env.RETRY_ATTEMPTS
+  ? Number(process.env.RETRY_ATTEMPTS)
+  : 2;
+export const RETRY_BASE_MS = process.env.RETRY_BASE_MS
+  ? Number(process.env.RETRY_BASE_MS)
+  : 250;
+export const RETRY_MAX_MS = process.env.RETRY_MAX_MS
+  ? Number(process.env.RETRY_MAX_MS)
+  : 4000;
+
+// Circuit breaker: open after this many consecutive upstream failures (0 disables it),
+// then let one probe through after BREAKER_COOLDOWN_MS
+export const BREAKER_FAILURE_THRESHOLD = process.env.BREAKER_FAILURE_THRESHOLD
+  ? Number(process.env.BREAKER_FAILURE_THRESHOLD)
+  : 5;
+export const BREAKER_COOLDOWN_MS = process.env.BREAKER_COOLDOWN_MS
+  ? Number(process.env.BREAKER_COOLDOWN_MS)
+  : 15000;
+
+// API keys in front of the shim (auth is off when neither is set). Both hold a
+// JSON array of { "label", "key", "scopes": ["read"|"write"|"admin"], "karakeepToken"? }.
+export const SHIM_API_KEYS = process.env.SHIM_API_KEYS || "";
+export const SHIM_API_KEYS_FILE = process.env.SHIM_API_KEYS_FILE || "";
+
+// Header that carries a key's `karakeepToken` upstream (mcpo or MCP over HTTP)
+export const KARAKEEP_TOKEN_HEADER = process.env.KARAKEEP_TOKEN_HEADER || "X-Karakeep-Api-Key";
+
+// Per-client rate limit (API key label, else IP): token bucket refilled at
+// RATE_LIMIT_RPS requests/second holding up to RATE_LIMIT_BURST (0 disables it)
+export const RATE_LIMIT_RPS = process.env.RATE_LIMIT_RPS
+  ? Number(process.env.RATE_LIMIT_RPS)
+  : 0;
+export const RATE_LIMIT_BURST = process.env.RATE_LIMIT_BURST
+  ? Number(process.env.RATE_LIMIT_BURST)
+  : 20;
+
+// Upstream concurrency cap (mcpo runs one MCP stdio process); excess calls wait
+// in a FIFO queue of at most UPSTREAM_QUEUE_MAX for up to UPSTREAM_QUEUE_TIMEOUT_MS
+export const UPSTREAM_CONCURRENCY = process.env.UPSTREAM_CONCURRENCY
+  ? Number(process.env.UPSTREAM_CONCURRENCY)
+  : 4;
+export const UPSTREAM_QUEUE_MAX = process.env.UPSTREAM_QUEUE_MAX
+  ? Number(process.env.UPSTREAM_QUEUE_MAX)
+  : 100;
+export const UPSTREAM_QUEUE_TIMEOUT_MS = process.env.UPSTREAM_QUEUE_TIMEOUT_MS
+  ? Number(process.env.UPSTREAM_QUEUE_TIMEOUT_MS)
+  : 30000;
+
+// POST /batch: most calls per batch, and how many of them run at once (also
+// the fan-out of an includeContent search)
+export const BATCH_MAX_CALLS = process.env.BATCH_MAX_CALLS ? Number(process.env.BATCH_MAX_CALLS) : 50;
+export const BATCH_CONCURRENCY = process.env.BATCH_CONCURRENCY ? Number(process.env.BATCH_CONCURRENCY) : 4;
+
+// Search with "includeContent": true inlines get-bookmark-content for the top
+// hits. Item count and budgets are defaults and hard ceilings; requests may ask
+// for less. Budgets count characters, or tokens (~4 characters each) when
+// CONTENT_BUDGET_UNIT=tokens.
+export const CONTENT_MAX_ITEMS = process.env.CONTENT_MAX_ITEMS ? Number(process.env.CONTENT_MAX_ITEMS) : 5;
+export const CONTENT_ITEM_BUDGET = process.env.CONTENT_ITEM_BUDGET ? Number(process.env.CONTENT_ITEM_BUDGET) : 4000;
+export const CONTENT_TOTAL_BUDGET = process.env.CONTENT_TOTAL_BUDGET
+  ? Number(process.env.CONTENT_TOTAL_BUDGET)
+  : 16000;
+export const CONTENT_BUDGET_UNIT = process.env.CONTENT_BUDGET_UNIT === "tokens" ? "tokens" : "chars";
+
+// Local mirror of the library (mirror.js): stored under MIRROR_DIR (empty =
+// off), synced at startup and every MIRROR_SYNC_MS (0 = only on demand)
+export const MIRROR_DIR = process.env.MIRROR_DIR || "";
+export const MIRROR_SYNC_MS = process.env.MIRROR_SYNC_MS ? Number(process.env.MIRROR_SYNC_MS) : 15 * 60 * 1000;
+// An incremental sync can't see content edited under unchanged metadata: the
+// first sync this long after the last full one is full (0 = only on demand)
+export const MIRROR_FULL_SYNC_MS = process.env.MIRROR_FULL_SYNC_MS
+  ? Number(process.env.MIRROR_FULL_SYNC_MS)
+  : 24 * 60 * 60 * 1000;
+export const MIRROR_PAGE_SIZE = process.env.MIRROR_PAGE_SIZE ? Number(process.env.MIRROR_PAGE_SIZE) : 50;
+// Content fetches in flight during a sync; kept low to leave upstream slots to clients
+export const MIRROR_CONCURRENCY = process.env.MIRROR_CONCURRENCY ? Number(process.env.MIRROR_CONCURRENCY) : 2;
+
+// `limit` of each search-bookmarks page walked by /export, /import and /duplicates
+export const EXPORT_PAGE_SIZE = process.env.EXPORT_PAGE_SIZE ? Number(process.env.EXPORT_PAGE_SIZE) : 50;
+
+// Duplicate URLs (canonical-url.js): create-bookmark answers with the bookmark
+// already saved under the same canonical URL (unless "force": true; 0 = off),
+// and query parameters named here are dropped like utm_* (comma-separated)
+export const DEDUPE_ON_CREATE = process.env.DEDUPE_ON_CREATE !== "0";
+// Pages of `url:<host>` results the check reads before giving up and creating
+// anyway: a host with thousands of bookmarks shouldn't cost a library walk
+export const DEDUPE_MAX_PAGES = process.env.DEDUPE_MAX_PAGES ? Number(process.env.DEDUPE_MAX_PAGES) : 3;
+export const CANONICAL_STRIP_PARAMS = (process.env.CANONICAL_STRIP_PARAMS || "")
+  .split(",")
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+
+// Outbound webhooks (webhooks.js): subscriptions as a JSON array, inline or in
+// a file; the outbox is kept in WEBHOOK_DIR (empty = in memory only, lost on
+// restart). Failed deliveries are retried with backoff from
+// WEBHOOK_RETRY_BASE_MS up to WEBHOOK_RETRY_MAX_MS, WEBHOOK_MAX_ATTEMPTS times.
+export const SHIM_WEBHOOKS = process.env.SHIM_WEBHOOKS || "";
+export const SHIM_WEBHOOKS_FILE = process.env.SHIM_WEBHOOKS_FILE || "";
+export const WEBHOOK_DIR = process.env.WEBHOOK_DIR || "";
+export const WEBHOOK_TIMEOUT_MS = process.env.WEBHOOK_TIMEOUT_MS ? Number(process.env.WEBHOOK_TIMEOUT_MS) : 10000;
+export const WEBHOOK_MAX_ATTEMPTS = process.env.WEBHOOK_MAX_ATTEMPTS ? Number(process.env.WEBHOOK_MAX_ATTEMPTS) : 10;
+export const WEBHOOK_RETRY_BASE_MS = process.env.WEBHOOK_RETRY_BASE_MS
+  ? Number(process.env.WEBHOOK_RETRY_BASE_MS)
+  : 5000;
+export const WEBHOOK_RETRY_MAX_MS = process.env.WEBHOOK_RETRY_MAX_MS
+  ? Number(process.env.WEBHOOK_RETRY_MAX_MS)
+  : 60 * 60 * 1000;
+
+// POST /import: largest upload, most entries per import, and bookmarks created
+// at once (each is up to three upstream calls)
+export const IMPORT_MAX_BYTES = process.env.IMPORT_MAX_BYTES || "5mb";
+export const IMPORT_MAX_ENTRIES = process.env.IMPORT_MAX_ENTRIES ? Number(process.env.IMPORT_MAX_ENTRIES) : 2000;
+export const IMPORT_CONCURRENCY = process.env.IMPORT_CONCURRENCY ? Number(process.env.IMPORT_CONCURRENCY) : 2;
+
+// Record every upstream request/response pair (and the spec) to this JSONL
+// file; `node replay.js <file>` then stands in for mcpo. Empty = off.
+export const SHIM_RECORD_FILE = process.env.SHIM_RECORD_FILE || "";
+
+// Local ES module with extra response transformers (transformers.js); its
+// default export maps operationIds/paths/tool names to transformers.
+export const SHIM_TRANSFORMERS_MODULE = process.env.SHIM_TRANSFORMERS_MODULE || "";
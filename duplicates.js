@@ -0,0 +1,112 @@
+// duplicates.js
+//
+// Why this file exists:
+// ---------------------
+// create-bookmark no longer saves a URL twice (router.js), but libraries
+// already hold duplicates: saved before that, from other KaraKeep clients, or
+// with tracking parameters that made them look different. GET /duplicates
+// walks the library and groups bookmarks by canonical URL (canonical-url.js),
+// each group with a merge suggestion:
+//  - keep the oldest bookmark (the first save), remove the others;
+//  - attach the others' tags that the kept one lacks. The attach call comes
+//    ready for POST /batch;
+//  - removing is left to KaraKeep itself: its MCP tools can't delete.
+
+import { EXPORT_PAGE_SIZE } from "./config.js";
+import { getCachedOpenAPI } from "./openapi.js";
+import { walkLibrary } from "./router.js";
+import { canonicalUrls } from "./canonical-url.js";
+import { findToolPath, isKaraKeepBookmarksPath } from "./tools.js";
+import { classifyException, sendError } from "./errors.js";
+import { err, info } from "./logger.js";
+
+/** Oldest first; bookmarks without a date after those with one, in library order */
+function byCreated(x, y) {
+  const a = Date.parse(x.createdAt ?? "");
+  const b = Date.parse(y.createdAt ?? "");
+  if (Number.isNaN(a) || Number.isNaN(b)) return Number.isNaN(a) - Number.isNaN(b);
+  return a - b;
+}
+
+/**
+ * Groups of bookmarks that share a canonical URL, biggest first:
+ * `[{ canonicalUrl, bookmarks, suggestion: { keep, remove, attachTags } }]`.
+ */
+export function findDuplicates(bookmarks) {
+  const byUrl = new Map();
+  const keys = canonicalUrls(bookmarks.map((b) => b.url));
+  for (const [i, b] of bookmarks.entries()) {
+    const key = keys[i];
+    if (!key) continue;
+    if (!byUrl.has(key)) byUrl.set(key, []);
+    byUrl.get(key).push(b);
+  }
+
+  const groups = [];
+  for (const [key, members] of byUrl) {
+    if (members.length < 2) continue;
+    const [keep, ...others] = [...members].sort(byCreated);
+    const have = new Set((keep.tags || []).map((t) => t.toLowerCase()));
+    const attachTags = [];
+    for (const tag of others.flatMap((b) => b.tags || [])) {
+      if (have.has(tag.toLowerCase())) continue;
+      have.add(tag.toLowerCase());
+      attachTags.push(tag);
+    }
+    groups.push({
+      canonicalUrl: key,
+      bookmarks: [keep, ...others].map(({ id, url, title, createdAt, tags, note }) => ({
+        id,
+        url,
+        title,
+        createdAt,
+        tags: tags || [],
+        note,
+      })),
+      suggestion: { keep: keep.id, remove: others.map((b) => b.id), attachTags },
+    });
+  }
+  return groups.sort((x, y) => y.bookmarks.length - x.bookmarks.length || (x.canonicalUrl < y.canonicalUrl ? -1 : 1));
+}
+
+// GET /duplicates
+export async function duplicatesHandler(req, res) {
+  const paths = getCachedOpenAPI()?.paths || {};
+  const searchPath = Object.keys(paths).find(isKaraKeepBookmarksPath);
+  if (!searchPath) return sendError(res, "not_found", "No search-bookmarks tool upstream");
+  const attachPath = findToolPath(paths, "attach-tag-to-bookmark");
+
+  const bookmarks = [];
+  let walk;
+  try {
+    walk = await walkLibrary(
+      searchPath,
+      (page) => {
+        bookmarks.push(...page);
+      },
+      { pageSize: EXPORT_PAGE_SIZE, client: req.auth, requestId: req.id }
+    );
+  } catch (e) {
+    if (e?.payload?.error) return res.status(e.status).json(e.payload);
+    const code = classifyException(e);
+    if (code === "internal") err(`Duplicate scan failed: ${e?.message || e}`, e);
+    return sendError(res, code, `Duplicate scan failed: ${e?.message || e}`);
+  }
+
+  const groups = findDuplicates(bookmarks);
+  for (const { suggestion } of groups) {
+    suggestion.calls =
+      attachPath && suggestion.attachTags.length
+        ? [{ path: attachPath, body: { bookmarkId: suggestion.keep, tagsToAttach: suggestion.attachTags } }]
+        : [];
+  }
+  const stats = {
+    bookmarks: bookmarks.length,
+    groups: groups.length,
+    duplicates: groups.reduce((n, g) => n + g.suggestion.remove.length, 0),
+    complete: walk.complete,
+  };
+  info("Duplicate scan", stats);
+  res.set("Cache-Control", "no-store");
+  res.json({ groups, stats });
+}
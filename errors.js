@@ -0,0 +1,132 @@
+// errors.js
+//
+// Why this file exists:
+// ---------------------
+// Failures used to surface in three unrelated ways: a 504 with a string on
+// timeout, a 502 "Shim failed on …" for any exception, and — worst — tool
+// errors such as "Bookmark not found" parsed into `{ text }` and passed on
+// like any other answer. Every error now comes back in one envelope:
+//
+//   { "error": { "code", "message", "upstreamStatus", "requestId", "details"? } }
+//
+// `code` is one of ERROR_CODES below, detected from the upstream status, the
+// exception, or known error text in a failed (non-2xx) answer: tool errors
+// come back as a 500 with their text from mcpo, and callMcp (upstream.js)
+// maps MCP's `isError` the same way. A 2xx answer is never an error because
+// of its wording. The same table is published in /openapi.json (spec.js).
+
+import { randomUUID } from "node:crypto";
+import { withRequestContext } from "./logger.js";
+
+/** code -> [HTTP status, description] */
+export const ERROR_CODES = {
+  not_found: [404, "The bookmark, list or tool does not exist."],
+  validation: [422, "The request was rejected: bad body, parameter or format."],
+  unauthorized: [401, "No API key, or an unknown one (only when SHIM_API_KEYS is set)."],
+  forbidden: [403, "The API key lacks the scope this route needs."],
+  rate_limited: [429, "Too many requests from this client, or the upstream queue is full; see Retry-After."],
+  auth: [502, "KaraKeep rejected the shim's credentials (API key missing, invalid or not allowed)."],
+  upstream_unavailable: [502, "mcpo / the KaraKeep MCP server is down, restarting or failing (or the circuit breaker is open)."],
+  timeout: [504, "Upstream did not answer within FETCH_TIMEOUT_MS."],
+  parse_failure: [502, "Upstream answered, but the shim could not parse the output into the documented shape."],
+  internal: [500, "Bug in the shim itself."],
+};
+
+export function statusFor(code) {
+  return ERROR_CODES[code]?.[0] ?? 500;
+}
+
+/** The error envelope; fields that are unknown stay null */
+export function errorBody(code, message, { upstreamStatus = null, requestId = null, details } = {}) {
+  const error = { code, message, upstreamStatus, requestId };
+  if (details !== undefined) error.details = details;
+  return { error };
+}
+
+/** Send an error envelope with the status that belongs to its code */
+export function sendError(res, code, message, opts = {}) {
+  const requestId = opts.requestId ?? res.req?.id ?? null;
+  return res.status(opts.status ?? statusFor(code)).json(errorBody(code, message, { ...opts, requestId }));
+}
+
+/* ------------------------------------------------------------------ */
+/* Request ids                                                         */
+/* ------------------------------------------------------------------ */
+
+const SAFE_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Reuse a sane incoming X-Request-Id or mint one; echo it on the response.
+ * The rest of the request runs in its logging context (logger.js), which
+ * also forwards it upstream (upstream.js).
+ */
+export function requestIdMiddleware(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && SAFE_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+  res.set("X-Request-Id", req.id);
+  withRequestContext({ requestId: req.id }, next);
+}
+
+/* ------------------------------------------------------------------ */
+/* Classification                                                      */
+/* ------------------------------------------------------------------ */
+
+// Known error text in failed tool output, checked in order
+const TEXT_PATTERNS = [
+  [/\b(unauthori[sz]ed|forbidden|invalid api key|api key (is )?(missing|invalid|required))\b/i, "auth"],
+  [/\b(not found|no such \w+|does not exist)\b/i, "not_found"],
+  [/\b(econnrefused|econnreset|enotfound|connection refused|fetch failed|service unavailable)\b/i, "upstream_unavailable"],
+  [/\b(timed out|timeout)\b/i, "timeout"],
+  [/\b(validation error|invalid (input|argument|arguments|request)|zoderror|is required)\b/i, "validation"],
+];
+
+function codeFromText(text) {
+  const hit = TEXT_PATTERNS.find(([re]) => re.test(text));
+  return hit ? hit[1] : null;
+}
+
+function codeFromStatus(status) {
+  if (status === 404) return "not_found";
+  if (status === 401 || status === 403) return "auth";
+  if (status === 400 || status === 422) return "validation";
+  if (status === 408 || status === 504) return "timeout";
+  if (status >= 500) return "upstream_unavailable";
+  return null;
+}
+
+/**
+ * Decide whether an upstream answer is a failure.
+ * @param {{ status: number, text: string, parsed: any, expectsStructure: boolean }} r
+ *   `parsed` is the parser output before normalization; `expectsStructure`
+ *   is true for routes documented to return bookmarks.
+ * @returns {{ code: string, message: string } | null}
+ */
+export function classifyUpstream({ status, text, parsed, expectsStructure }) {
+  const plain = parsed && typeof parsed === "object" && Object.keys(parsed).length === 1 && typeof parsed.text === "string";
+  const message = (plain ? parsed.text : text || "").trim();
+
+  if (status >= 400) {
+    const detail = typeof parsed?.detail === "string" ? parsed.detail : message;
+    const code = (status >= 500 && codeFromText(detail)) || codeFromStatus(status) || "upstream_unavailable";
+    return { code, message: detail.slice(0, 500) || `Upstream returned ${status}` };
+  }
+
+  // A 2xx answer is the tool's result, even when its text reads like an error
+  // ("Not found any tags"); it only fails when it isn't the structure the route promises
+  if (plain && expectsStructure && message !== "") {
+    return { code: "parse_failure", message: "Upstream output did not match the expected bookmark format" };
+  }
+  return null;
+}
+
+/** Map an exception from the upstream call to an error code */
+export function classifyException(e) {
+  if (e?.name === "AbortError") return "timeout";
+  if (e?.name === "CircuitOpenError") return "upstream_unavailable";
+  if (e?.name === "UpstreamBusyError") return "rate_limited";
+  const text = `${e?.code || ""} ${e?.type || ""} ${e?.message || ""}`;
+  if (e?.name === "FetchError" || /MCP (server exited|transport closed)|MCP endpoint returned/i.test(text)) {
+    return "upstream_unavailable";
+  }
+  return codeFromText(text) === "upstream_unavailable" ? "upstream_unavailable" : "internal";
+}
@@ -0,0 +1,311 @@
+// export.js
+//
+// Why this file exists:
+// ---------------------
+// There was no way to get the whole library out through the shim, and
+// KaraKeep's own backups are its database. GET /export walks every
+// search-bookmarks page through the normal pipeline (canonical bookmarks) and
+// streams the library in one of three formats:
+//  - html: a Netscape bookmark file, importable by every browser. Tags go in
+//    TAGS; with ?lists=1 bookmarks sit in one folder per list;
+//  - json: `{ exportedAt, lists, bookmarks, count, complete }`, where `lists`
+//    is the get-lists tree; ?content=1 adds each bookmark's Markdown;
+//  - markdown: a zip (zip.js) with one Markdown file per bookmark, YAML
+//    front-matter for the metadata and the get-bookmark-content body.
+// ?lists=1 finds each list's bookmarks with KaraKeep's `list:"Name"` search
+// qualifier, one walk per list, and records them under `lists` per bookmark.
+//
+// Output starts after the first page arrives, so an upstream that is down
+// gets the usual error envelope. A failure after that can only cut the
+// download short; the JSON `complete` flag and the zip's central directory are
+// then missing, which makes a truncated export easy to spot.
+
+import { once } from "node:events";
+import { BATCH_CONCURRENCY, EXPORT_PAGE_SIZE } from "./config.js";
+import { getCachedOpenAPI } from "./openapi.js";
+import { fetchBookmarkContent, fetchLists, queryFlag, walkLibrary } from "./router.js";
+import { flattenLists } from "./transformers.js";
+import { findToolPath, isKaraKeepBookmarksPath } from "./tools.js";
+import { mapWithConcurrency } from "./limits.js";
+import { xml } from "./format.js";
+import { createZipWriter } from "./zip.js";
+import { classifyException, sendError } from "./errors.js";
+import { err, info } from "./logger.js";
+
+const EXPORT_FORMATS = {
+  html: { type: "text/html; charset=utf-8", ext: "html" },
+  json: { type: "application/json; charset=utf-8", ext: "json" },
+  markdown: { type: "application/zip", ext: "zip" },
+};
+const FORMAT_ALIASES = {
+  html: "html",
+  netscape: "html",
+  json: "json",
+  markdown: "markdown",
+  md: "markdown",
+  zip: "markdown",
+};
+
+function exportError(message) {
+  const e = new Error(message);
+  e.name = "ExportError";
+  return e;
+}
+
+/* ------------------------------------------------------------------ */
+/* Lists                                                               */
+/* ------------------------------------------------------------------ */
+
+/** The get-lists tree; empty when upstream has no such tool */
+function exportLists(opts) {
+  const path = findToolPath(getCachedOpenAPI()?.paths, "get-lists");
+  return path ? fetchLists(path, opts) : [];
+}
+
+/** bookmark id -> ids of the lists it is in, from one `list:"Name"` search per list */
+async function listMembership(searchPath, lists, opts) {
+  const membership = new Map();
+  for (const list of flattenLists(lists)) {
+    if (!list.name) continue;
+    const query = `list:${JSON.stringify(list.name)}`;
+    await walkLibrary(
+      searchPath,
+      (page) => {
+        for (const b of page) membership.set(b.id, [...(membership.get(b.id) || []), list.id]);
+      },
+      { query, pageSize: EXPORT_PAGE_SIZE, ...opts }
+    );
+  }
+  return membership;
+}
+
+/* ------------------------------------------------------------------ */
+/* Writers                                                             */
+/* ------------------------------------------------------------------ */
+
+// Each writer: { start(), page(bookmarks), end({ count, complete }) }, all
+// writing through `out(text | Buffer)`.
+
+/** Bookmark with its list ids, when membership was asked for */
+function withLists(bookmark, membership) {
+  if (!membership) return bookmark;
+  return { ...bookmark, lists: membership.get(bookmark.id) || [] };
+}
+
+/** Content of each bookmark on a page, in order: `{ markdown }` or `{ error }` */
+function pageContents(bookmarks, opts) {
+  return mapWithConcurrency(bookmarks, BATCH_CONCURRENCY, (b) => fetchBookmarkContent(b.id, opts));
+}
+
+function unixTime(iso) {
+  const t = Date.parse(iso);
+  return Number.isFinite(t) ? String(Math.floor(t / 1000)) : null;
+}
+
+function netscapeLink(b, indent) {
+  const attrs = [`HREF="${xml(b.url)}"`];
+  const added = unixTime(b.createdAt);
+  const modified = unixTime(b.modifiedAt);
+  if (added) attrs.push(`ADD_DATE="${added}"`);
+  if (modified) attrs.push(`LAST_MODIFIED="${modified}"`);
+  if (b.tags?.length) attrs.push(`TAGS="${xml(b.tags.join(","))}"`);
+  let line = `${indent}<DT><A ${attrs.join(" ")}>${xml(b.title || b.url)}</A>\n`;
+  const description = b.description || b.summary || b.note;
+  if (description) line += `${indent}<DD>${xml(description)}\n`;
+  return line;
+}
+
+function htmlWriter(out, { lists, membership }) {
+  const inList = new Map(); // list id -> bookmarks, written as folders at the end
+  let skipped = 0;
+
+  const folder = (list, depth) => {
+    const indent = "    ".repeat(depth);
+    let text = `${indent}<DT><H3>${xml(list.name || list.id)}</H3>\n${indent}<DL><p>\n`;
+    for (const child of list.children || []) text += folder(child, depth + 1);
+    for (const b of inList.get(list.id) || []) text += netscapeLink(b, `${indent}    `);
+    return `${text}${indent}</DL><p>\n`;
+  };
+
+  return {
+    start() {
+      out(
+        "<!DOCTYPE NETSCAPE-Bookmark-file-1>\n" +
+          "<!-- This is an automatically generated file.\n     It will be read and overwritten.\n     DO NOT EDIT! -->\n" +
+          '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">\n' +
+          "<TITLE>Bookmarks</TITLE>\n<H1>KaraKeep</H1>\n<DL><p>\n"
+      );
+    },
+    page(bookmarks) {
+      let text = "";
+      for (const b of bookmarks) {
+        // Browsers only import links; text and asset bookmarks have no URL
+        if (!b.url) {
+          skipped++;
+          continue;
+        }
+        const ids = membership?.get(b.id) || [];
+        if (ids.length === 0) text += netscapeLink(b, "    ");
+        for (const id of ids) inList.set(id, [...(inList.get(id) || []), b]);
+      }
+      if (text) out(text);
+    },
+    end() {
+      if (membership) out(lists.map((l) => folder(l, 1)).join(""));
+      out("</DL><p>\n");
+      if (skipped) info(`Export: ${skipped} bookmark(s) without a URL left out of the HTML`);
+    },
+  };
+}
+
+function jsonWriter(out, { exportedAt, lists, membership, content, opts }) {
+  let first = true;
+  return {
+    start() {
+      const head = JSON.stringify({ exportedAt, lists }).slice(0, -1);
+      out(`${head},"bookmarks":[\n`);
+    },
+    async page(bookmarks) {
+      const contents = content ? await pageContents(bookmarks, opts) : [];
+      const rows = bookmarks.map((b, i) => {
+        const row = { ...withLists(b, membership) };
+        if (content) {
+          row.content = contents[i].markdown ?? null;
+          if (contents[i].error) row.contentError = contents[i].error.message;
+        }
+        return JSON.stringify(row);
+      });
+      if (rows.length === 0) return;
+      out(`${first ? "" : ",\n"}${rows.join(",\n")}`);
+      first = false;
+    },
+    end({ count, complete }) {
+      out(`\n],"count":${count},"complete":${complete}}\n`);
+    },
+  };
+}
+
+function slug(text) {
+  return String(text ?? "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60)
+    .replace(/-+$/, "");
+}
+
+/** The Markdown file for one bookmark: YAML front-matter, then the content */
+export function markdownFile(bookmark, { markdown, error } = {}) {
+  const lines = ["---"];
+  for (const [key, value] of Object.entries(bookmark)) {
+    if (key === "raw" || value == null) continue;
+    // JSON strings and arrays are valid YAML flow scalars/sequences
+    lines.push(`${key}: ${JSON.stringify(value)}`);
+  }
+  if (error) lines.push(`contentError: ${JSON.stringify(error.message)}`);
+  lines.push("---", "");
+  return `${lines.join("\n")}\n${markdown ?? ""}${markdown && !markdown.endsWith("\n") ? "\n" : ""}`;
+}
+
+/** "bookmarks/<title-slug>-<id>.md"; the id keeps names unique */
+export function markdownFileName(bookmark) {
+  const base = slug(bookmark.title) || slug(bookmark.url?.replace(/^[a-z]+:\/\//i, "")) || "bookmark";
+  return `bookmarks/${base}-${slug(bookmark.id) || "x"}.md`;
+}
+
+function markdownWriter(out, { lists, membership, opts }) {
+  const zip = createZipWriter(out);
+  return {
+    start() {},
+    async page(bookmarks) {
+      const contents = await pageContents(bookmarks, opts);
+      bookmarks.forEach((b, i) => {
+        const modified = new Date(b.modifiedAt || b.createdAt || Date.now());
+        zip.addFile(markdownFileName(b), markdownFile(withLists(b, membership), contents[i]), modified);
+      });
+    },
+    end() {
+      if (lists.length) zip.addFile("lists.json", `${JSON.stringify({ lists }, null, 2)}\n`);
+      zip.end();
+    },
+  };
+}
+
+const WRITERS = { html: htmlWriter, json: jsonWriter, markdown: markdownWriter };
+
+/* ------------------------------------------------------------------ */
+/* GET /export                                                         */
+/* ------------------------------------------------------------------ */
+
+function sendExportFailure(res, e) {
+  if (e?.payload?.error) return res.status(e.status).json(e.payload);
+  const code = classifyException(e);
+  if (code === "internal") err(`Export failed: ${e?.message || e}`, e);
+  sendError(res, code, `Export failed: ${e?.message || e}`);
+}
+
+// GET /export?format=html|json|markdown[&lists=1][&content=1]
+export async function exportHandler(req, res) {
+  const format = FORMAT_ALIASES[String(req.query.format ?? "json").toLowerCase()];
+  if (!format) {
+    return sendError(res, "validation", "Export formats are html, json and markdown", { status: 406 });
+  }
+  const searchPath = Object.keys(getCachedOpenAPI()?.paths || {}).find(isKaraKeepBookmarksPath);
+  if (!searchPath) return sendError(res, "not_found", "No search-bookmarks tool upstream");
+
+  const opts = { client: req.auth, requestId: req.id };
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+  });
+
+  // Backpressure: wait for the socket to drain before producing more
+  const pending = [];
+  const out = (chunk) => pending.push(chunk);
+  const flush = async () => {
+    for (const chunk of pending.splice(0)) {
+      if (!res.write(chunk) && !closed) await Promise.race([once(res, "drain"), once(res, "close")]);
+    }
+  };
+
+  const exportedAt = new Date().toISOString();
+  let writer;
+  let started = false;
+  const begin = () => {
+    started = true;
+    const { type, ext } = EXPORT_FORMATS[format];
+    res.status(200).type(type);
+    res.set("Content-Disposition", `attachment; filename="karakeep-export-${exportedAt.slice(0, 10)}.${ext}"`);
+    res.set("Cache-Control", "no-store");
+    writer.start();
+  };
+
+  try {
+    const lists = await exportLists(opts);
+    const membership = queryFlag(req.query.lists) ? await listMembership(searchPath, lists, opts) : null;
+    writer = WRITERS[format](out, { exportedAt, lists, membership, content: queryFlag(req.query.content), opts });
+
+    const { items, complete } = await walkLibrary(
+      searchPath,
+      async (page) => {
+        if (closed) throw exportError("Client went away");
+        if (!started) begin();
+        await writer.page(page);
+        await flush();
+      },
+      { pageSize: EXPORT_PAGE_SIZE, ...opts }
+    );
+    if (!started) begin();
+    writer.end({ count: items, complete });
+    await flush();
+    res.end();
+    info(`Export: ${items} bookmark(s) as ${format}${complete ? "" : " (stopped on a repeated cursor)"}`);
+  } catch (e) {
+    if (!res.headersSent) return sendExportFailure(res, e);
+    // The status line is out: cutting the stream is the only way left to say so
+    err(`Export as ${format} failed mid-stream: ${e?.message || e}`, e);
+    res.destroy();
+  }
+}
@@ -0,0 +1,50 @@
+// feed.js
+//
+// GET /feed turns a saved search into a feed reader URL:
+//   /feed?query=tag:rust&limit=50&format=atom
+// It runs search-bookmarks through the normal pipeline (cache included) and
+// renders the items with format.js.
+
+import { getCachedOpenAPI } from "./openapi.js";
+import { isKaraKeepBookmarksPath } from "./tools.js";
+import { runTool } from "./router.js";
+import { FORMATS, negotiateFormat, renderBookmarks } from "./format.js";
+import { err } from "./logger.js";
+import { classifyException, sendError } from "./errors.js";
+
+function searchPath() {
+  const paths = Object.keys(getCachedOpenAPI()?.paths || {});
+  return paths.find(isKaraKeepBookmarksPath) || null;
+}
+
+// GET /feed?query=...&limit=...&format=rss|atom (default rss)
+export async function feedHandler(req, res) {
+  const path = searchPath();
+  if (!path) return sendError(res, "not_found", "No search-bookmarks tool upstream");
+
+  // An explicit ?format= must be a feed; Accept headers asking for anything else get RSS
+  const { format: asked, explicit } = negotiateFormat(req);
+  const format = asked === "rss" || asked === "atom" ? asked : explicit ? null : "rss";
+  if (!format) return sendError(res, "validation", "Feeds are available as rss or atom", { status: 406 });
+
+  const query = String(req.query.query ?? "");
+  const body = { query };
+  if (req.query.limit !== undefined) body.limit = req.query.limit;
+
+  try {
+    const { status, payload } = await runTool(path, { method: "post", body, requestId: req.id, client: req.auth });
+    if (status >= 400) return res.status(status).json(payload);
+
+    const self = `${req.protocol}://${req.get("host")}${req.originalUrl}`;
+    const title = query ? `KaraKeep: ${query}` : "KaraKeep bookmarks";
+    const text = renderBookmarks(format, payload.items || [], {
+      title,
+      link: self,
+      id: `urn:karakeep:search:${encodeURIComponent(query)}`,
+    });
+    res.type(FORMATS[format]).send(text);
+  } catch (e) {
+    err(`Feed failed for ${JSON.stringify(query)}: ${e?.message || e}`, e);
+    sendError(res, classifyException(e), "Feed generation failed");
+  }
+}
@@ -0,0 +1,185 @@
+// format.js
+//
+// Output formats for bookmark results, all rendered from the normalized
+// `items` (canonical bookmarks, see bookmark.js):
+//   json (default) · markdown · csv · jsonl · rss · atom
+//
+// The format comes from `?format=` or, failing that, the Accept header.
+// An explicit `?format=` we can't honour is a 406; an Accept header that asks
+// for something else just gets JSON (clients send "*/*" and friends).
+//
+// GET /feed (feed.js) uses the rss/atom renderers for saved searches.
+
+export const FORMATS = {
+  json: "application/json",
+  markdown: "text/markdown; charset=utf-8",
+  csv: "text/csv; charset=utf-8",
+  jsonl: "application/x-ndjson",
+  rss: "application/rss+xml; charset=utf-8",
+  atom: "application/atom+xml; charset=utf-8",
+};
+
+const FORMAT_ALIASES = { md: "markdown", ndjson: "jsonl", xml: "rss" };
+
+// Accept media types -> format (JSON is the fallback, so it isn't listed)
+const ACCEPT_TYPES = [
+  ["text/markdown", "markdown"],
+  ["text/csv", "csv"],
+  ["application/x-ndjson", "jsonl"],
+  ["application/jsonl", "jsonl"],
+  ["application/rss+xml", "rss"],
+  ["application/atom+xml", "atom"],
+];
+
+/**
+ * { format, explicit } for a request. `format` is null when `?format=` names
+ * something unknown (the caller answers 406).
+ */
+export function negotiateFormat(req) {
+  const q = req.query?.format;
+  if (q !== undefined) {
+    const name = String(Array.isArray(q) ? q[q.length - 1] : q).toLowerCase();
+    const format = FORMAT_ALIASES[name] || name;
+    return { format: FORMATS[format] ? format : null, explicit: true };
+  }
+  const accept = String(req.get?.("Accept") || "").toLowerCase();
+  const match = ACCEPT_TYPES.find(([type]) => accept.includes(type));
+  return { format: match ? match[1] : "json", explicit: false };
+}
+
+/* ------------------------------------------------------------------ */
+/* Renderers                                                           */
+/* ------------------------------------------------------------------ */
+
+function mdEscape(s) {
+  return String(s).replace(/([\\[\]*_`])/g, "\\$1");
+}
+
+export function renderMarkdown(items, { title } = {}) {
+  const lines = title ? [`# ${mdEscape(title)}`, ""] : [];
+  for (const b of items) {
+    const label = mdEscape(b.title || b.url || b.id);
+    lines.push(b.url ? `- [${label}](<${b.url}>)` : `- ${label}`);
+    if (b.description) lines.push(`  ${mdEscape(b.description)}`);
+    const meta = [];
+    if (b.tags?.length) meta.push(b.tags.map((t) => `\`${t}\``).join(" "));
+    if (b.createdAt) meta.push(b.createdAt.slice(0, 10));
+    if (b.author) meta.push(mdEscape(b.author));
+    if (meta.length) lines.push(`  ${meta.join(" · ")}`);
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+const CSV_COLUMNS = [
+  "id", "createdAt", "title", "url", "type", "tags",
+  "author", "publisher", "description", "summary", "note",
+];
+
+function csvCell(v) {
+  let s = Array.isArray(v) ? v.join("; ") : v == null ? "" : String(v);
+  // Spreadsheets execute cells starting with these; neutralize them
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function renderCSV(items) {
+  const rows = [CSV_COLUMNS.join(",")];
+  for (const b of items) rows.push(CSV_COLUMNS.map((c) => csvCell(b[c])).join(","));
+  return `${rows.join("\r\n")}\r\n`;
+}
+
+export function renderJSONL(items) {
+  return items.map((b) => JSON.stringify(b)).join("\n") + (items.length ? "\n" : "");
+}
+
+/** Escape text for XML and HTML (also used by export.js) */
+export function xml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+}
+
+function latestDate(items) {
+  const times = items.map((b) => Date.parse(b.createdAt)).filter(Number.isFinite);
+  return new Date(times.length ? Math.max(...times) : Date.now());
+}
+
+/** A Date for an ISO string, or null when it doesn't parse (feeds skip those) */
+function validDate(iso) {
+  const t = Date.parse(iso ?? "");
+  return Number.isFinite(t) ? new Date(t) : null;
+}
+
+export function renderRSS(items, { title = "KaraKeep bookmarks", link = "", description = "" } = {}) {
+  const out = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<rss version="2.0">`,
+    `<channel>`,
+    `<title>${xml(title)}</title>`,
+    `<link>${xml(link)}</link>`,
+    `<description>${xml(description || title)}</description>`,
+    `<lastBuildDate>${latestDate(items).toUTCString()}</lastBuildDate>`,
+  ];
+  for (const b of items) {
+    out.push(`<item>`);
+    out.push(`<title>${xml(b.title || b.url || b.id)}</title>`);
+    if (b.url) out.push(`<link>${xml(b.url)}</link>`);
+    out.push(`<guid isPermaLink="false">${xml(b.id)}</guid>`);
+    const published = validDate(b.createdAt);
+    if (published) out.push(`<pubDate>${published.toUTCString()}</pubDate>`);
+    if (b.description || b.summary) out.push(`<description>${xml(b.description || b.summary)}</description>`);
+    if (b.author) out.push(`<author>${xml(b.author)}</author>`);
+    for (const t of b.tags || []) out.push(`<category>${xml(t)}</category>`);
+    out.push(`</item>`);
+  }
+  out.push(`</channel>`, `</rss>`);
+  return `${out.join("\n")}\n`;
+}
+
+export function renderAtom(items, { title = "KaraKeep bookmarks", link = "", id = "urn:karakeep:bookmarks" } = {}) {
+  const out = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<feed xmlns="http://www.w3.org/2005/Atom">`,
+    `<title>${xml(title)}</title>`,
+    `<id>${xml(id)}</id>`,
+    `<updated>${latestDate(items).toISOString()}</updated>`,
+  ];
+  if (link) out.push(`<link rel="self" href="${xml(link)}"/>`);
+  for (const b of items) {
+    out.push(`<entry>`);
+    out.push(`<title>${xml(b.title || b.url || b.id)}</title>`);
+    out.push(`<id>urn:karakeep:bookmark:${xml(b.id)}</id>`);
+    if (b.url) out.push(`<link href="${xml(b.url)}"/>`);
+    const published = validDate(b.createdAt);
+    const updated = validDate(b.modifiedAt) || published || new Date();
+    out.push(`<updated>${updated.toISOString()}</updated>`);
+    if (published) out.push(`<published>${published.toISOString()}</published>`);
+    if (b.author) out.push(`<author><name>${xml(b.author)}</name></author>`);
+    if (b.description || b.summary) out.push(`<summary>${xml(b.description || b.summary)}</summary>`);
+    for (const t of b.tags || []) out.push(`<category term="${xml(t)}"/>`);
+    out.push(`</entry>`);
+  }
+  out.push(`</feed>`);
+  return `${out.join("\n")}\n`;
+}
+
+/** Render normalized bookmark items in a non-JSON format */
+export function renderBookmarks(format, items, meta = {}) {
+  switch (format) {
+    case "markdown":
+      return renderMarkdown(items, meta);
+    case "csv":
+      return renderCSV(items);
+    case "jsonl":
+      return renderJSONL(items);
+    case "rss":
+      return renderRSS(items, meta);
+    case "atom":
+      return renderAtom(items, meta);
+    default:
+      throw new Error(`Unknown format: ${format}`);
+  }
+}
@@ -1,14 +1,48 @@
-let openapiLoaded = false;
+import { SPEC_STALE_AFTER_MS } from "./config.js";
+import { breakerStatus } from "./breaker.js";
+import { queueStats } from "./limits.js";
+import { mirrorEnabled, mirrorStatus } from "./mirror.js";
+import { webhooksEnabled, webhooksStatus } from "./webhooks.js";
 
-export function markOpenAPILoaded(ok) {
-  openapiLoaded = !!ok;
+// OpenAPI load state: first success flips /health to 200; later refresh
+// failures keep serving the last good spec but are reported as "stale".
+const spec = { loadedAt: null, lastAttemptAt: null, lastError: null };
+
+export function markOpenAPILoaded(ok, e) {
+  spec.lastAttemptAt = Date.now();
+  if (ok) {
+    spec.loadedAt = spec.lastAttemptAt;
+    spec.lastError = null;
+  } else {
+    spec.lastError = e?.message || String(e || "unknown error");
+  }
 }
 
 export function isHealthy() {
-  return openapiLoaded;
+  return spec.loadedAt !== null;
+}
+
+/** Spec freshness for /health: unreachable on last attempt, or too old */
+export function specStatus() {
+  const age = spec.loadedAt === null ? null : Date.now() - spec.loadedAt;
+  const tooOld = SPEC_STALE_AFTER_MS > 0 && age !== null && age > SPEC_STALE_AFTER_MS;
+  return {
+    stale: spec.lastError !== null || tooOld,
+    loadedAt: spec.loadedAt && new Date(spec.loadedAt).toISOString(),
+    lastAttemptAt: spec.lastAttemptAt && new Date(spec.lastAttemptAt).toISOString(),
+    lastError: spec.lastError,
+  };
 }
 
 export function healthHandler(req, res) {
-  if (!isHealthy()) return res.status(503).json({ status: "starting" });
-  return res.json({ status: "ok" });
+  const upstream = { ...breakerStatus(), queue: queueStats() };
+  if (!isHealthy()) return res.status(503).json({ status: "starting", spec: specStatus(), upstream });
+  const status = specStatus();
+  // The shim itself is up, so stay 200; the body says what's wrong —
+  // "upstream_down" (breaker not closed) is KaraKeep/mcpo, not us.
+  const down = upstream.state === "open" || upstream.state === "half_open";
+  const body = { status: down ? "upstream_down" : status.stale ? "stale" : "ok", spec: status, upstream };
+  if (mirrorEnabled()) body.mirror = mirrorStatus();
+  if (webhooksEnabled()) body.webhooks = webhooksStatus();
+  return res.json(body);
 }
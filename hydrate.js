@@ -0,0 +1,90 @@
+// hydrate.js
+//
+// Why this file exists:
+// ---------------------
+// Search results carry only metadata, so answering a question from them took
+// one get-bookmark-content call per hit on top of the search. With
+// `"includeContent": true`, search inlines the content of its top hits:
+//  - the router fetches get-bookmark-content for the first `contentItems`
+//    bookmarks, BATCH_CONCURRENCY at a time, through the normal pipeline (so
+//    cached content is reused);
+//  - each item's Markdown is cut to a per-item budget, and all of them
+//    together to a total budget, spent in result order. Cuts land on a word
+//    boundary when one is close and are flagged with `truncated`;
+//  - budgets count characters, or estimated tokens (~4 characters each) with
+//    CONTENT_BUDGET_UNIT=tokens;
+//  - a hit whose content couldn't be fetched keeps its place, with the error
+//    under `content.error`; the search itself still succeeds.
+//
+// This module holds the budgeting; fetching is the caller's (router.js).
+
+import { mapWithConcurrency } from "./limits.js";
+
+const CHARS_PER_TOKEN = 4;
+
+/** Size of `text` in the budget unit */
+export function measure(text, unit = "chars") {
+  const chars = String(text ?? "").length;
+  return unit === "tokens" ? Math.ceil(chars / CHARS_PER_TOKEN) : chars;
+}
+
+/** A budget in `unit` as a character count */
+function budgetChars(budget, unit) {
+  return unit === "tokens" ? budget * CHARS_PER_TOKEN : budget;
+}
+
+/**
+ * Cut `text` to at most `maxChars`, backing up to the last whitespace when
+ * that keeps at least 80% of the budget, and never splitting a surrogate pair.
+ */
+export function truncateText(text, maxChars) {
+  const s = String(text ?? "");
+  if (s.length <= maxChars) return { text: s, truncated: false };
+  let cut = Math.max(0, maxChars);
+  const code = s.charCodeAt(cut - 1);
+  if (code >= 0xd800 && code <= 0xdbff) cut--;
+  const space = s.slice(0, cut).search(/\s\S*$/);
+  if (space >= cut * 0.8) cut = space;
+  return { text: s.slice(0, cut).trimEnd(), truncated: true };
+}
+
+/**
+ * Add `content` to the first `count` items. `fetchContent(item)` resolves to
+ * `{ markdown }` or `{ error }` (an error envelope's `error`) and must not throw.
+ *
+ * Each hydrated item gets `content: { markdown, truncated, length }`, where
+ * `length` is the full content's size in `unit`; a failed one gets
+ * `content: { markdown: null, truncated: false, length: null, error }`.
+ * @returns {Promise<{ items: object[], stats: object }>}
+ */
+export async function hydrateItems(
+  items,
+  fetchContent,
+  { count, itemBudget, totalBudget, unit = "chars", concurrency = 4 }
+) {
+  const top = items.slice(0, Math.max(0, count));
+  const fetched = await mapWithConcurrency(top, concurrency, (item) => fetchContent(item));
+
+  const perItem = budgetChars(itemBudget, unit);
+  let remaining = budgetChars(totalBudget, unit);
+  let usedChars = 0;
+  const stats = { items: top.length, fetched: 0, failed: 0, truncated: 0, used: 0, unit };
+
+  const out = items.map((item, i) => {
+    if (i >= top.length) return item;
+    const r = fetched[i];
+    if (r.error) {
+      stats.failed++;
+      return { ...item, content: { markdown: null, truncated: false, length: null, error: r.error } };
+    }
+    const { text, truncated } = truncateText(r.markdown, Math.min(perItem, remaining));
+    remaining -= text.length;
+    usedChars += text.length;
+    stats.fetched++;
+    if (truncated) stats.truncated++;
+    return { ...item, content: { markdown: text, truncated, length: measure(r.markdown, unit) } };
+  });
+
+  stats.used = unit === "tokens" ? Math.ceil(usedChars / CHARS_PER_TOKEN) : usedChars;
+  return { items: out, stats };
+}
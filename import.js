@@ -0,0 +1,523 @@
+// import.js
+//
+// Why this file exists:
+// ---------------------
+// create-bookmark takes one bookmark per call, so moving a library over from
+// another tool meant a hand-written curl loop. POST /import takes a whole
+// export and replays it through the normal tool pipeline (runTool):
+//  - formats: a Netscape bookmark file (every browser; Pocket, Raindrop and
+//    Pinboard export it too), a Pocket or Raindrop CSV export (any CSV with a
+//    `url` column), or plain URLs, one per line. Detected from the content
+//    unless `format` says otherwise;
+//  - each new URL is created with create-bookmark, then gets its tags
+//    (attach-tag-to-bookmark) and its folder (add-bookmark-to-list). Folders
+//    map to lists by name, nested like the folders; missing lists are created
+//    first, once each, with create-list;
+//  - URLs already in the library (one search-bookmarks walk) and repeats
+//    within the file are skipped, comparing canonical URLs (canonical-url.js);
+//  - the answer is a report with one row per entry. With `dryRun` the shim
+//    parses, walks the library and matches lists, and reports what it would
+//    do without writing anything;
+//  - like /batch, an import costs a rate-limit token per upstream call it can
+//    make, reads included, charged before it starts. The library walk counts
+//    as one, as /export does: its length isn't known until it has run.
+// A bookmark whose tags or list can't be attached is still `created`, with
+// the failed steps under `warnings`.
+
+import { EXPORT_PAGE_SIZE, IMPORT_CONCURRENCY, IMPORT_MAX_ENTRIES } from "./config.js";
+import { getCachedOpenAPI } from "./openapi.js";
+import { fetchLists, queryFlag, runTool, walkLibrary } from "./router.js";
+import { flattenLists } from "./transformers.js";
+import { findToolPath, isKaraKeepBookmarksPath } from "./tools.js";
+import { chargeCalls, mapWithConcurrency } from "./limits.js";
+import { canonicalUrls } from "./canonical-url.js";
+import { compileValidator } from "./validate.js";
+import { classifyException, errorBody, sendError, statusFor } from "./errors.js";
+import { err, info } from "./logger.js";
+
+export const IMPORT_FORMATS = ["netscape", "csv", "urls"];
+
+// Icon of the lists an import creates (create-list requires one)
+const LIST_ICON = "📁";
+
+function importError(message) {
+  const e = new Error(message);
+  e.name = "ImportError";
+  return e;
+}
+
+/** The `error` of an envelope, for report rows */
+function rowError(code, message, { requestId }) {
+  return errorBody(code, message, { requestId }).error;
+}
+
+/* ------------------------------------------------------------------ */
+/* Parsing                                                             */
+/* ------------------------------------------------------------------ */
+
+// Every parser returns entries: { line, url, title, tags, folder }, where
+// `folder` is the path of folder names from the top, [] for none.
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+function decodeEntities(text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] !== "#") return ENTITIES[e.toLowerCase()] ?? m;
+    const code = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+    return code <= 0x10ffff ? String.fromCodePoint(code) : m;
+  });
+}
+
+function innerText(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, "")).replace(/\s+/g, " ").trim();
+}
+
+function attributes(source) {
+  const attrs = {};
+  for (const m of source.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+    attrs[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3] ?? m[4]);
+  }
+  return attrs;
+}
+
+/** Trimmed, non-empty tags of a delimited string, first spelling of each kept */
+function splitTags(value, separator) {
+  const tags = new Map();
+  for (const t of String(value ?? "").split(separator)) {
+    const tag = t.trim();
+    if (tag && !tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+  }
+  return [...tags.values()];
+}
+
+const NETSCAPE_TOKEN = /<(\/?)(dl|h3|a)\b([^>]*)>/gi;
+
+// Attributes of the browser's own top folders ("Bookmarks bar", "Other bookmarks")
+const ROOT_FOLDER_ATTRS = ["personal_toolbar_folder", "unfiled_bookmarks_folder"];
+
+/**
+ * Links of a Netscape bookmark file. <H3> headings name the folder of the
+ * <DL> that follows them, except the browser's own top folders; TAGS is a
+ * comma-separated attribute of <A>.
+ */
+export function parseNetscape(html) {
+  const lower = html.toLowerCase();
+  const entries = [];
+  const folders = []; // heading of each open <DL>; null for one without a heading
+  let heading = null;
+  let line = 1;
+  let counted = 0;
+  const lineAt = (index) => {
+    for (; counted < index; counted++) if (html.charCodeAt(counted) === 10) line++;
+    return line;
+  };
+  // Text up to the closing tag, moving the scanner past it
+  const textUntil = (closing, re) => {
+    const end = lower.indexOf(closing, re.lastIndex);
+    const text = innerText(html.slice(re.lastIndex, end < 0 ? undefined : end));
+    re.lastIndex = end < 0 ? html.length : end + closing.length;
+    return text;
+  };
+
+  const re = new RegExp(NETSCAPE_TOKEN.source, "gi");
+  for (let m; (m = re.exec(html)); ) {
+    const [, close, tag, attrs] = m;
+    const name = tag.toLowerCase();
+    if (name === "dl") {
+      if (close) folders.pop();
+      else folders.push(heading);
+      heading = null;
+    } else if (close) {
+      continue;
+    } else if (name === "h3") {
+      const root = ROOT_FOLDER_ATTRS.some((k) => k in attributes(attrs));
+      const text = textUntil("</h3>", re);
+      heading = root ? null : text || null;
+    } else {
+      const at = lineAt(m.index);
+      const a = attributes(attrs);
+      entries.push({
+        line: at,
+        url: (a.href ?? "").trim(),
+        title: textUntil("</a>", re) || null,
+        tags: splitTags(a.tags, ","),
+        folder: folders.filter(Boolean),
+      });
+    }
+  }
+  return entries;
+}
+
+/** Rows of an RFC 4180 CSV as { line, cells }; blank rows dropped */
+export function csvRows(text) {
+  const rows = [];
+  let cells = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  const endRow = () => {
+    cells.push(field);
+    if (cells.some((c) => c.trim() !== "")) rows.push({ line: rowLine, cells });
+    cells = [];
+    field = "";
+  };
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c !== '"') {
+        if (c === "\n") line++;
+        field += c;
+      } else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      cells.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      endRow();
+      rowLine = ++line;
+    } else {
+      field += c;
+    }
+  }
+  if (field !== "" || cells.length) endRow();
+  return rows;
+}
+
+/**
+ * Entries of a CSV with a header row and a `url` column. Pocket's columns are
+ * title, url, time_added, tags ("a|b"), status; Raindrop's include title,
+ * url, folder ("Parent/Child") and tags ("a, b").
+ */
+export function parseCsv(text) {
+  const rows = csvRows(text);
+  const header = (rows.shift()?.cells || []).map((h) => h.trim().toLowerCase());
+  const col = (name) => header.indexOf(name);
+  const [url, title, tags, folder] = [col("url"), col("title"), col("tags"), col("folder")];
+  if (url < 0) throw importError("The CSV has no url column");
+  return rows.map(({ line, cells }) => ({
+    line,
+    url: (cells[url] ?? "").trim(),
+    title: cells[title]?.trim() || null,
+    tags: splitTags(cells[tags], /[|,]/),
+    folder: folderPath(cells[folder]),
+  }));
+}
+
+/** "Parent/Child" -> ["Parent", "Child"]; Raindrop's "Unsorted" is no folder */
+function folderPath(value) {
+  const path = String(value ?? "")
+    .split("/")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  return path.length === 1 && path[0].toLowerCase() === "unsorted" ? [] : path;
+}
+
+/** One URL per line; blank lines and #-comments skipped */
+export function parseUrlList(text) {
+  const entries = [];
+  text.split(/\r\n|\r|\n/).forEach((raw, i) => {
+    const url = raw.trim();
+    if (url && !url.startsWith("#")) entries.push({ line: i + 1, url, title: null, tags: [], folder: [] });
+  });
+  return entries;
+}
+
+/** "netscape", "csv" or "urls", from the content */
+export function detectFormat(text) {
+  if (/^\s*<!DOCTYPE\s+NETSCAPE-Bookmark-file/i.test(text) || /<a\s[^>]*href\s*=/i.test(text)) return "netscape";
+  const header = csvRows(text.split(/\r?\n/, 1)[0] ?? "")[0]?.cells || [];
+  if (header.length > 1 && header.some((h) => h.trim().toLowerCase() === "url")) return "csv";
+  return "urls";
+}
+
+const PARSERS = { netscape: parseNetscape, csv: parseCsv, urls: parseUrlList };
+
+/**
+ * Entries of an import file, as `{ format, entries }`. `format` "auto" (or
+ * none) detects it. Throws an ImportError the file can't be read as.
+ */
+export function parseImport(text, format = "auto") {
+  const body = String(text ?? "").replace(/^\uFEFF/, "");
+  const used = !format || format === "auto" ? detectFormat(body) : format;
+  if (!PARSERS[used]) throw importError(`Import formats are ${IMPORT_FORMATS.join(", ")} (or auto)`);
+  return { format: used, entries: PARSERS[used](body) };
+}
+
+/* ------------------------------------------------------------------ */
+/* Lists                                                               */
+/* ------------------------------------------------------------------ */
+
+const folderKey = (folder) => JSON.stringify(folder);
+
+/**
+ * The list of each folder path, creating missing ones (dry run: pretending
+ * to). Lists match by name under the same parent, ignoring case. Returns
+ * `{ byFolder: Map(folderKey -> { id } | { error }), lists }`, `lists` being
+ * the report rows of the lists that were (or would be) created.
+ */
+async function resolveFolders(folders, { tools, dryRun, opts }) {
+  const byFolder = new Map();
+  const lists = [];
+  if (folders.length === 0) return { byFolder, lists };
+  if (!tools.addToList) {
+    const error = rowError("not_found", "No add-bookmark-to-list tool upstream", opts);
+    for (const folder of folders) byFolder.set(folderKey(folder), { error });
+    return { byFolder, lists };
+  }
+
+  const known = tools.getLists ? flattenLists(await fetchLists(tools.getLists, opts)) : [];
+  const find = (name, parentId) =>
+    known.find((l) => (l.parentId ?? null) === parentId && l.name?.toLowerCase() === name.toLowerCase());
+  let planned = 0;
+
+  for (const folder of folders) {
+    let parentId = null;
+    let error = null;
+    for (let depth = 0; depth < folder.length && !error; depth++) {
+      const name = folder[depth];
+      const found = find(name, parentId);
+      if (found) {
+        parentId = found.id;
+        continue;
+      }
+      const row = { name, folder: folder.slice(0, depth + 1) };
+      if (dryRun) {
+        const id = `planned-${++planned}`;
+        known.push({ id, name, parentId });
+        lists.push({ ...row, status: "would_create" });
+        parentId = id;
+        continue;
+      }
+      if (!tools.createList) {
+        error = rowError("not_found", "No create-list tool upstream", opts);
+        lists.push({ ...row, status: "failed", error });
+        break;
+      }
+      const body = { name, icon: LIST_ICON };
+      if (parentId) body.parentId = parentId;
+      const { status, payload } = await runTool(tools.createList, { body, ...opts });
+      if (status >= 400) {
+        error = payload.error;
+        lists.push({ ...row, status: "failed", error });
+        break;
+      }
+      known.push(payload);
+      lists.push({ ...row, status: "created", id: payload.id });
+      parentId = payload.id;
+    }
+    byFolder.set(folderKey(folder), error ? { error } : { id: parentId });
+  }
+  return { byFolder, lists };
+}
+
+/* ------------------------------------------------------------------ */
+/* Importing                                                           */
+/* ------------------------------------------------------------------ */
+
+/** runTool that reports a thrown failure like a returned one */
+async function call(path, body, opts) {
+  try {
+    return await runTool(path, { body, ...opts });
+  } catch (e) {
+    const code = classifyException(e);
+    if (code === "internal") err(`Import call error on ${path}: ${e?.message || e}`, e);
+    const message = `Import call to ${path} failed: ${e?.message || e}`;
+    return { status: statusFor(code), payload: errorBody(code, message, { requestId: opts.requestId }) };
+  }
+}
+
+/** Create one bookmark, then attach its tags and list; the entry's report row */
+async function createEntry(row, { tools, list, opts }) {
+  // Already checked against the library; skip create-bookmark's own check
+  const body = { type: "link", content: row.url, force: true };
+  if (row.title) body.title = row.title;
+  const created = await call(tools.create, body, opts);
+  if (created.status >= 400) return { ...row, status: "failed", error: created.payload.error };
+
+  const bookmarkId = created.payload.id;
+  const warnings = [];
+  if (row.tags.length) {
+    if (!tools.attachTags) {
+      warnings.push({ step: "tags", error: rowError("not_found", "No attach-tag-to-bookmark tool upstream", opts) });
+    } else {
+      const r = await call(tools.attachTags, { bookmarkId, tagsToAttach: row.tags }, opts);
+      if (r.status >= 400) warnings.push({ step: "tags", error: r.payload.error });
+    }
+  }
+  if (list?.error) {
+    warnings.push({ step: "list", error: list.error });
+  } else if (list) {
+    const r = await call(tools.addToList, { bookmarkId, listId: list.id }, opts);
+    if (r.status >= 400) warnings.push({ step: "list", error: r.payload.error });
+  }
+  const done = { ...row, status: "created", bookmarkId };
+  if (warnings.length) done.warnings = warnings;
+  return done;
+}
+
+/**
+ * Upstream calls an import can make, for rate limiting: the library walk (as
+ * one), get-lists and a create-list per folder when there are folders, then
+ * per entry create-bookmark, plus attach-tag-to-bookmark and
+ * add-bookmark-to-list when it has tags or a folder. A dry run only reads.
+ */
+function importCalls(entries, { dryRun, tags }) {
+  const folders = new Set();
+  for (const { folder } of entries) {
+    for (let depth = 1; depth <= folder.length; depth++) folders.add(folderKey(folder.slice(0, depth)));
+  }
+  let calls = 1 + (folders.size ? 1 : 0);
+  if (dryRun) return calls;
+  calls += folders.size;
+  for (const entry of entries) calls += 1 + (entry.tags.length || tags.length ? 1 : 0) + (entry.folder.length ? 1 : 0);
+  return calls;
+}
+
+/**
+ * Import parsed entries; `{ entries, lists, summary }`, `entries` being one
+ * report row per entry, in file order. `tags` go on every new bookmark.
+ */
+export async function runImport(entries, { dryRun = false, tags = [], client = null, requestId = null } = {}) {
+  const opts = { client, requestId };
+  const paths = getCachedOpenAPI()?.paths;
+  const tools = {
+    search: Object.keys(paths || {}).find(isKaraKeepBookmarksPath),
+    create: findToolPath(paths, "create-bookmark"),
+    attachTags: findToolPath(paths, "attach-tag-to-bookmark"),
+    getLists: findToolPath(paths, "get-lists"),
+    createList: findToolPath(paths, "create-list"),
+    addToList: findToolPath(paths, "add-bookmark-to-list"),
+  };
+  if (!tools.search || !tools.create) throw importError("Import needs the search-bookmarks and create-bookmark tools");
+
+  const library = [];
+  await walkLibrary(
+    tools.search,
+    (page) => {
+      library.push(...page);
+    },
+    { pageSize: EXPORT_PAGE_SIZE, ...opts }
+  );
+
+  // Library and file URLs are keyed together, so an AMP URL on either side matches its page on the other
+  const keys = canonicalUrls([...library.map((b) => b.url), ...entries.map((e) => e.url)]);
+  const entryKeys = keys.slice(library.length);
+  // URL key -> id of the bookmark the library already has for it
+  const existing = new Map();
+  library.forEach((b, i) => {
+    if (keys[i] && !existing.has(keys[i])) existing.set(keys[i], b.id);
+  });
+
+  // Report rows in file order; `todo` holds the indexes of the new URLs
+  const rows = [];
+  const todo = [];
+  const seen = new Set();
+  for (const [i, entry] of entries.entries()) {
+    const row = { ...entry, tags: splitTags([...entry.tags, ...tags].join("\n"), "\n") };
+    const key = entryKeys[i];
+    if (!key) {
+      rows.push({ ...row, status: "invalid", error: rowError("validation", "Not an http(s) URL", opts) });
+    } else if (existing.has(key)) {
+      rows.push({ ...row, status: "exists", bookmarkId: existing.get(key) });
+    } else if (seen.has(key)) {
+      rows.push({ ...row, status: "duplicate" });
+    } else {
+      seen.add(key);
+      todo.push(rows.length);
+      rows.push({ ...row, status: "would_create" });
+    }
+  }
+
+  const folders = new Map();
+  for (const i of todo) {
+    if (rows[i].folder.length) folders.set(folderKey(rows[i].folder), rows[i].folder);
+  }
+  const { byFolder, lists } = await resolveFolders([...folders.values()], { tools, dryRun, opts });
+
+  if (!dryRun) {
+    const done = await mapWithConcurrency(todo, IMPORT_CONCURRENCY, (i) => {
+      const row = rows[i];
+      return createEntry(row, { tools, list: row.folder.length ? byFolder.get(folderKey(row.folder)) : null, opts });
+    });
+    todo.forEach((i, n) => {
+      rows[i] = done[n];
+    });
+  }
+
+  const summary = { entries: rows.length };
+  for (const status of ["created", "would_create", "exists", "duplicate", "invalid", "failed"]) {
+    summary[status] = rows.filter((r) => r.status === status).length;
+  }
+  return { entries: rows, lists, summary };
+}
+
+/* ------------------------------------------------------------------ */
+/* POST /import                                                        */
+/* ------------------------------------------------------------------ */
+
+const validateImport = compileValidator({
+  type: "object",
+  properties: {
+    data: { type: "string", minLength: 1 },
+    format: { type: "string", enum: ["auto", ...IMPORT_FORMATS] },
+    dryRun: { type: "boolean" },
+    tags: { type: "array", items: { type: "string", minLength: 1 } },
+  },
+  required: ["data"],
+  additionalProperties: false,
+});
+
+/**
+ * The import as `{ data, format, dryRun, tags }`: from a JSON body, or from a
+ * raw file body with the options in the query string.
+ */
+function importRequest(req) {
+  if (typeof req.body === "string") {
+    const body = { data: req.body, dryRun: queryFlag(req.query.dryRun) };
+    if (req.query.format) body.format = String(req.query.format);
+    if (req.query.tags) body.tags = splitTags(req.query.tags, ",");
+    return validateImport(body);
+  }
+  return validateImport(req.body);
+}
+
+// POST /import { data, format?, dryRun?, tags? }, or the file itself (?format=&dryRun=1&tags=a,b)
+export async function importHandler(req, res) {
+  const check = importRequest(req);
+  if (!check.ok) return sendError(res, "validation", "Request body failed validation", { details: check.errors });
+  const { data, format, dryRun = false, tags = [] } = check.value;
+
+  let parsed;
+  try {
+    parsed = parseImport(data, format);
+  } catch (e) {
+    return sendError(res, "validation", e.message);
+  }
+  if (parsed.entries.length > IMPORT_MAX_ENTRIES) {
+    return sendError(res, "validation", `${parsed.entries.length} entries; one import takes at most ${IMPORT_MAX_ENTRIES}`, {
+      status: 413,
+    });
+  }
+  if (!chargeCalls(req, res, importCalls(parsed.entries, { dryRun, tags }))) return;
+
+  try {
+    const report = await runImport(parsed.entries, { dryRun, tags, client: req.auth, requestId: req.id });
+    info(`Import${dryRun ? " (dry run)" : ""}: ${parsed.format}`, report.summary);
+    res.set("Cache-Control", "no-store");
+    res.json({ format: parsed.format, dryRun, ...report });
+  } catch (e) {
+    if (e?.payload?.error) return res.status(e.status).json(e.payload);
+    if (e?.name === "ImportError") return sendError(res, "not_found", e.message);
+    const code = classifyException(e);
+    if (code === "internal") err(`Import failed: ${e?.message || e}`, e);
+    sendError(res, code, `Import failed: ${e?.message || e}`);
+  }
+}
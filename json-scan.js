@@ -0,0 +1,201 @@
+// json-scan.js
+//
+// Why this file exists:
+// ---------------------
+// The parser's rescue for JSON embedded in prose used /\{[\s\S]*\}/, which
+// grabs from the first `{` to the last `}`: two JSON objects in one text, or
+// a stray brace in the prose around them, and nothing was recovered. This is
+// a balanced-bracket scanner instead:
+//  - it tracks strings and escapes, so brackets inside strings don't count;
+//  - it finds every top-level object/array in the text, not just the first
+//    (scalars are ignored; in prose they're just words and numbers);
+//  - a candidate that turns out not to be JSON (`{like this}` in prose,
+//    mismatched brackets, an unterminated string) is rescanned from the
+//    character after its opening bracket, so JSON after it is still found;
+//  - it can be fed in chunks (createJSONScanner). Only the text from the open
+//    candidate on is held; prose between values is dropped as it is scanned.
+//
+// Rescanning is what makes this expensive: text full of unmatched brackets
+// would be scanned to its end once per bracket. Two things keep it linear:
+//  - brackets still open (outside strings) when a candidate fails would fail
+//    the same way if they started a candidate, so they are skipped, not
+//    rescanned;
+//  - what's left (nested brackets around text that isn't JSON) is capped by a
+//    work budget of SCAN_WORK_PER_CHAR characters scanned or parsed per
+//    character of input. Past it the scan stops with the values found so far
+//    and logs a warning: values later in the text are lost.
+
+import { warn } from "./logger.js";
+
+const OPEN = { "{": "}", "[": "]" };
+
+// Characters scanned or parsed, per character of input, before giving up
+const SCAN_WORK_PER_CHAR = 8;
+
+/**
+ * Incremental scanner. `onValue(value)` is called for each top-level JSON
+ * object/array as soon as it closes; return `false` from it to stop scanning.
+ * Chunks split anywhere give the same values as one write.
+ *
+ *   const scanner = createJSONScanner((v) => values.push(v));
+ *   for await (const chunk of stream) scanner.write(chunk);
+ *   const { exhausted } = scanner.end();
+ *
+ * `end()` reports `exhausted: true` when the work budget ran out before the
+ * text did.
+ */
+export function createJSONScanner(onValue) {
+  // The text still needed, as written: appending to one string and indexing
+  // it would copy the whole open candidate on every write
+  const parts = [];
+  const starts = []; // offset of each part in the whole input
+  let hint = 0; // index of the part the last lookup landed in
+  let length = 0; // characters written so far
+  let pos = 0; // where the next candidate is looked for
+  let candidate = null; // { start, at, stack, closers, inString, escaped }; `at` is its next character
+  const dead = new Set(); // opening brackets known to start no candidate
+  let budget = 0;
+  let stopped = false;
+  let exhausted = false;
+
+  function charAt(i) {
+    if (hint >= parts.length || i < starts[hint]) {
+      let lo = 0;
+      let hi = parts.length - 1;
+      while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (starts[mid] <= i) lo = mid;
+        else hi = mid - 1;
+      }
+      hint = lo;
+    }
+    while (i >= starts[hint] + parts[hint].length) hint++;
+    return parts[hint][i - starts[hint]];
+  }
+
+  function slice(from, to) {
+    let out = "";
+    for (let k = 0; k < parts.length && starts[k] < to; k++) {
+      const end = starts[k] + parts[k].length;
+      if (end > from) out += parts[k].slice(Math.max(0, from - starts[k]), to - starts[k]);
+    }
+    return out;
+  }
+
+  /**
+   * Advance the open candidate up to the end of the text written so far.
+   * Returns { end } when its brackets balance, { failed: true } on a
+   * mismatched bracket, or null when it needs more text.
+   */
+  function advance(c) {
+    const from = c.at;
+    let result = null;
+    for (; c.at < length; c.at++) {
+      const ch = charAt(c.at);
+
+      if (c.inString) {
+        if (c.escaped) c.escaped = false;
+        else if (ch === "\\") c.escaped = true;
+        else if (ch === '"') c.inString = false;
+        continue;
+      }
+
+      if (ch === '"') {
+        c.inString = true;
+      } else if (OPEN[ch]) {
+        c.stack.push(c.at);
+        c.closers.push(OPEN[ch]);
+      } else if (ch === "}" || ch === "]") {
+        if (c.closers[c.closers.length - 1] !== ch) {
+          result = { failed: true };
+          break;
+        }
+        c.stack.pop();
+        c.closers.pop();
+        if (c.stack.length === 0) {
+          result = { end: c.at };
+          break;
+        }
+      }
+    }
+    budget -= c.at - from;
+    return result;
+  }
+
+  /** Scan as far as the text written so far allows; `final` once there is no more */
+  function run(final) {
+    while (!stopped) {
+      if (!candidate) {
+        while (pos < length && (!OPEN[charAt(pos)] || dead.has(pos))) pos++;
+        if (pos >= length) break;
+        if (budget <= 0) {
+          if (!final) break; // wait for the rest of the text, and its budget
+          exhausted = stopped = true;
+          warn(`JSON scan ran out of work budget at character ${pos} of ${length}; later values are dropped`);
+          break;
+        }
+        const closers = [OPEN[charAt(pos)]];
+        candidate = { start: pos, at: pos + 1, stack: [pos], closers, inString: false, escaped: false };
+      }
+
+      const c = candidate;
+      const r = advance(c);
+      if (!r && !final) break;
+      candidate = null;
+      pos = c.start + 1;
+
+      if (!r || r.failed) {
+        // Unterminated or mismatched: its brackets still open can't start a value either
+        for (const p of c.stack) dead.add(p);
+        continue;
+      }
+
+      budget -= 2 * (r.end - c.start + 1);
+      let value;
+      try {
+        value = JSON.parse(slice(c.start, r.end + 1));
+      } catch {
+        continue; // not JSON after all: carry on from the character after the bracket
+      }
+      pos = r.end + 1;
+      if (onValue(value) === false) stopped = true;
+    }
+
+    // Drop the parts a later write can no longer need
+    const keep = stopped ? length : (candidate?.start ?? pos);
+    let drop = 0;
+    while (drop < parts.length && starts[drop] + parts[drop].length <= keep) drop++;
+    parts.splice(0, drop);
+    starts.splice(0, drop);
+    hint = Math.max(0, hint - drop);
+  }
+
+  return {
+    write(chunk) {
+      if (stopped) return;
+      chunk = String(chunk);
+      if (!chunk) return;
+      parts.push(chunk);
+      starts.push(length);
+      length += chunk.length;
+      budget += chunk.length * SCAN_WORK_PER_CHAR;
+      run(false);
+    },
+    end() {
+      run(true);
+      stopped = true;
+      parts.length = starts.length = 0;
+      return { exhausted };
+    },
+  };
+}
+
+/** Every top-level JSON object/array in `text`, in order (at most `limit`) */
+export function findJSONValues(text, { limit = Infinity } = {}) {
+  const values = [];
+  if (limit <= 0) return values;
+  const scanner = createJSONScanner((v) => values.push(v) < limit);
+  scanner.write(text);
+  scanner.end();
+  return values;
+}
@@ -0,0 +1,191 @@
+// limits.js
+//
+// Why this file exists:
+// ---------------------
+// An agent loop can fire dozens of parallel get-bookmark-content calls, and
+// the router used to forward all of them to mcpo at once — which overloads
+// its single MCP stdio process. Two guards:
+//  - rateLimit: a token bucket per client (API key label, else IP) that
+//    answers 429 `rate_limited` with Retry-After once the bucket is empty.
+//    Requests that fan out (/batch, /import, search with `all` or
+//    `includeContent`) pay a token per upstream call (chargeCalls);
+//  - withUpstreamSlot: a global cap of UPSTREAM_CONCURRENCY upstream calls.
+//    Excess calls wait in a bounded FIFO queue; a full queue or a wait longer
+//    than UPSTREAM_QUEUE_TIMEOUT_MS fails the call with a 429 as well.
+// Queue times are tracked for /health (queueStats). mapWithConcurrency bounds
+// the fan-out of a single request (batch.js, hydrate.js) on top of that.
+
+import {
+  RATE_LIMIT_RPS,
+  RATE_LIMIT_BURST,
+  UPSTREAM_CONCURRENCY,
+  UPSTREAM_QUEUE_MAX,
+  UPSTREAM_QUEUE_TIMEOUT_MS,
+} from "./config.js";
+import { warn } from "./logger.js";
+import { sendError } from "./errors.js";
+
+/* ------------------------------------------------------------------ */
+/* Per-client token buckets                                            */
+/* ------------------------------------------------------------------ */
+
+const buckets = new Map(); // client id -> { tokens, updatedAt }
+
+// Not limited: orchestrator probes and scrapes
+const UNLIMITED_PATHS = new Set(["/health", "/metrics"]);
+
+function clientId(req) {
+  return req.auth ? `key:${req.auth.label}` : `ip:${req.ip}`;
+}
+
+/** Take `n` tokens; returns ms until there are enough when the bucket is short */
+function take(id, n = 1, now = Date.now()) {
+  const b = buckets.get(id) || { tokens: RATE_LIMIT_BURST, updatedAt: now };
+  b.tokens = Math.min(RATE_LIMIT_BURST, b.tokens + ((now - b.updatedAt) / 1000) * RATE_LIMIT_RPS);
+  b.updatedAt = now;
+  buckets.set(id, b);
+  if (b.tokens >= n) {
+    b.tokens -= n;
+    return { ok: true, remaining: Math.floor(b.tokens) };
+  }
+  return { ok: false, retryInMs: ((n - b.tokens) / RATE_LIMIT_RPS) * 1000 };
+}
+
+// Forget buckets that have refilled completely; they'd start full anyway
+if (RATE_LIMIT_RPS > 0) {
+  setInterval(() => {
+    const now = Date.now();
+    for (const [id, b] of buckets) {
+      if (b.tokens + ((now - b.updatedAt) / 1000) * RATE_LIMIT_RPS >= RATE_LIMIT_BURST) buckets.delete(id);
+    }
+  }, 60000).unref();
+}
+
+/** Express middleware; a no-op unless RATE_LIMIT_RPS > 0 */
+export function rateLimit(req, res, next) {
+  if (!(RATE_LIMIT_RPS > 0) || UNLIMITED_PATHS.has(req.path)) return next();
+  const id = clientId(req);
+  const r = take(id);
+  if (r.ok) {
+    res.set("X-RateLimit-Remaining", String(r.remaining));
+    return next();
+  }
+  const seconds = Math.max(1, Math.ceil(r.retryInMs / 1000));
+  warn(`Rate limit: rejected ${req.method} ${req.path} for ${id}`);
+  res.set("Retry-After", String(seconds));
+  return sendError(res, "rate_limited", `Too many requests; retry in ${seconds}s`);
+}
+
+/**
+ * Charge `n` more tokens to a request that already passed rateLimit (a batch
+ * costs one per call). Capped so that request plus charge never exceed the
+ * burst size: any batch can go through once the bucket is full. Same result
+ * shape as take().
+ */
+export function chargeTokens(req, n) {
+  if (!(RATE_LIMIT_RPS > 0) || n <= 0) return { ok: true };
+  return take(clientId(req), Math.min(n, RATE_LIMIT_BURST - 1));
+}
+
+/**
+ * Charge a request that makes `calls` upstream calls its remaining tokens
+ * (rateLimit took one). Sends the 429 and returns false when short.
+ */
+export function chargeCalls(req, res, calls) {
+  const charge = chargeTokens(req, calls - 1);
+  if (charge.ok) return true;
+  const seconds = Math.max(1, Math.ceil(charge.retryInMs / 1000));
+  res.set("Retry-After", String(seconds));
+  sendError(res, "rate_limited", `${calls} upstream calls need more rate-limit tokens; retry in ${seconds}s`);
+  return false;
+}
+
+/* ------------------------------------------------------------------ */
+/* Upstream concurrency                                                */
+/* ------------------------------------------------------------------ */
+
+let active = 0;
+const queue = []; // FIFO of { grant, enqueuedAt }
+const stats = { calls: 0, queued: 0, granted: 0, rejected: 0, totalWaitMs: 0, maxWaitMs: 0 };
+
+function busyError(message) {
+  const e = new Error(message);
+  e.name = "UpstreamBusyError";
+  return e;
+}
+
+function acquireSlot() {
+  stats.calls++;
+  if (!(UPSTREAM_CONCURRENCY > 0) || active < UPSTREAM_CONCURRENCY) {
+    active++;
+    return Promise.resolve();
+  }
+  if (queue.length >= UPSTREAM_QUEUE_MAX) {
+    stats.rejected++;
+    return Promise.reject(busyError(`Upstream queue full (${UPSTREAM_QUEUE_MAX} waiting)`));
+  }
+
+  stats.queued++;
+  return new Promise((resolve, reject) => {
+    const waiter = { enqueuedAt: Date.now() };
+    const timer = setTimeout(() => {
+      queue.splice(queue.indexOf(waiter), 1);
+      stats.rejected++;
+      reject(busyError(`Waited ${UPSTREAM_QUEUE_TIMEOUT_MS}ms for an upstream slot`));
+    }, UPSTREAM_QUEUE_TIMEOUT_MS);
+    waiter.grant = () => {
+      clearTimeout(timer);
+      const waited = Date.now() - waiter.enqueuedAt;
+      stats.granted++;
+      stats.totalWaitMs += waited;
+      stats.maxWaitMs = Math.max(stats.maxWaitMs, waited);
+      resolve();
+    };
+    queue.push(waiter);
+  });
+}
+
+function releaseSlot() {
+  const next = queue.shift();
+  // Hand the slot straight to the next waiter; `active` stays the same
+  if (next) next.grant();
+  else active--;
+}
+
+/** Run `fn` holding one of the UPSTREAM_CONCURRENCY upstream slots */
+export async function withUpstreamSlot(fn) {
+  await acquireSlot();
+  try {
+    return await fn();
+  } finally {
+    releaseSlot();
+  }
+}
+
+/** Map `items` through async `fn`, at most `limit` at a time; results keep input order */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+/** Concurrency and queue-time numbers for /health */
+export function queueStats() {
+  return {
+    limit: UPSTREAM_CONCURRENCY > 0 ? UPSTREAM_CONCURRENCY : null,
+    active,
+    waiting: queue.length,
+    calls: stats.calls,
+    queued: stats.queued,
+    rejected: stats.rejected,
+    avgWaitMs: stats.granted ? Math.round(stats.totalWaitMs / stats.granted) : 0,
+    maxWaitMs: stats.maxWaitMs,
+  };
+}
@@ -1,21 +1,140 @@
-import { SHIM_DEBUG } from "./config.js";
+// logger.js
+//
+// Why this file changed:
+// ----------------------
+// Free-form "[INFO] <ts> msg" lines were useless to a log aggregator, debug
+// lines dumped request/response bodies (personal notes, bookmark content)
+// verbatim, and SHIM_DEBUG was effectively always on. Now:
+//  - every line is one JSON object (LOG_FORMAT=text keeps the old look):
+//      {"time","level","msg","requestId"?, ...fields, "error"?}
+//  - LOG_LEVEL sets the threshold (SHIM_DEBUG=1 still means debug);
+//  - the current request id comes from AsyncLocalStorage, so any log line
+//    written while serving a request carries it without threading it through;
+//  - fields named in LOG_REDACT_FIELDS are replaced with "[REDACTED]", in
+//    structured fields and in logged body previews (redact / redactText).
 
-function ts() {
-  return new Date().toISOString();
+import { AsyncLocalStorage } from "node:async_hooks";
+import { LOG_LEVEL, LOG_FORMAT, LOG_REDACT_FIELDS, SHIM_MCP_STDIO } from "./config.js";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const threshold = LEVELS[LOG_LEVEL] ?? LEVELS.info;
+
+// stdout carries MCP messages in stdio mode; keep it clean
+const out = SHIM_MCP_STDIO ? console.error : console.log;
+const writers = { debug: out, info: out, warn: console.warn, error: console.error };
+
+/* ------------------------------------------------------------------ */
+/* Request context                                                     */
+/* ------------------------------------------------------------------ */
+
+const context = new AsyncLocalStorage();
+
+/** Run `fn` with `store` ({ requestId }) as the context of everything it starts */
+export function withRequestContext(store, fn) {
+  return context.run(store, fn);
+}
+
+/** The request id of the request being served, if any */
+export function currentRequestId() {
+  return context.getStore()?.requestId ?? null;
+}
+
+/* ------------------------------------------------------------------ */
+/* Redaction                                                           */
+/* ------------------------------------------------------------------ */
+
+const squash = (k) => String(k).toLowerCase().replace(/[^a-z0-9]/g, "");
+const REDACTED_KEYS = new Set(LOG_REDACT_FIELDS.map(squash));
+const REDACTED = "[REDACTED]";
+
+function isRedactedKey(key) {
+  return REDACTED_KEYS.has(squash(key));
+}
+
+/** Deep copy of `value` with redacted fields replaced */
+export function redact(value, depth = 0) {
+  if (REDACTED_KEYS.size === 0 || value == null || typeof value !== "object") return value;
+  if (depth > 8) return "[…]";
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+  const copy = {};
+  for (const [k, v] of Object.entries(value)) {
+    copy[k] = isRedactedKey(k) && v != null && v !== "" ? REDACTED : redact(v, depth + 1);
+  }
+  return copy;
+}
+
+/**
+ * Redact raw upstream text for logging. JSON is redacted structurally;
+ * otherwise "Key: value" lines with a redacted key lose their value, and
+ * free-text lines (which is where note/content bodies end up) are dropped.
+ */
+export function redactText(text) {
+  const s = String(text ?? "");
+  if (REDACTED_KEYS.size === 0) return s;
+  try {
+    const parsed = JSON.parse(s);
+    if (parsed && typeof parsed === "object") return JSON.stringify(redact(parsed));
+    if (typeof parsed === "string") return redactText(parsed); // mcpo JSON-encodes tool text
+  } catch {
+    // not JSON
+  }
+  const lines = [];
+  for (const line of s.split(/\r?\n/)) {
+    const m = line.match(/^(\s*)([\w][\w .-]{0,40}):(\s*)(.*)$/);
+    if (!line.trim()) lines.push(line);
+    else if (m) lines.push(isRedactedKey(m[2]) && m[4] ? `${m[1]}${m[2]}:${m[3]}${REDACTED}` : line);
+    else if (lines[lines.length - 1] !== REDACTED) lines.push(REDACTED);
+  }
+  return lines.join("\n");
+}
+
+/** Redacted, length-capped JSON of a value, for debug previews */
+export function preview(value, max = 400) {
+  const s = typeof value === "string" ? redactText(value) : JSON.stringify(redact(value ?? {}));
+  return s.length > max ? `${s.slice(0, max)}…` : s;
+}
+
+/* ------------------------------------------------------------------ */
+/* Output                                                              */
+/* ------------------------------------------------------------------ */
+
+function errorFields(e) {
+  if (!e) return undefined;
+  return { name: e.name, message: e.message ?? String(e), stack: e.stack };
+}
+
+function write(level, msg, fields = {}, e) {
+  if (LEVELS[level] < threshold) return;
+  const requestId = currentRequestId();
+  const safe = redact(fields);
+
+  if (LOG_FORMAT === "text") {
+    const extras = Object.entries(safe).map(([k, v]) => ` ${k}=${typeof v === "string" ? v : JSON.stringify(v)}`);
+    const rid = requestId ? ` [${requestId}]` : "";
+    const tail = e ? `: ${e.stack || e}` : "";
+    writers[level](`[${level.toUpperCase()}] ${new Date().toISOString()}${rid} ${msg}${extras.join("")}${tail}`);
+    return;
+  }
+
+  const line = { time: new Date().toISOString(), level, msg };
+  if (requestId) line.requestId = requestId;
+  Object.assign(line, safe);
+  if (e) line.error = errorFields(e);
+  writers[level](JSON.stringify(line));
 }
 
-export function info(msg) {
-  console.log(`[INFO] ${ts()} ${msg}`);
+export function info(msg, fields) {
+  write("info", msg, fields);
 }
 
-export function warn(msg) {
-  console.warn(`[WARN] ${ts()} ${msg}`);
+export function warn(msg, fields) {
+  write("warn", msg, fields);
 }
 
-export function dbg(msg) {
-  if (SHIM_DEBUG) console.log(`[DEBUG] ${ts()} ${msg}`);
+export function dbg(msg, fields) {
+  write("debug", msg, fields);
 }
 
-export function err(msg, e) {
-  console.error(`[ERROR] ${ts()} ${msg}${e ? `: ${e.stack || e}` : ""}`);
+export function err(msg, e, fields) {
+  write("error", msg, fields, e);
 }
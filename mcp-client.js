@@ -0,0 +1,315 @@
+// mcp-client.js
+//
+// Why this file exists:
+// ---------------------
+// Normally the shim reaches KaraKeep through mcpo, which wraps the KaraKeep
+// MCP server in HTTP endpoints. With SHIM_BACKEND=mcp the shim talks MCP
+// itself and mcpo (a whole container) is no longer needed:
+//  - stdio: spawn the KaraKeep MCP server (MCP_COMMAND + MCP_ARGS) as a child
+//    process and exchange newline-delimited JSON-RPC on its stdin/stdout.
+//  - streamable HTTP: POST JSON-RPC to MCP_URL; the server answers with plain
+//    JSON or with an SSE stream carrying the response.
+//
+// Only the client side needed here is implemented: initialize, tools/list
+// (following nextCursor) and tools/call. The raw tool output is handed back
+// as text so it goes through the same parseToolResponse/input2JSON pipeline
+// as mcpo responses.
+
+import { spawn } from "node:child_process";
+import { createInterface } from "node:readline";
+import fetch from "node-fetch";
+import { MCP_COMMAND, MCP_ARGS, MCP_URL, FETCH_TIMEOUT_MS } from "./config.js";
+import { withTimeout } from "./upstream.js";
+import { dbg, info, warn } from "./logger.js";
+
+const PROTOCOL_VERSION = "2025-03-26";
+const CLIENT_INFO = { name: "karakeep-shim", version: "1.0.0" };
+
+/* ------------------------------------------------------------------ */
+/* Transports                                                          */
+/* ------------------------------------------------------------------ */
+
+/**
+ * stdio transport: one JSON-RPC message per line in each direction.
+ * The child's stderr is logged at debug level (MCP servers log there).
+ */
+export function createStdioTransport({ command, args = [], env = process.env }) {
+  const child = spawn(command, args, { env, stdio: ["pipe", "pipe", "pipe"] });
+  const listeners = { message: () => {}, close: () => {} };
+
+  createInterface({ input: child.stdout }).on("line", (line) => {
+    if (!line.trim()) return;
+    try {
+      listeners.message(JSON.parse(line));
+    } catch {
+      dbg(`[MCP] ignoring non-JSON stdout line: ${line.slice(0, 200)}`);
+    }
+  });
+  createInterface({ input: child.stderr }).on("line", (line) => dbg(`[MCP stderr] ${line}`));
+
+  child.on("error", (e) => listeners.close(e));
+  child.on("exit", (code, signal) =>
+    listeners.close(new Error(`MCP server exited (code=${code}, signal=${signal})`))
+  );
+  // Writing to a child that closed its stdin (or died) emits EPIPE here, not on `child`
+  child.stdin.on("error", (e) => listeners.close(new Error(`MCP server stdin: ${e.message}`)));
+
+  return {
+    send: (msg) =>
+      new Promise((resolve, reject) => {
+        if (!child.stdin.writable) return reject(new Error("MCP server stdin is closed"));
+        child.stdin.write(`${JSON.stringify(msg)}\n`, (e) => (e ? reject(e) : resolve()));
+      }),
+    onMessage: (cb) => (listeners.message = cb),
+    onClose: (cb) => (listeners.close = cb),
+    close: () => child.kill(),
+  };
+}
+
+/** Yield the `data:` payload of each event in an SSE response body */
+async function* readSSEData(body) {
+  let buf = "";
+  for await (const chunk of body) {
+    buf += chunk.toString("utf8");
+    let idx;
+    while ((idx = buf.search(/\r?\n\r?\n/)) !== -1) {
+      const block = buf.slice(0, idx);
+      buf = buf.slice(idx).replace(/^\r?\n\r?\n/, "");
+      const data = block
+        .split(/\r?\n/)
+        .filter((l) => l.startsWith("data:"))
+        .map((l) => l.slice(5).replace(/^ /, ""))
+        .join("\n");
+      if (data) yield data;
+    }
+  }
+}
+
+/**
+ * Streamable HTTP transport: each outgoing message is its own POST.
+ * Responses (JSON or SSE) are fed back through onMessage, so the client
+ * matches them to pending requests exactly as with stdio.
+ *
+ * A 404 means the endpoint no longer knows our session (the server restarted
+ * and forgot it): the transport closes, like a stdio child exiting, so
+ * getMcpClient() starts a new session on the next call.
+ */
+export function createHttpTransport({ url, timeoutMs = FETCH_TIMEOUT_MS }) {
+  const listeners = { message: () => {}, close: () => {} };
+  let sessionId = null;
+  let closed = null;
+
+  function lose(error) {
+    if (closed) return;
+    closed = error;
+    sessionId = null;
+    listeners.close(error);
+  }
+
+  return {
+    // `extraHeaders`: per-call headers, e.g. a forwarded KaraKeep token
+    send: async (msg, extraHeaders = {}) => {
+      if (closed) throw closed;
+      const headers = {
+        ...extraHeaders,
+        "Content-Type": "application/json",
+        Accept: "application/json, text/event-stream",
+      };
+      if (sessionId) headers["Mcp-Session-Id"] = sessionId;
+
+      // The timeout covers the whole answer, SSE stream included
+      const t = withTimeout(timeoutMs);
+      try {
+        const r = await fetch(url, { method: "POST", headers, body: JSON.stringify(msg), signal: t.signal });
+        sessionId = r.headers.get("mcp-session-id") || sessionId;
+        if (r.status === 202 || r.status === 204) return;
+        if (r.status === 404) {
+          const e = new Error(`MCP endpoint returned 404 (session expired?): ${await r.text()}`);
+          lose(e);
+          throw e;
+        }
+        if (!r.ok) throw new Error(`MCP endpoint returned ${r.status}: ${await r.text()}`);
+
+        const type = r.headers.get("content-type") || "";
+        if (type.includes("text/event-stream")) {
+          for await (const data of readSSEData(r.body)) {
+            try {
+              listeners.message(JSON.parse(data));
+            } catch {
+              dbg(`[MCP] ignoring non-JSON SSE event: ${data.slice(0, 200)}`);
+            }
+          }
+          return;
+        }
+        const parsed = JSON.parse(await r.text());
+        for (const m of Array.isArray(parsed) ? parsed : [parsed]) listeners.message(m);
+      } finally {
+        t.cancel();
+      }
+    },
+    onMessage: (cb) => (listeners.message = cb),
+    onClose: (cb) => (listeners.close = cb),
+    close: () => {
+      if (sessionId) {
+        fetch(url, { method: "DELETE", headers: { "Mcp-Session-Id": sessionId } }).catch(() => {});
+      }
+      lose(new Error("MCP transport closed"));
+    },
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* JSON-RPC client                                                     */
+/* ------------------------------------------------------------------ */
+
+function timeoutError(method, ms) {
+  // Same name as fetch aborts, so the router maps it to a 504
+  const e = new Error(`MCP ${method} timed out after ${ms}ms`);
+  e.name = "AbortError";
+  return e;
+}
+
+/**
+ * Wrap a transport in request/response matching and the MCP handshake.
+ * Resolves once `initialize` has completed.
+ */
+export async function createMcpClient(transport, { timeoutMs = FETCH_TIMEOUT_MS } = {}) {
+  let nextId = 1;
+  let closed = null;
+  const pending = new Map();
+
+  transport.onMessage((msg) => {
+    if (msg && msg.id != null && pending.has(msg.id) && !msg.method) {
+      const p = pending.get(msg.id);
+      pending.delete(msg.id);
+      clearTimeout(p.timer);
+      if (msg.error) p.reject(new Error(`MCP error ${msg.error.code}: ${msg.error.message}`));
+      else p.resolve(msg.result);
+      return;
+    }
+    if (msg?.method === "ping" && msg.id != null) {
+      transport.send({ jsonrpc: "2.0", id: msg.id, result: {} }).catch(() => {});
+      return;
+    }
+    if (msg?.method && msg.id != null) {
+      // Server -> client requests (sampling, roots, ...) are not supported
+      transport
+        .send({ jsonrpc: "2.0", id: msg.id, error: { code: -32601, message: "Method not found" } })
+        .catch(() => {});
+      return;
+    }
+    dbg(`[MCP] notification: ${msg?.method || JSON.stringify(msg).slice(0, 200)}`);
+  });
+
+  transport.onClose((e) => {
+    closed = e || new Error("MCP transport closed");
+    for (const p of pending.values()) {
+      clearTimeout(p.timer);
+      p.reject(closed);
+    }
+    pending.clear();
+  });
+
+  function request(method, params, headers) {
+    if (closed) return Promise.reject(closed);
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(timeoutError(method, timeoutMs));
+      }, timeoutMs);
+      pending.set(id, { resolve, reject, timer });
+      transport.send({ jsonrpc: "2.0", id, method, params }, headers).catch((e) => {
+        clearTimeout(timer);
+        pending.delete(id);
+        reject(e);
+      });
+    });
+  }
+
+  const init = await request("initialize", {
+    protocolVersion: PROTOCOL_VERSION,
+    capabilities: {},
+    clientInfo: CLIENT_INFO,
+  });
+  await transport.send({ jsonrpc: "2.0", method: "notifications/initialized" });
+  info(`MCP connected: ${init?.serverInfo?.name || "unknown"} v${init?.serverInfo?.version || "?"}`);
+
+  return {
+    serverInfo: init?.serverInfo || {},
+    isClosed: () => closed !== null,
+
+    /** All tools, following tools/list pagination */
+    async listTools() {
+      const tools = [];
+      let cursor;
+      do {
+        const res = await request("tools/list", cursor ? { cursor } : {});
+        tools.push(...(res?.tools || []));
+        cursor = res?.nextCursor;
+      } while (cursor);
+      return tools;
+    },
+
+    /** `headers` only apply to the HTTP transport */
+    callTool(name, args, headers) {
+      return request("tools/call", { name, arguments: args || {} }, headers);
+    },
+
+    close() {
+      transport.close();
+    },
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* Shared connection for SHIM_BACKEND=mcp                              */
+/* ------------------------------------------------------------------ */
+
+let connecting = null;
+
+function openTransport() {
+  if (MCP_URL) return createHttpTransport({ url: MCP_URL });
+  if (!MCP_COMMAND) throw new Error("SHIM_BACKEND=mcp needs MCP_URL or MCP_COMMAND");
+  return createStdioTransport({ command: MCP_COMMAND, args: MCP_ARGS });
+}
+
+/**
+ * The process-wide MCP client. Connects lazily and reconnects (respawning the
+ * stdio child) if the previous connection closed.
+ */
+export async function getMcpClient() {
+  if (connecting) {
+    const client = await connecting.catch(() => null);
+    if (client && !client.isClosed()) return client;
+    warn("MCP connection lost; reconnecting");
+  }
+  const transport = openTransport();
+  connecting = createMcpClient(transport).catch((e) => {
+    transport.close();
+    throw e;
+  });
+  return connecting;
+}
+
+/** Close the shared client (stdio: stops the child process) */
+export async function closeMcpClient() {
+  const client = await connecting?.catch(() => null);
+  connecting = null;
+  client?.close();
+}
+
+/**
+ * Flatten a tools/call result into the text the parser pipeline expects.
+ * structuredContent (if a server sends it) is already JSON, so prefer it.
+ */
+export function toolResultText(result) {
+  if (result?.structuredContent && typeof result.structuredContent === "object") {
+    return JSON.stringify(result.structuredContent);
+  }
+  const blocks = Array.isArray(result?.content) ? result.content : [];
+  return blocks
+    .filter((b) => b?.type === "text" && typeof b.text === "string")
+    .map((b) => b.text)
+    .join("\n");
+}
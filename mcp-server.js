@@ -0,0 +1,247 @@
+// mcp-server.js
+//
+// Why this file exists:
+// ---------------------
+// The REST routes only help HTTP callers. MCP-native agents talking to the
+// KaraKeep MCP server still get its plain-text output. This module makes the
+// shim an MCP server too:
+//  - every upstream tool is re-exported under the same name, with an
+//    `outputSchema` taken from the transformed spec (spec.js);
+//  - tools/call runs the same pipeline as the REST routes (runTool) and
+//    returns the normalized JSON as `structuredContent`, next to a text
+//    rendering for clients that ignore structured output. MCP wants an
+//    object there, so a bare array (untransformed JSON output) comes as
+//    `{ items: [...] }`;
+//  - over HTTP, every tools/call is charged to the rate limit like a REST
+//    call, and get-bookmarks one token per bookmark like /batch.
+//
+// Transports: streamable HTTP at POST /mcp (stateless, JSON responses) and
+// stdio when SHIM_MCP_STDIO=1.
+
+import { createInterface } from "node:readline";
+import { randomUUID } from "node:crypto";
+import { getCachedOpenAPI } from "./openapi.js";
+import { buildShimSpec, toJSONSchema } from "./spec.js";
+import { runTool, toolCalls } from "./router.js";
+import { isNativePath, nativeToolCalls, runNativeTool } from "./batch.js";
+import { hasScope } from "./auth.js";
+import { chargeTokens } from "./limits.js";
+import { toolAccess } from "./tools.js";
+import { sendError, errorBody, classifyException } from "./errors.js";
+import { info, warn, err, currentRequestId, withRequestContext } from "./logger.js";
+
+const SUPPORTED_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+const SERVER_INFO = { name: "karakeep-shim", version: "1.0.0" };
+
+/* ------------------------------------------------------------------ */
+/* Tool catalogue                                                      */
+/* ------------------------------------------------------------------ */
+
+/** MCP tool definitions (plus the route each one maps to) from the current spec */
+function shimTools() {
+  const spec = buildShimSpec(getCachedOpenAPI());
+  const tools = [];
+  for (const [path, pathObj] of Object.entries(spec?.paths || {})) {
+    for (const [method, op] of Object.entries(pathObj || {})) {
+      const lower = method.toLowerCase();
+      if (!["post", "get"].includes(lower) || !op) continue;
+
+      const inputSchema = toJSONSchema(
+        op.requestBody?.content?.["application/json"]?.schema || { type: "object" },
+        spec
+      );
+      const outputSchema = toJSONSchema(
+        op.responses?.["200"]?.content?.["application/json"]?.schema || { type: "object" },
+        spec
+      );
+
+      tools.push({
+        path,
+        method: lower,
+        definition: {
+          name: decodeURIComponent(path.replace(/^\//, "")),
+          description: op.description || op.summary || "",
+          inputSchema: { ...inputSchema, type: "object" },
+          // MCP requires an object at the root of outputSchema
+          outputSchema: { ...outputSchema, type: "object" },
+        },
+      });
+    }
+  }
+  return tools;
+}
+
+/** Text block next to structuredContent, for clients that only read content */
+function renderText(payload) {
+  return JSON.stringify(payload, null, 2);
+}
+
+/** structuredContent must be an object: wrap arrays (and any other bare value) */
+function structuredPayload(payload) {
+  if (Array.isArray(payload)) return { items: payload };
+  return payload && typeof payload === "object" ? payload : { value: payload ?? null };
+}
+
+/** Tools this caller's API key may use (all of them without auth) */
+function visibleTools(client) {
+  return shimTools().filter((t) => hasScope(client, toolAccess(t.path)));
+}
+
+/**
+ * `charge(n)` takes n rate-limit tokens for the upstream calls a tools/call
+ * makes (limits.js chargeTokens result); absent on stdio, which is unlimited.
+ */
+async function callShimTool(name, args, client, charge) {
+  const tool = shimTools().find((t) => t.definition.name === name);
+  if (!tool) {
+    return { isError: true, content: [{ type: "text", text: `Unknown tool: ${name}` }] };
+  }
+  const scope = toolAccess(tool.path);
+  if (!hasScope(client, scope)) {
+    warn(`Auth: rejected MCP tools/call ${name} for key "${client?.label}": needs "${scope}" scope`);
+    const denied = errorBody("forbidden", `This API key lacks the "${scope}" scope`, { requestId: currentRequestId() });
+    return { isError: true, content: [{ type: "text", text: renderText(denied) }] };
+  }
+  const native = isNativePath(tool.path);
+  const charged = charge?.(native ? nativeToolCalls(tool.path, args) : toolCalls(tool.path, args));
+  if (charged && !charged.ok) {
+    const seconds = Math.max(1, Math.ceil(charged.retryInMs / 1000));
+    warn(`Rate limit: rejected MCP tools/call ${name} for ${client ? `key "${client.label}"` : "anonymous"}`);
+    const limited = errorBody("rate_limited", `Too many requests; retry in ${seconds}s`, {
+      requestId: currentRequestId(),
+    });
+    return { isError: true, content: [{ type: "text", text: renderText(limited) }] };
+  }
+  try {
+    const run = native ? runNativeTool : runTool;
+    const { status, payload } = await run(tool.path, {
+      method: tool.method,
+      body: tool.method === "post" ? args || {} : {},
+      query: tool.method === "get" ? args || {} : {},
+      client,
+      requestId: currentRequestId(),
+    });
+    if (status >= 400) {
+      // Error payloads don't follow outputSchema, so no structuredContent
+      return { isError: true, content: [{ type: "text", text: renderText(payload) }] };
+    }
+    const structured = structuredPayload(payload);
+    return {
+      content: [{ type: "text", text: renderText(structured) }],
+      structuredContent: structured,
+    };
+  } catch (e) {
+    const code = classifyException(e);
+    if (code === "internal") err(`MCP tool error on ${tool.path}: ${e?.message || e}`, e);
+    const message =
+      code === "timeout"
+        ? `Upstream timeout on ${tool.path}`
+        : code === "upstream_unavailable"
+          ? `Upstream unavailable on ${tool.path}: ${e?.message || e}`
+          : `Shim failed on ${tool.path}`;
+    const body = errorBody(code, message, { requestId: currentRequestId() });
+    return { isError: true, content: [{ type: "text", text: renderText(body) }] };
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/* JSON-RPC dispatch                                                   */
+/* ------------------------------------------------------------------ */
+
+function rpcResult(id, result) {
+  return { jsonrpc: "2.0", id, result };
+}
+
+function rpcError(id, code, message) {
+  return { jsonrpc: "2.0", id: id ?? null, error: { code, message } };
+}
+
+/**
+ * Handle one JSON-RPC message. Returns the response, or null for
+ * notifications (and stray responses), which get no reply.
+ * `client` is the authenticated API key over HTTP (auth.js); stdio has none.
+ * `charge` is the rate-limit charger tools/call uses (see callShimTool).
+ */
+export async function handleMcpMessage(msg, client = null, charge = null) {
+  if (!msg || msg.jsonrpc !== "2.0" || typeof msg.method !== "string") {
+    if (msg && msg.id != null && !msg.method) return null; // a response to nothing we sent
+    return rpcError(msg?.id, -32600, "Invalid Request");
+  }
+  const { id, method, params } = msg;
+  if (id == null) return null; // notification (notifications/initialized, cancelled, ...)
+
+  switch (method) {
+    case "initialize": {
+      const asked = params?.protocolVersion;
+      return rpcResult(id, {
+        protocolVersion: SUPPORTED_VERSIONS.includes(asked) ? asked : SUPPORTED_VERSIONS[0],
+        capabilities: { tools: { listChanged: false } },
+        serverInfo: SERVER_INFO,
+      });
+    }
+    case "ping":
+      return rpcResult(id, {});
+    case "tools/list":
+      return rpcResult(id, { tools: visibleTools(client).map((t) => t.definition) });
+    case "tools/call":
+      if (typeof params?.name !== "string") return rpcError(id, -32602, "Missing tool name");
+      return rpcResult(id, await callShimTool(params.name, params.arguments, client, charge));
+    default:
+      return rpcError(id, -32601, `Method not found: ${method}`);
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/* Transports                                                          */
+/* ------------------------------------------------------------------ */
+
+/**
+ * POST /mcp — streamable HTTP, stateless: every POST carries a message or a
+ * batch and gets a plain JSON answer (202 when there is nothing to answer).
+ */
+export async function mcpHttpHandler(req, res) {
+  const body = req.body;
+  const batch = Array.isArray(body);
+  const messages = batch ? body : [body];
+  // rateLimit already took a token for this POST; it pays for the first call
+  let prepaid = 1;
+  const charge = (n) => {
+    const free = Math.min(prepaid, n);
+    prepaid -= free;
+    return chargeTokens(req, n - free);
+  };
+  const replies = (await Promise.all(messages.map((m) => handleMcpMessage(m, req.auth, charge)))).filter(Boolean);
+
+  if (replies.length === 0) return res.status(202).end();
+  res.json(batch ? replies : replies[0]);
+}
+
+/** GET/DELETE /mcp — no server-initiated stream and no sessions to end */
+export function mcpMethodNotAllowed(req, res) {
+  sendError(res.set("Allow", "POST"), "validation", "Use POST for MCP messages", { status: 405 });
+}
+
+/** Serve MCP on stdin/stdout, one JSON-RPC message per line */
+export function startMcpStdio() {
+  const send = (m) => process.stdout.write(`${JSON.stringify(m)}\n`);
+
+  createInterface({ input: process.stdin }).on("line", async (line) => {
+    if (!line.trim()) return;
+    let msg;
+    try {
+      msg = JSON.parse(line);
+    } catch {
+      return send(rpcError(null, -32700, "Parse error"));
+    }
+    for (const m of Array.isArray(msg) ? msg : [msg]) {
+      // Each message gets its own id for logs and upstream correlation
+      const reply = await withRequestContext({ requestId: randomUUID() }, () => handleMcpMessage(m));
+      if (reply) send(reply);
+    }
+  });
+  process.stdin.on("end", () => {
+    warn("MCP stdin closed; exiting");
+    process.exit(0);
+  });
+  info("MCP server listening on stdio");
+}
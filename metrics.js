@@ -0,0 +1,172 @@
+// metrics.js
+//
+// Why this file exists:
+// ---------------------
+// /health says whether the shim is up, but not how it is doing. GET /metrics
+// serves Prometheus text format (hand-rolled; no client library needed for a
+// handful of counters and histograms):
+//  - HTTP requests and latency per route and status;
+//  - upstream calls, latency, timeouts and response sizes per tool;
+//  - which parser branch handled each upstream response (parser.js). A rise
+//    in `scan_rescue`, `kv_blocks` or `text_fallback` is how a KaraKeep MCP
+//    output format change shows up before users complain;
+//  - cache hits, circuit breaker and upstream queue state.
+
+import { breakerStatus } from "./breaker.js";
+import { queueStats } from "./limits.js";
+
+const registry = new Map(); // name -> metric
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => (a < b ? -1 : 1)));
+}
+
+function formatLabels(labels, extra = {}) {
+  const all = { ...labels, ...extra };
+  const parts = Object.entries(all).map(
+    ([k, v]) => `${k}="${String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`
+  );
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function counter(name, help) {
+  const series = new Map(); // labelKey -> { labels, value }
+  const metric = {
+    inc(labels = {}, n = 1) {
+      const key = labelKey(labels);
+      const s = series.get(key) || { labels, value: 0 };
+      s.value += n;
+      series.set(key, s);
+    },
+    render() {
+      const out = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const s of series.values()) out.push(`${name}${formatLabels(s.labels)} ${s.value}`);
+      return out;
+    },
+  };
+  registry.set(name, metric);
+  return metric;
+}
+
+function histogram(name, help, buckets) {
+  const series = new Map(); // labelKey -> { labels, counts[], sum, count }
+  const metric = {
+    observe(labels, value) {
+      const key = labelKey(labels);
+      const s = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((b, i) => {
+        if (value <= b) s.counts[i]++;
+      });
+      s.sum += value;
+      s.count++;
+      series.set(key, s);
+    },
+    render() {
+      const out = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const s of series.values()) {
+        buckets.forEach((b, i) => out.push(`${name}_bucket${formatLabels(s.labels, { le: b })} ${s.counts[i]}`));
+        out.push(`${name}_bucket${formatLabels(s.labels, { le: "+Inf" })} ${s.count}`);
+        out.push(`${name}_sum${formatLabels(s.labels)} ${s.sum}`);
+        out.push(`${name}_count${formatLabels(s.labels)} ${s.count}`);
+      }
+      return out;
+    },
+  };
+  registry.set(name, metric);
+  return metric;
+}
+
+/** A value read at scrape time from state kept elsewhere (breaker, queue) */
+function scraped(name, help, type, read) {
+  registry.set(name, {
+    render: () => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, `${name} ${Number(read())}`],
+  });
+}
+
+const LATENCY_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30];
+const SIZE_BUCKETS = [256, 1024, 4096, 16384, 65536, 262144, 1048576, 4194304];
+
+const httpRequests = counter("shim_http_requests_total", "HTTP requests by route, method and status.");
+const httpDuration = histogram(
+  "shim_http_request_duration_seconds",
+  "HTTP request latency by route and status.",
+  LATENCY_BUCKETS
+);
+const upstreamRequests = counter("shim_upstream_requests_total", "Upstream calls by tool and status (0 = no response).");
+const upstreamDuration = histogram(
+  "shim_upstream_request_duration_seconds",
+  "Upstream call latency by tool.",
+  LATENCY_BUCKETS
+);
+const upstreamTimeouts = counter("shim_upstream_timeouts_total", "Upstream calls that hit FETCH_TIMEOUT_MS, by tool.");
+const upstreamBytes = histogram(
+  "shim_upstream_response_bytes",
+  "Size of upstream response bodies by tool.",
+  SIZE_BUCKETS
+);
+const parserBranches = counter(
+  "shim_parser_branch_total",
+  "Upstream responses by the parser branch that handled them (see parser.js PARSER_BRANCHES)."
+);
+const cacheLookups = counter("shim_cache_lookups_total", "Read-tool cache lookups by result (hit/miss).");
+
+scraped("shim_upstream_circuit_open", "1 while the upstream circuit breaker is open or half-open.", "gauge", () => {
+  const { state } = breakerStatus();
+  return state === "open" || state === "half_open" ? 1 : 0;
+});
+scraped("shim_upstream_queue_active", "Upstream calls in flight.", "gauge", () => queueStats().active);
+scraped("shim_upstream_queue_waiting", "Upstream calls waiting for a slot.", "gauge", () => queueStats().waiting);
+scraped(
+  "shim_upstream_queue_rejected_total",
+  "Upstream calls rejected because the queue was full or the wait timed out.",
+  "counter",
+  () => queueStats().rejected
+);
+scraped(
+  "shim_upstream_queue_wait_avg_seconds",
+  "Average wait for an upstream slot, over calls that had to wait.",
+  "gauge",
+  () => queueStats().avgWaitMs / 1000
+);
+
+/* ------------------------------------------------------------------ */
+/* Recording                                                           */
+/* ------------------------------------------------------------------ */
+
+export function recordUpstream(tool, { status, durationMs, bytes, timedOut }) {
+  upstreamRequests.inc({ tool, status: status ?? 0 });
+  upstreamDuration.observe({ tool }, durationMs / 1000);
+  if (bytes != null) upstreamBytes.observe({ tool }, bytes);
+  if (timedOut) upstreamTimeouts.inc({ tool });
+}
+
+export function recordParserBranch(tool, branch) {
+  parserBranches.inc({ tool, branch: branch || "unknown" });
+}
+
+export function recordCacheLookup(result) {
+  cacheLookups.inc({ result });
+}
+
+/**
+ * Express middleware: count every request once it finishes. Routes are
+ * labelled by their pattern, so the series stay bounded; anything that
+ * didn't match a route is "unmatched".
+ */
+export function metricsMiddleware(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+  res.on("finish", () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    httpRequests.inc({ route, method: req.method, status: res.statusCode });
+    httpDuration.observe({ route, status: res.statusCode }, seconds);
+  });
+  next();
+}
+
+// GET /metrics
+export function metricsHandler(req, res) {
+  const lines = [];
+  for (const metric of registry.values()) lines.push(...metric.render());
+  res.type("text/plain; version=0.0.4; charset=utf-8").send(`${lines.join("\n")}\n`);
+}
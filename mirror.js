@@ -0,0 +1,358 @@
+// mirror.js
+//
+// Why this file exists:
+// ---------------------
+// Every search went to KaraKeep's own search through mcpo, one page at a
+// time, and failed whenever KaraKeep was slow or down. With MIRROR_DIR set the
+// shim keeps a local copy of the library and searches that:
+//  - a sync walks search-bookmarks page by page (following `nextCursor`) and
+//    fetches get-bookmark-content for bookmarks that are new or whose metadata
+//    (createdAt included) changed since the last sync. A full sync refetches
+//    all content and uses the content hash to tell what really changed; it is
+//    the only way to see content edited under unchanged metadata, so a
+//    scheduled sync is a full one once MIRROR_FULL_SYNC_MS has passed since
+//    the last;
+//  - bookmarks missing from a complete walk are dropped;
+//  - the store is MIRROR_DIR/mirror.json, canonical bookmarks plus their
+//    Markdown and hashes, replaced atomically after each sync;
+//  - a BM25 index (bm25.js) over it serves /local-search, with tag, type and
+//    date filters and highlighted snippets, without any upstream call.
+// Syncs run at startup, every MIRROR_SYNC_MS and on POST /admin/mirror/sync;
+// only one runs at a time. A failed sync keeps the mirror as it was.
+
+import { createHash, randomUUID } from "node:crypto";
+import { mkdirSync, readFileSync } from "node:fs";
+import { rename, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import {
+  MIRROR_DIR,
+  MIRROR_SYNC_MS,
+  MIRROR_FULL_SYNC_MS,
+  MIRROR_PAGE_SIZE,
+  MIRROR_CONCURRENCY,
+} from "./config.js";
+import { getCachedOpenAPI } from "./openapi.js";
+import { fetchBookmarkContent, walkLibrary } from "./router.js";
+import { stableStringify } from "./stable-json.js";
+import { createIndex, snippet, tokenize } from "./bm25.js";
+import { mapWithConcurrency } from "./limits.js";
+import { findToolPath } from "./tools.js";
+import { errorBody, sendError, statusFor } from "./errors.js";
+import { info, warn, withRequestContext } from "./logger.js";
+
+const STORE_VERSION = 1;
+
+// Indexed bookmark fields and their BM25 weights
+const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2,
+  summary: 1.5,
+  description: 1.5,
+  note: 1.5,
+  author: 1,
+  publisher: 1,
+  url: 1,
+  content: 1,
+};
+
+// Where a snippet comes from, first match wins
+const SNIPPET_FIELDS = ["content", "summary", "description", "note", "title"];
+
+let records = new Map(); // id -> { bookmark, content, metaHash, contentHash, syncedAt }
+const index = createIndex({ fields: FIELD_WEIGHTS });
+const state = { lastSync: null, lastFullSync: null, lastError: null, running: null };
+
+export function mirrorEnabled() {
+  return Boolean(MIRROR_DIR);
+}
+
+function sha1(text) {
+  return createHash("sha1").update(String(text)).digest("hex");
+}
+
+function syncError(message) {
+  const e = new Error(message);
+  e.name = "MirrorSyncError";
+  return e;
+}
+
+/* ------------------------------------------------------------------ */
+/* Store                                                               */
+/* ------------------------------------------------------------------ */
+
+function storeFile() {
+  return join(MIRROR_DIR, "mirror.json");
+}
+
+function indexRecord(record) {
+  index.add(record.bookmark.id, { ...record.bookmark, content: record.content });
+}
+
+/** Load the store written by a previous run; a missing or unreadable one starts empty */
+function loadMirror() {
+  mkdirSync(MIRROR_DIR, { recursive: true });
+  let data;
+  try {
+    data = JSON.parse(readFileSync(storeFile(), "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") warn(`Mirror: ignoring unreadable ${storeFile()}: ${e.message}`);
+    return;
+  }
+  if (data?.version !== STORE_VERSION || !Array.isArray(data.bookmarks)) {
+    warn(`Mirror: ignoring ${storeFile()} (unknown format); the next sync rebuilds it`);
+    return;
+  }
+  for (const record of data.bookmarks) {
+    if (!record?.bookmark?.id) continue;
+    records.set(record.bookmark.id, record);
+    indexRecord(record);
+  }
+  state.lastSync = data.lastSync ?? null;
+  state.lastFullSync = data.lastFullSync ?? null;
+  info(`Mirror: loaded ${records.size} bookmarks from ${storeFile()}`);
+}
+
+/** Write `store` (id -> record) to a temp file, then rename it over the old one */
+async function saveMirror(store, lastSync, lastFullSync) {
+  const tmp = `${storeFile()}.${process.pid}.tmp`;
+  const data = { version: STORE_VERSION, lastSync, lastFullSync, bookmarks: [...store.values()] };
+  await writeFile(tmp, JSON.stringify(data));
+  await rename(tmp, storeFile());
+}
+
+/* ------------------------------------------------------------------ */
+/* Sync                                                                */
+/* ------------------------------------------------------------------ */
+
+async function runSync({ full, requestId }) {
+  const startedAt = Date.now();
+  const searchPath = findToolPath(getCachedOpenAPI()?.paths, "search-bookmarks");
+  if (!searchPath) throw syncError("No search-bookmarks tool upstream");
+
+  // Every bookmark, by id; after an incomplete walk, unlisted ones can't be called gone
+  const bookmarks = new Map();
+  const { pages, complete } = await walkLibrary(
+    searchPath,
+    (page) => {
+      for (const b of page) bookmarks.set(b.id, b);
+    },
+    { pageSize: MIRROR_PAGE_SIZE, requestId }
+  );
+  const stats = {
+    mode: full ? "full" : "incremental",
+    listed: bookmarks.size,
+    pages,
+    added: 0,
+    updated: 0,
+    unchanged: 0,
+    removed: 0,
+    failed: 0,
+  };
+
+  const todo = [];
+  for (const bookmark of bookmarks.values()) {
+    const prev = records.get(bookmark.id);
+    const metaHash = sha1(stableStringify(bookmark));
+    if (!full && prev?.metaHash === metaHash) stats.unchanged++;
+    else todo.push({ bookmark, metaHash, prev });
+  }
+
+  const contents = await mapWithConcurrency(todo, MIRROR_CONCURRENCY, ({ bookmark }) =>
+    fetchBookmarkContent(bookmark.id, { noCache: true, requestId })
+  );
+  // The next mirror is built aside; the live one changes only once it's saved
+  const next = new Map(records);
+  const changed = [];
+  const removed = [];
+  const put = (record) => {
+    next.set(record.bookmark.id, record);
+    changed.push(record);
+  };
+  const syncedAt = new Date().toISOString();
+  todo.forEach(({ bookmark, metaHash, prev }, i) => {
+    const { markdown, error } = contents[i];
+    if (error) {
+      // Keep the new metadata, but not its hash: the next sync retries the content
+      stats.failed++;
+      put({
+        bookmark,
+        content: prev?.content ?? null,
+        metaHash: prev?.metaHash ?? null,
+        contentHash: prev?.contentHash ?? null,
+        syncedAt,
+      });
+      return;
+    }
+    const contentHash = sha1(markdown);
+    if (!prev) stats.added++;
+    else if (prev.metaHash !== metaHash || prev.contentHash !== contentHash) stats.updated++;
+    else stats.unchanged++;
+    put({ bookmark, content: markdown, metaHash, contentHash, syncedAt });
+  });
+
+  if (complete && bookmarks.size === 0 && next.size > 0) {
+    warn(`Mirror: upstream listed no bookmarks; keeping the ${next.size} mirrored ones`);
+  } else if (complete) {
+    for (const id of [...next.keys()]) {
+      if (bookmarks.has(id)) continue;
+      next.delete(id);
+      removed.push(id);
+      stats.removed++;
+    }
+  }
+
+  const lastSync = { ...stats, finishedAt: new Date().toISOString(), durationMs: Date.now() - startedAt };
+  // A sync into an empty mirror fetched every bookmark's content, as a full one does
+  const lastFullSync = full || records.size === 0 ? new Date(startedAt).toISOString() : state.lastFullSync;
+  await saveMirror(next, lastSync, lastFullSync);
+  records = next;
+  for (const record of changed) indexRecord(record);
+  for (const id of removed) index.remove(id);
+  state.lastSync = lastSync;
+  state.lastFullSync = lastFullSync;
+  return lastSync;
+}
+
+/** Whether the next sync should be a full one: MIRROR_FULL_SYNC_MS since the last (0 = never by itself) */
+function fullSyncDue() {
+  if (!(MIRROR_FULL_SYNC_MS > 0) || !state.lastFullSync) return false;
+  return Date.now() - Date.parse(state.lastFullSync) >= MIRROR_FULL_SYNC_MS;
+}
+
+/**
+ * Sync the mirror with upstream; joins the sync already running if there is
+ * one. Rejects (and keeps the mirror as it was) when the sync fails. Without
+ * `full`, the sync is a full one when one is due (MIRROR_FULL_SYNC_MS).
+ */
+export function syncMirror({ full } = {}) {
+  if (!state.running) {
+    full ??= fullSyncDue();
+    // Its own request id, not that of whichever request started it
+    const requestId = randomUUID();
+    state.running = withRequestContext({ requestId }, () => runSync({ full, requestId }))
+      .then(
+        (stats) => {
+          state.lastError = null;
+          info(`Mirror: ${stats.mode} sync done`, stats);
+          return stats;
+        },
+        (e) => {
+          state.lastError = e?.message || String(e);
+          warn(`Mirror sync failed; keeping the current mirror: ${state.lastError}`);
+          throw e;
+        }
+      )
+      .finally(() => {
+        state.running = null;
+      });
+  }
+  return state.running;
+}
+
+/** Load the store, then sync now and every MIRROR_SYNC_MS; a no-op without MIRROR_DIR */
+export function startMirrorSync() {
+  if (!MIRROR_DIR) return;
+  loadMirror();
+  const sync = () => syncMirror().catch(() => {});
+  sync();
+  if (!(MIRROR_SYNC_MS > 0)) return;
+  const timer = setInterval(sync, MIRROR_SYNC_MS);
+  timer.unref();
+  info(`Mirror sync every ${MIRROR_SYNC_MS}ms`);
+}
+
+/** Mirror numbers for /health */
+export function mirrorStatus() {
+  return {
+    bookmarks: records.size,
+    syncing: Boolean(state.running),
+    lastSync: state.lastSync,
+    lastFullSync: state.lastFullSync,
+    lastError: state.lastError,
+  };
+}
+
+// POST /admin/mirror/sync { full?, wait? }
+export async function mirrorSyncHandler(req, res) {
+  if (!MIRROR_DIR) return sendError(res, "not_found", "The local mirror is off (set MIRROR_DIR)");
+  const running = Boolean(state.running);
+  const sync = syncMirror({ full: typeof req.body?.full === "boolean" ? req.body.full : undefined });
+  if (req.body?.wait !== true) {
+    sync.catch(() => {});
+    return res.status(202).json({ status: running ? "running" : "started", mirror: mirrorStatus() });
+  }
+  try {
+    res.json({ status: "done", sync: await sync });
+  } catch (e) {
+    sendError(res, "upstream_unavailable", `Mirror sync failed: ${e?.message || e}`);
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/* Search                                                              */
+/* ------------------------------------------------------------------ */
+
+function invalid(message, loc, requestId) {
+  return {
+    status: statusFor("validation"),
+    payload: errorBody("validation", "Request body failed validation", {
+      requestId,
+      details: [{ loc: ["body", loc], msg: message, type: "value_error" }],
+    }),
+  };
+}
+
+/**
+ * /local-search: BM25 over the mirror. Without query terms, the filtered
+ * bookmarks come newest first. Same contract as runTool.
+ */
+export function searchMirror(body = {}, { requestId = null } = {}) {
+  if (!MIRROR_DIR) {
+    return {
+      status: statusFor("not_found"),
+      payload: errorBody("not_found", "The local mirror is off (set MIRROR_DIR)", { requestId }),
+    };
+  }
+  const { query = "", tags = [], type, createdAfter, createdBefore, limit = 10, nextCursor } = body;
+  const after = createdAfter ? Date.parse(createdAfter) : null;
+  const before = createdBefore ? Date.parse(createdBefore) : null;
+  if (Number.isNaN(after)) return invalid("Not a date", "createdAfter", requestId);
+  if (Number.isNaN(before)) return invalid("Not a date", "createdBefore", requestId);
+  const offset = nextCursor ? Number(nextCursor) : 0;
+  if (!Number.isInteger(offset) || offset < 0) return invalid("Not a cursor from this route", "nextCursor", requestId);
+
+  const wantTags = tags.map((t) => String(t).toLowerCase());
+  const filter = (id) => {
+    const b = records.get(id).bookmark;
+    if (type && b.type !== type) return false;
+    const created = b.createdAt ? Date.parse(b.createdAt) : null;
+    if (after !== null && !(created >= after)) return false;
+    if (before !== null && !(created < before)) return false;
+    const have = new Set((b.tags || []).map((t) => String(t).toLowerCase()));
+    return wantTags.every((t) => have.has(t));
+  };
+
+  const createdAt = (id) => String(records.get(id).bookmark.createdAt ?? "");
+  const ranked = tokenize(query).length
+    ? index.search(query, { filter })
+    : [...records.keys()]
+        .filter(filter)
+        .sort((x, y) => createdAt(y).localeCompare(createdAt(x)))
+        .map((id) => ({ id, score: null }));
+
+  const items = ranked.slice(offset, offset + limit).map(({ id, score }) => {
+    const { bookmark, content } = records.get(id);
+    const fields = { ...bookmark, content };
+    let text = null;
+    for (const f of SNIPPET_FIELDS) {
+      text = snippet(fields[f], query);
+      if (text) break;
+    }
+    return { ...bookmark, score: score === null ? null : Number(score.toFixed(4)), snippet: text };
+  });
+
+  const payload = { items, total: ranked.length, hasMore: offset + limit < ranked.length };
+  if (payload.hasMore) payload.nextCursor = String(offset + limit);
+  payload.mirror = { bookmarks: records.size, syncedAt: state.lastSync?.finishedAt ?? null };
+  return { status: 200, payload };
+}
@@ -0,0 +1,112 @@
+import fetch from "node-fetch";
+import { MCPO_URL, FETCH_TIMEOUT_MS, OPENAPI_RETRY_MS, SHIM_BACKEND } from "./config.js";
+import { info, warn, err, dbg } from "./logger.js";
+import { markOpenAPILoaded } from "./health.js";
+import { buildShimSpec } from "./spec.js";
+import { withTimeout } from "./upstream.js";
+import { getMcpClient } from "./mcp-client.js";
+import { sendError } from "./errors.js";
+import { recordSpec } from "./record.js";
+import { specFromTools } from "./tool-spec.js";
+
+let cachedSpec = null;
+
+async function fetchSpecFromMcp() {
+  dbg("Listing tools from MCP server ...");
+  const client = await getMcpClient();
+  const tools = await client.listTools();
+  return specFromTools(tools, client.serverInfo);
+}
+
+async function fetchSpecFromMcpo() {
+  const url = `${MCPO_URL}/openapi.json`;
+  dbg(`Fetching OpenAPI spec from ${url} ...`);
+  const t = withTimeout(FETCH_TIMEOUT_MS);
+  try {
+    const r = await fetch(url, { signal: t.signal });
+    const txt = await r.text();
+    if (!r.ok) throw new Error(`Upstream returned ${r.status}: ${txt}`);
+    return JSON.parse(txt);
+  } finally {
+    t.cancel();
+  }
+}
+
+/** Fetch the upstream spec without making it the current one (see useOpenAPI) */
+export async function fetchOpenAPISpec() {
+  try {
+    return SHIM_BACKEND === "mcp" ? await fetchSpecFromMcp() : await fetchSpecFromMcpo();
+  } catch (e) {
+    markOpenAPILoaded(false, e);
+    throw e;
+  }
+}
+
+/** Make `spec` the one getCachedOpenAPI() returns and /health reports */
+export function useOpenAPI(spec) {
+  cachedSpec = spec;
+  markOpenAPILoaded(true);
+  recordSpec(spec);
+  info(`OpenAPI loaded: ${spec.info?.title || "unknown"} v${spec.info?.version || "?"}`);
+}
+
+export async function fetchOpenAPIOnce() {
+  const spec = await fetchOpenAPISpec();
+  useOpenAPI(spec);
+  return spec;
+}
+
+export async function fetchOpenAPIWithRetry() {
+  // Keep retrying until success; health endpoint remains 503 meanwhile.
+  // We intentionally don't crash the process to let Docker healthcheck govern restarts.
+  // This function resolves only once we succeed.
+  // If you prefer not to block startup, you can call this without await and rely on health gating.
+  // Here we block to ensure dynamic routes exist when server starts listening.
+  for (;;) {
+    try {
+      return await fetchOpenAPIOnce();
+    } catch (e) {
+      warn(`OpenAPI fetch failed (${e?.message || e}); retrying in ${OPENAPI_RETRY_MS}ms`);
+      await new Promise((r) => setTimeout(r, OPENAPI_RETRY_MS));
+    }
+  }
+}
+
+export function getCachedOpenAPI() {
+  return cachedSpec;
+}
+
+// GET /openapi.json — the upstream spec rewritten to describe normalized output
+export function openapiHandler(req, res) {
+  const spec = buildShimSpec(getCachedOpenAPI());
+  if (!spec) return sendError(res, "upstream_unavailable", "OpenAPI spec not loaded yet", { status: 503 });
+  res.json(spec);
+}
+
+// Passthrough of the raw upstream spec (GET /openapi.upstream.json), for debugging
+export async function openapiPassthrough(req, res) {
+  // No mcpo to ask in MCP mode: the "upstream" spec is the one built from tools/list
+  if (SHIM_BACKEND === "mcp") {
+    const spec = getCachedOpenAPI();
+    if (!spec) return sendError(res, "upstream_unavailable", "OpenAPI spec not loaded yet", { status: 503 });
+    return res.json(spec);
+  }
+  const url = `${MCPO_URL}/openapi.json`;
+  const t = withTimeout(FETCH_TIMEOUT_MS);
+  try {
+    const r = await fetch(url, { signal: t.signal });
+    const body = await r.text();
+    res.status(r.status);
+    for (const [k, v] of r.headers.entries()) {
+      // Filter out hop-by-hop headers if needed; here passthrough is fine
+      if (k.toLowerCase() === "content-length") continue;
+      res.setHeader(k, v);
+    }
+    res.type("application/json").send(body);
+  } catch (e) {
+    err("OpenAPI passthrough failed", e);
+    sendError(res, "upstream_unavailable", "Failed to fetch upstream openapi.json");
+  } finally {
+    t.cancel();
+  }
+}
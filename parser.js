@@ -13,16 +13,40 @@
 //     `hasMore`. (Clients should use `nextCursor` when present.)
 //  4) Some model/tool outputs include leaked `<details>` debug blocks.
 //     We never want to render those to users; we provide a sanitizer.
+//  5) We need to know *which* of these rescues fired, so a change in the
+//     KaraKeep MCP output format shows up in /metrics before users notice.
+//     parseToolResponse/input2JSON take an optional `info` object and set
+//     `info.branch` to one of PARSER_BRANCHES.
+//  6) JSON embedded in prose, sometimes several objects in one text. A greedy
+//     regex (first `{` to last `}`) recovered none of those; json-scan.js is a
+//     bracket scanner that finds each value.
 //
 // This module provides:
 //  - tryParseJSON(text)
+//  - unwrapText(raw)               -> body text with JSON string encoding undone
 //  - stripDebugBlocks(html)
 //  - parseToolResponse(toolResp)   -> robustly extract the JSON payload
-//  - normalizeKarakeepPayload(raw) -> fix interleaving, dedupe, nextCursor
+//  - normalizeKarakeepPayload(raw) -> fix interleaving, canonicalize, dedupe, nextCursor
+//  - mergeBookmarkPages(pages)     -> combine normalized pages, dedupe across them
+//  - parseKVBlocks(text)           -> "Key: value" blocks -> { items, cursor, hasMore }
 //  - input2JSON(raw)               -> legacy path for non-JSON/KV text
 //
 // Keep these utilities together—downstream code (router/renderers) rely on
-// this consistent shape: { items: [], nextCursor: string|null, hasMore: bool }.
+// this consistent shape: { items: [], nextCursor: string|null, hasMore: bool },
+// with every item in the canonical bookmark shape from bookmark.js.
+
+import { hasBookmarkId, toCanonicalBookmark } from "./bookmark.js";
+import { findJSONValues } from "./json-scan.js";
+
+/** Which parsing path produced a payload (reported through `info.branch`) */
+export const PARSER_BRANCHES = [
+  "json", //              the whole body was JSON
+  "envelope_result", //   tool envelope, payload in `result`
+  "sources_document", //  tool envelope, payload in `sources[].document[*]`
+  "scan_rescue", //       JSON cut out of surrounding text (json-scan.js)
+  "kv_blocks", //         "Key: value" text blocks
+  "text_fallback", //     nothing matched; `{ text }`
+];
 
 /* ------------------------------------------------------------------ */
 /* Basic JSON helpers                                                  */
@@ -59,6 +83,11 @@ function unwrapDeepJSONString(raw, maxDepth = 5) {
   return { parsed: null, text: out };
 }
 
+/** Upstream body as plain text, with (nested) JSON string encoding undone */
+export function unwrapText(raw) {
+  return unwrapDeepJSONString(String(raw ?? "")).text;
+}
+
 /* ------------------------------------------------------------------ */
 /* Sanitizer                                                           */
 /* ------------------------------------------------------------------ */
@@ -76,24 +105,33 @@ export function stripDebugBlocks(html = "") {
 /* ------------------------------------------------------------------ */
 
 /**
- * Extract the first valid JSON object from an arbitrary string.
- * This is a "rescue" for cases where JSON is embedded in surrounding text.
+ * Rescue JSON embedded in surrounding text (json-scan.js finds every
+ * top-level object/array). Empty containers and arrays of bare scalars are
+ * ignored: in prose and Markdown those are `[ ]` checkboxes and `[1]`
+ * citations, not payloads. Several bookmark objects in one text become one
+ * page (`{ items }`); otherwise the first object wins, then the first array.
  */
-function extractFirstJSONObjectFromText(text) {
+function extractJSONFromText(text, info = {}) {
   if (typeof text !== "string") return null;
   // Fast path: whole string is JSON
   const direct = tryParseJSON(text);
-  if (direct && typeof direct === "object") return direct;
-
-  // Slow path: scan for the outermost {...} or [...]
-  // We try a greedy match first; if that fails, we try a non-greedy fallback.
-  const objMatch =
-    text.match(/\{[\s\S]*\}/) || text.match(/\[[\s\S]*\]/);
-  if (objMatch) {
-    const maybe = tryParseJSON(objMatch[0]);
-    if (maybe && typeof maybe === "object") return maybe;
+  if (direct && typeof direct === "object") {
+    info.branch = "json";
+    return direct;
   }
-  return null;
+
+  const values = findJSONValues(text).filter(isPayloadLike);
+  if (values.length === 0) return null;
+  info.branch = "scan_rescue";
+  if (values.length > 1 && values.every((v) => !Array.isArray(v) && hasBookmarkId(v))) {
+    return { items: values };
+  }
+  return values.find((v) => !Array.isArray(v)) ?? values[0];
+}
+
+function isPayloadLike(v) {
+  if (Array.isArray(v)) return v.some((el) => el && typeof el === "object");
+  return Object.keys(v).length > 0;
 }
 
 /**
@@ -107,13 +145,14 @@ function extractFirstJSONObjectFromText(text) {
  *
  * This function robustly digs out the first valid JSON object/array.
  * Returns the parsed object (or null if nothing usable is found).
+ * `info.branch` says which path found it (see PARSER_BRANCHES).
  */
-export function parseToolResponse(toolResp) {
+export function parseToolResponse(toolResp, info = {}) {
   if (toolResp == null) return null;
 
   // If the entire thing is a string, try to parse/extract JSON
   if (typeof toolResp === "string") {
-    return extractFirstJSONObjectFromText(toolResp);
+    return extractJSONFromText(toolResp, info);
   }
 
   // 1) Prefer a non-empty `result`
@@ -122,10 +161,14 @@ export function parseToolResponse(toolResp) {
     if (typeof res === "string") {
       // It might be JSON or JSON-encoded text; unwrap deeply
       const { parsed, text } = unwrapDeepJSONString(res);
-      if (parsed && typeof parsed === "object") return parsed;
-      const rescued = extractFirstJSONObjectFromText(text);
+      if (parsed && typeof parsed === "object") {
+        info.branch = "envelope_result";
+        return parsed;
+      }
+      const rescued = extractJSONFromText(text, info);
       if (rescued) return rescued;
     } else if (typeof res === "object") {
+      info.branch = "envelope_result";
       return res;
     }
   }
@@ -138,20 +181,24 @@ export function parseToolResponse(toolResp) {
       if (doc == null) continue;
       if (typeof doc === "object") {
         // Already a JSON-like object
+        info.branch = "sources_document";
         return doc;
       }
       if (typeof doc === "string") {
         // Try deep unwrap and extraction
         const { parsed, text } = unwrapDeepJSONString(doc);
-        if (parsed && typeof parsed === "object") return parsed;
-        const rescued = extractFirstJSONObjectFromText(text);
+        if (parsed && typeof parsed === "object") {
+          info.branch = "sources_document";
+          return parsed;
+        }
+        const rescued = extractJSONFromText(text, info);
         if (rescued) return rescued;
       }
     }
   }
 
   // 3) As a final rescue, check toolResp itself for embedded JSON text
-  const rescued = extractFirstJSONObjectFromText(String(toolResp));
+  const rescued = extractJSONFromText(String(toolResp), info);
   if (rescued) return rescued;
 
   return null;
@@ -173,22 +220,25 @@ export function parseToolResponse(toolResp) {
  *     { author: ... }
  *     { publisher: ..., Tags: [...] }
  *
- * - De-dupes by Bookmark_ID (last write wins).
+ * - Maps every bookmark into the canonical camelCase shape (see bookmark.js);
+ *   `includeRaw` keeps the original keys under `raw`.
+ * - De-dupes by id (last write wins).
  * - Unifies pagination across `nextCursor`, `next_cursor`, `next_page_token`, `cursor`, etc.
  */
-export function normalizeKarakeepPayload(raw) {
+export function normalizeKarakeepPayload(raw, { includeRaw = false } = {}) {
   // Guard: always return a stable shape
   if (!raw || typeof raw !== "object") {
     return { items: [], nextCursor: null, hasMore: false };
   }
 
-  const rows = Array.isArray(raw.items) ? raw.items : [];
+  // KaraKeep's REST shape uses `bookmarks`; tool/KV output uses `items`
+  const rows = Array.isArray(raw.items) ? raw.items : Array.isArray(raw.bookmarks) ? raw.bookmarks : [];
   const coalesced = [];
   let current = null;
 
   // Iterate rows and fold subsequent non-ID rows into the current bookmark.
   for (const row of rows) {
-    if (row && typeof row === "object" && Object.prototype.hasOwnProperty.call(row, "Bookmark_ID")) {
+    if (hasBookmarkId(row)) {
       // Start a new bookmark object
       if (current) coalesced.push(current);
       current = { ...row };
@@ -202,13 +252,8 @@ export function normalizeKarakeepPayload(raw) {
   }
   if (current) coalesced.push(current);
 
-  // De-dupe by Bookmark_ID, merging fields (last write wins).
-  const byId = new Map();
-  for (const it of coalesced) {
-    const id = it.Bookmark_ID || `tmp_${byId.size}`;
-    const existing = byId.get(id) || {};
-    byId.set(id, { ...existing, ...it });
-  }
+  // Canonicalize, then de-dupe by id, merging fields (last write wins).
+  const items = dedupeBookmarks(coalesced.map((row) => toCanonicalBookmark(row, { includeRaw })));
 
   // Normalize pagination token names
   const tokenCandidates = [
@@ -232,12 +277,37 @@ export function normalizeKarakeepPayload(raw) {
 
   // Return in a consistent, consumer-friendly shape
   return {
-    items: Array.from(byId.values()),
+    items,
     nextCursor,
     hasMore
   };
 }
 
+/**
+ * De-dupe canonical bookmarks by id, merging fields (last write wins).
+ * Items without an id are kept as-is.
+ */
+function dedupeBookmarks(items) {
+  const byId = new Map();
+  for (const it of items) {
+    const id = it.id || `tmp_${byId.size}`;
+    const existing = byId.get(id) || {};
+    byId.set(id, { ...existing, ...it });
+  }
+  return Array.from(byId.values());
+}
+
+/**
+ * Merge several normalized pages (output of normalizeKarakeepPayload) into
+ * one item list, de-duped across pages the same way as within a page.
+ * Returns { items, duplicates } where `duplicates` counts dropped repeats.
+ */
+export function mergeBookmarkPages(pages) {
+  const all = pages.flatMap((p) => (Array.isArray(p?.items) ? p.items : []));
+  const items = dedupeBookmarks(all);
+  return { items, duplicates: all.length - items.length };
+}
+
 /* ------------------------------------------------------------------ */
 /* Legacy KV-block parsing (for non-JSON text payloads)                */
 /* ------------------------------------------------------------------ */
@@ -252,7 +322,7 @@ export function normalizeKarakeepPayload(raw) {
  * weren't JSON. If you remove it, double-check any paths still calling
  * input2JSON on free-form text.
  */
-function parseKVBlocks(text) {
+export function parseKVBlocks(text) {
   const lines = String(text).split(/\r?\n/);
   const items = [];
   let current = null;
@@ -277,10 +347,12 @@ function parseKVBlocks(text) {
     const key = m[2].trim();
     const value = m[3];
 
-    // Handle cursor line (often at the end)
+    // Handle cursor line (often at the end). KaraKeep prints
+    // "Next cursor: no more pages" on the last page; that is not a token.
     if (/^next\s+cursor$/i.test(key)) {
       cursor = value.replace(/^'+|'+$/g, "").trim();
-      hasMore = cursor !== "" && cursor !== "0";
+      if (/^(no more pages|none|null)?$/i.test(cursor)) cursor = null;
+      hasMore = cursor !== null && cursor !== "0";
       continue;
     }
 
@@ -330,12 +402,19 @@ function parseKVBlocks(text) {
  *    - Parses KV blocks or returns { text: "<raw text>" }.
  *
  * Note: For tool responses, prefer parseToolResponse(...) + normalizeKarakeepPayload(...).
+ * `info.branch` is set like parseToolResponse's.
  */
-export function input2JSON(raw) {
-  if (raw == null) return { text: "" };
+export function input2JSON(raw, info = {}) {
+  if (raw == null) {
+    info.branch = "text_fallback";
+    return { text: "" };
+  }
 
   // If it's already an object/array, just return it.
-  if (typeof raw === "object") return raw;
+  if (typeof raw === "object") {
+    info.branch = "json";
+    return raw;
+  }
 
   // Ensure we have a string to operate on
   let bodyText = String(raw);
@@ -344,6 +423,7 @@ export function input2JSON(raw) {
   const { parsed, text } = unwrapDeepJSONString(bodyText);
   if (parsed && typeof parsed === "object") {
     // Upstream returned a real JSON object/array
+    info.branch = "json";
     return parsed;
   }
 
@@ -351,10 +431,12 @@ export function input2JSON(raw) {
   // Try KV-block parsing
   const kv = parseKVBlocks(text);
   if (kv) {
+    info.branch = "kv_blocks";
     return kv;
   }
 
   // Fallback: return as simple text wrapper
+  info.branch = "text_fallback";
   return { text };
 }
 
@@ -0,0 +1,46 @@
+// record.js
+//
+// Record mode (SHIM_RECORD_FILE): every upstream call is appended to a JSONL
+// file as one line, together with the spec whenever it is (re)loaded:
+//
+//   {"kind":"spec","time","spec":{...}}          (when it changes)
+//   {"kind":"call","time","method","path","body","query","status","text"}
+//
+// replay.js serves such a file as a stand-in for mcpo, so parser changes can
+// be checked against real captured traffic offline. Recordings hold bookmark
+// content verbatim (no redaction; that is the point) but never API keys or
+// forwarded tokens, which travel in headers.
+
+import { createWriteStream } from "node:fs";
+import { SHIM_RECORD_FILE } from "./config.js";
+import { info, warn } from "./logger.js";
+
+let stream = null;
+let lastSpec = null;
+
+function recorder() {
+  if (!SHIM_RECORD_FILE) return null;
+  if (!stream) {
+    stream = createWriteStream(SHIM_RECORD_FILE, { flags: "a" });
+    stream.on("error", (e) => warn(`Recording to ${SHIM_RECORD_FILE} failed: ${e.message}`));
+    info(`Recording upstream traffic to ${SHIM_RECORD_FILE}`);
+  }
+  return stream;
+}
+
+function append(entry) {
+  recorder()?.write(`${JSON.stringify({ ...entry, time: new Date().toISOString() })}\n`);
+}
+
+/** Record the spec when it differs from the last one recorded (refreshes are periodic) */
+export function recordSpec(spec) {
+  if (!SHIM_RECORD_FILE) return;
+  const text = JSON.stringify(spec);
+  if (text === lastSpec) return;
+  lastSpec = text;
+  append({ kind: "spec", spec });
+}
+
+export function recordCall(path, { method, body, query }, { status, text }) {
+  if (SHIM_RECORD_FILE) append({ kind: "call", method, path, body: body ?? {}, query: query ?? {}, status, text });
+}
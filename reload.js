@@ -0,0 +1,138 @@
+// reload.js
+//
+// Why this file exists:
+// ---------------------
+// The spec used to be fetched once at startup. When mcpo restarts with a newer
+// KaraKeep MCP that adds or renames tools, the shim kept serving the old routes
+// until someone restarted it. Now the dynamic router sits behind a mutable
+// reference: a refresh (periodic, or POST /admin/reload-spec) refetches the
+// spec, diffs it against getCachedOpenAPI(), and — only if something changed —
+// builds a new router and swaps it in with a single assignment. The fetched
+// spec only becomes getCachedOpenAPI() once that router is built, so a spec
+// that fails to build is diffed (and fails) again on the next refresh.
+//
+// The swap is not per request: in-flight requests keep the route handler
+// they matched, but request validators, transformer lookups and the tool
+// paths runTool() uses (router.js) are process-wide and switch at once.
+
+import { SPEC_REFRESH_MS } from "./config.js";
+import { info, warn, dbg } from "./logger.js";
+import { fetchOpenAPISpec, getCachedOpenAPI, useOpenAPI } from "./openapi.js";
+import { markOpenAPILoaded } from "./health.js";
+import { buildRouterFromOpenAPI } from "./router.js";
+import { sendError } from "./errors.js";
+
+let currentRouter = null;
+let reloading = null;
+
+/** Express middleware that always delegates to the latest router */
+export function dynamicRouter(req, res, next) {
+  if (!currentRouter) return next();
+  return currentRouter(req, res, next);
+}
+
+export function mountSpec(spec) {
+  currentRouter = buildRouterFromOpenAPI(spec);
+}
+
+/** "POST /path" -> operation object, for the verbs the router serves */
+function operations(spec) {
+  const ops = new Map();
+  for (const [path, pathObj] of Object.entries(spec?.paths || {})) {
+    for (const [method, op] of Object.entries(pathObj || {})) {
+      const lower = method.toLowerCase();
+      if (!["post", "get"].includes(lower)) continue;
+      ops.set(`${lower.toUpperCase()} ${path}`, op);
+    }
+  }
+  return ops;
+}
+
+/**
+ * Route-level diff between two specs. `changed` lists operations present in
+ * both whose definition differs (e.g. a new request field). Component
+ * schemas are compared too, since request bodies usually $ref them.
+ */
+export function diffOpenAPI(prev, next) {
+  const a = operations(prev);
+  const b = operations(next);
+  const added = [...b.keys()].filter((k) => !a.has(k));
+  const removed = [...a.keys()].filter((k) => !b.has(k));
+  const changed = [...b.keys()].filter(
+    (k) => a.has(k) && JSON.stringify(a.get(k)) !== JSON.stringify(b.get(k))
+  );
+  const schemasChanged =
+    JSON.stringify(prev?.components?.schemas || {}) !== JSON.stringify(next?.components?.schemas || {});
+  return {
+    added,
+    removed,
+    changed,
+    schemasChanged,
+    hasChanges: added.length > 0 || removed.length > 0 || changed.length > 0 || schemasChanged,
+  };
+}
+
+async function doReload(reason) {
+  const prev = getCachedOpenAPI();
+  const next = await fetchOpenAPISpec();
+  const diff = diffOpenAPI(prev, next);
+
+  if (!diff.hasChanges) {
+    useOpenAPI(next);
+    dbg(`Spec refresh (${reason}): no changes`);
+    return diff;
+  }
+
+  try {
+    mountSpec(next);
+  } catch (e) {
+    // The old router and spec stay; /health reports the spec as stale
+    const failure = new Error(`New spec failed to build: ${e?.message || e}`);
+    failure.name = "SpecBuildError";
+    markOpenAPILoaded(false, failure);
+    throw failure;
+  }
+  useOpenAPI(next);
+  info(
+    `Spec refresh (${reason}): router swapped — ` +
+      `added [${diff.added.join(", ")}], removed [${diff.removed.join(", ")}], ` +
+      `changed [${diff.changed.join(", ")}]`
+  );
+  return diff;
+}
+
+/**
+ * Refetch the spec and swap the router if it changed. Concurrent callers
+ * share one in-flight reload. Rejects if upstream is unreachable; the old
+ * router stays mounted and /health reports the spec as stale.
+ */
+export function reloadSpec(reason = "manual") {
+  if (!reloading) {
+    reloading = doReload(reason).finally(() => {
+      reloading = null;
+    });
+  }
+  return reloading;
+}
+
+/** Periodic refresh every SPEC_REFRESH_MS (no-op when 0) */
+export function startSpecRefresh() {
+  if (!(SPEC_REFRESH_MS > 0)) return;
+  const timer = setInterval(() => {
+    reloadSpec("periodic").catch((e) => warn(`Spec refresh failed; keeping current routes: ${e?.message || e}`));
+  }, SPEC_REFRESH_MS);
+  timer.unref();
+  info(`Spec refresh every ${SPEC_REFRESH_MS}ms`);
+}
+
+// POST /admin/reload-spec
+export async function reloadSpecHandler(req, res) {
+  try {
+    const diff = await reloadSpec("admin");
+    res.json(diff);
+  } catch (e) {
+    warn(`Admin spec reload failed: ${e?.message || e}`);
+    const code = e?.name === "SpecBuildError" ? "internal" : "upstream_unavailable";
+    sendError(res, code, `Spec reload failed: ${e?.message || e}`);
+  }
+}
@@ -0,0 +1,123 @@
+// replay.js
+//
+// A local stand-in for mcpo that serves a recording made with
+// SHIM_RECORD_FILE (record.js):
+//
+//   node replay.js recordings.jsonl [--port 8000] [--loose]
+//   MCPO_URL=http://localhost:8000 node server.js
+//
+// /openapi.json is the last recorded spec (or one synthesized from the
+// recorded tool paths). Tool calls are matched on method + path + body +
+// query; repeated identical calls are answered in recorded order, and the
+// last answer repeats once they run out. With --loose, a call with no exact
+// match gets the latest recording for the same path. Anything else is a 500
+// with a `detail` naming the missing call, the way mcpo reports failures.
+
+import { readFileSync } from "node:fs";
+import { pathToFileURL } from "node:url";
+import express from "express";
+import { stableStringify } from "./stable-json.js";
+import { specFromTools } from "./tool-spec.js";
+
+function callKey(method, path, body, query) {
+  return `${String(method).toLowerCase()} ${path} ${stableStringify(body || {})} ${stableStringify(query || {})}`;
+}
+
+/** Parse a recording; malformed lines are skipped and counted */
+export function loadRecording(text) {
+  let spec = null;
+  const calls = [];
+  let skipped = 0;
+  for (const line of String(text).split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry.kind === "spec") spec = entry.spec;
+      else if (entry.kind === "call") calls.push(entry);
+      else skipped++;
+    } catch {
+      skipped++;
+    }
+  }
+  return { spec, calls, skipped };
+}
+
+/**
+ * Answer lookup over recorded calls.
+ * `next(method, path, body, query)` -> { status, text } | null
+ */
+export function createReplayStore(calls, { loose = false } = {}) {
+  const exact = new Map(); // callKey -> { entries, served }
+  const byPath = new Map(); // path -> latest entry
+  for (const c of calls) {
+    const key = callKey(c.method, c.path, c.body, c.query);
+    if (!exact.has(key)) exact.set(key, { entries: [], served: 0 });
+    exact.get(key).entries.push(c);
+    byPath.set(c.path, c);
+  }
+
+  return {
+    paths: () => [...byPath.keys()],
+    next(method, path, body, query) {
+      const hit = exact.get(callKey(method, path, body, query));
+      if (hit) {
+        const entry = hit.entries[Math.min(hit.served, hit.entries.length - 1)];
+        hit.served++;
+        return { status: entry.status, text: entry.text };
+      }
+      if (loose && byPath.has(path)) {
+        const entry = byPath.get(path);
+        return { status: entry.status, text: entry.text };
+      }
+      return null;
+    },
+  };
+}
+
+/** Spec for recordings made without one: every recorded path as a tool */
+function synthesizeSpec(paths) {
+  const tools = paths.map((p) => ({ name: decodeURIComponent(p.replace(/^\//, "")), inputSchema: { type: "object" } }));
+  return specFromTools(tools, { name: "karakeep (replay)", version: "replay" });
+}
+
+export function createReplayApp(recording, { loose = false } = {}) {
+  const store = createReplayStore(recording.calls, { loose });
+  const spec = recording.spec || synthesizeSpec(store.paths());
+  const app = express();
+  app.use(express.json());
+
+  app.get("/openapi.json", (req, res) => res.json(spec));
+  app.all("*", (req, res) => {
+    const method = req.method.toLowerCase();
+    const body = method === "post" ? req.body : {};
+    const answer = store.next(method, req.path, body, method === "get" ? req.query : {});
+    if (!answer) {
+      const detail = `replay: no recording for ${req.method} ${req.path} ${JSON.stringify(body)}`;
+      console.warn(detail);
+      return res.status(500).json({ detail });
+    }
+    // mcpo answers JSON; recorded text is already the serialized body
+    res.status(answer.status).type("application/json").send(answer.text);
+  });
+  return app;
+}
+
+// CLI
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+  const portArg = args.indexOf("--port");
+  const file = args.find((a, i) => !a.startsWith("--") && i !== portArg + 1);
+  const port = portArg >= 0 ? Number(args[portArg + 1]) : Number(process.env.REPLAY_PORT || 8000);
+  if (!file) {
+    console.error("usage: node replay.js <recording.jsonl> [--port 8000] [--loose]");
+    process.exit(2);
+  }
+  const recording = loadRecording(readFileSync(file, "utf8"));
+  const app = createReplayApp(recording, { loose: args.includes("--loose") });
+  app.listen(port, () => {
+    console.log(
+      `Replaying ${recording.calls.length} calls from ${file} on port ${port}` +
+        (recording.skipped ? ` (${recording.skipped} unreadable lines skipped)` : "")
+    );
+  });
+}
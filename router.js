@@ -10,79 +10,550 @@
 //    unify pagination as { nextCursor, hasMore }.
 // 3) GET calls were not forwarding query params to upstream. Fixed.
 // 4) We keep a robust fallback (input2JSON) for non-JSON / KV text responses.
+// 5) The upstream call itself lives in upstream.js (mcpo HTTP or native MCP).
+// 6) Bookmarks come back in one canonical camelCase shape (bookmark.js);
+//    `?raw=1` keeps the upstream keys under `raw`.
+// 7) Search accepts `"all": true` (+ `maxItems`/`maxPages`): the shim follows
+//    `nextCursor` itself and returns one merged, de-duped list with `stats`.
+// 8) Read tools are cached per path+body (cache.js) and answer If-None-Match
+//    with 304; successful writes invalidate what they touched.
+// 9) Request bodies are coerced and validated against the published spec
+//    (validate.js); bad ones get a 422 here instead of an opaque mcpo 500.
+// 10) Bookmark routes negotiate their output format (`?format=` or Accept):
+//    markdown, csv, jsonl, rss or atom, rendered from `items` (format.js).
+// 11) Failures — including tool errors that used to come back as `{ text }`
+//    — are classified and returned in one error envelope (errors.js) with a
+//    request id. Only failed (non-2xx) answers are read for error text.
+// 12) Upstream calls go through a circuit breaker, and read tools are retried
+//    with backoff while upstream is unavailable (upstream.js, breaker.js).
+// 13) With API keys configured, each route needs the "read" or "write" scope
+//    (auth.js), and a key's own KaraKeep token is forwarded upstream.
+// 14) Clients are rate limited and upstream calls share a bounded number of
+//    slots (limits.js); both overflow as 429 `rate_limited`.
+// 15) Every response records which parser branch handled it (metrics.js).
+// 16) Each tool's payload is shaped by its transformer (transformers.js)
+//    instead of path-regex heuristics; a result that doesn't fit the tool's
+//    shape is a `parse_failure`.
+// 17) Search accepts `"includeContent": true`: the content of the top hits is
+//    fetched and inlined under each item's `content`, within character or
+//    token budgets (hydrate.js).
+// 18) create-bookmark looks for a bookmark with the same canonical URL first
+//    (canonical-url.js) and answers with it, marked `existing: true`, instead
+//    of saving a duplicate; `"force": true` skips the check. Such an answer
+//    wrote nothing: no cache invalidation, no write announced (#19). The
+//    check reads at most DEDUPE_MAX_PAGES pages; past them it gives up and
+//    the bookmark is created, as when the check fails.
+// 19) Successful write tools are announced to onToolWrite() listeners, from
+//    every entry point (REST, /batch, /import, MCP); webhooks.js turns them
+//    into outbound events.
+// 20) Search with `all` or `includeContent` costs a rate-limit token per
+//    upstream call it may make (toolCalls), not one per request.
 //
 // Downstream consumers should expect a consistent shape:
-//   - For KaraKeep bookmarks: { items: [...], nextCursor: string|null, hasMore: boolean }
+//   - Search: { items: [...], nextCursor?: string, hasMore: boolean }
+//   - Other KaraKeep tools: the schema their transformer declares in /openapi.json
 //   - Otherwise: the parsed JSON (or the input2JSON fallback) with status preserved.
 
 import express from "express";
-import fetch from "node-fetch";
-import { MCPO_URL, FETCH_TIMEOUT_MS } from "./config.js";
-import { dbg, info, warn, err } from "./logger.js";
+import {
+  INCLUDE_RAW,
+  AUTO_PAGINATE_MAX_PAGES,
+  AUTO_PAGINATE_MAX_ITEMS,
+  BATCH_CONCURRENCY,
+  CONTENT_MAX_ITEMS,
+  CONTENT_ITEM_BUDGET,
+  CONTENT_TOTAL_BUDGET,
+  CONTENT_BUDGET_UNIT,
+  DEDUPE_ON_CREATE,
+  DEDUPE_MAX_PAGES,
+} from "./config.js";
+import { dbg, info, warn, err, preview } from "./logger.js";
 import {
   input2JSON,
   parseToolResponse,
-  normalizeKarakeepPayload,
+  mergeBookmarkPages,
   stripDebugBlocks,
+  unwrapText,
 } from "./parser.js";
+import { callUpstream } from "./upstream.js";
+import { findToolPath, isReadTool, isKaraKeepBookmarksPath, isTool, toolAccess, toolName } from "./tools.js";
+import { canonicalUrl, samePage } from "./canonical-url.js";
+import { compileTransformers, normalizeToolPayload, transformerFor } from "./transformers.js";
+import { requireScope } from "./auth.js";
+import { chargeCalls } from "./limits.js";
+import { cacheKey, cacheGet, cacheSet, etagFor, invalidateFor, ttlFor } from "./cache.js";
+import { compileSpecValidators, validateRequest } from "./validate.js";
+import { BOOKMARK_RESPONSES, responseKindForPath } from "./spec.js";
+import { FORMATS, negotiateFormat, renderBookmarks } from "./format.js";
+import { classifyException, classifyUpstream, errorBody, sendError, statusFor } from "./errors.js";
+import { recordCacheLookup, recordParserBranch } from "./metrics.js";
+import { hydrateItems } from "./hydrate.js";
+
+// Query parameters the shim consumes itself; never forwarded upstream
+const SHIM_QUERY_PARAMS = new Set(["raw", "format"]);
+
+/** Truthy query flag: ?raw, ?raw=1, ?raw=true */
+export function queryFlag(value) {
+  if (Array.isArray(value)) value = value[value.length - 1];
+  return value === "" || value === "1" || value === "true";
+}
+
+/** Does the request's If-None-Match list contain this ETag (weak comparison)? */
+function ifNoneMatch(req, etag) {
+  const header = req.get("If-None-Match");
+  if (!header) return false;
+  const bare = (t) => t.trim().replace(/^W\//, "");
+  return header.split(",").some((t) => t.trim() === "*" || bare(t) === bare(etag));
+}
+
+/** Drop the query parameters the shim consumes before forwarding upstream */
+function upstreamQuery(queryObj) {
+  const out = {};
+  for (const [k, v] of Object.entries(queryObj || {})) {
+    if (!SHIM_QUERY_PARAMS.has(k)) out[k] = v;
+  }
+  return out;
+}
+
+// Request-body options the shim consumes on search routes; never forwarded upstream
+const PAGINATION_OPTIONS = ["all", "maxItems", "maxPages"];
+
+/** Positive integer option capped at `ceiling`; falls back to the ceiling */
+function capOption(value, ceiling) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? Math.min(n, ceiling) : ceiling;
+}
+
+/**
+ * Follow `nextCursor` upstream until the library (or a cap) is exhausted,
+ * then merge the pages into one de-duped list.
+ * `stats.stoppedBy` is "end" | "maxItems" | "maxPages" | "cursorLoop" | "error".
+ */
+async function runSearchAll(path, { body, ...opts }) {
+  const itemCap = capOption(body.maxItems, AUTO_PAGINATE_MAX_ITEMS);
+  const pageCap = capOption(body.maxPages, AUTO_PAGINATE_MAX_PAGES);
+  const base = { ...body };
+  for (const k of PAGINATION_OPTIONS) delete base[k];
+
+  const pages = [];
+  const seenCursors = new Set();
+  let cursor = base.nextCursor;
+  let stoppedBy = "maxPages";
+  let fetched = 0;
+
+  while (pages.length < pageCap) {
+    const pageBody = { ...base };
+    if (cursor) pageBody.nextCursor = cursor;
+    else delete pageBody.nextCursor;
+
+    const r = await runOnce(path, { ...opts, body: pageBody });
+    if (r.status >= 400) {
+      // Nothing to merge yet: surface the upstream error as-is
+      if (pages.length === 0) return r;
+      warn(`Auto-pagination on ${path} stopped by upstream ${r.status} after ${pages.length} page(s)`);
+      stoppedBy = "error";
+      break;
+    }
+    pages.push(r.payload);
+    fetched += Array.isArray(r.payload?.items) ? r.payload.items.length : 0;
+    cursor = r.payload?.nextCursor;
+
+    if (!r.payload?.hasMore || !cursor) {
+      stoppedBy = "end";
+      break;
+    }
+    if (fetched >= itemCap) {
+      stoppedBy = "maxItems";
+      break;
+    }
+    if (seenCursors.has(cursor)) {
+      warn(`Auto-pagination on ${path} saw cursor ${JSON.stringify(cursor)} twice; stopping`);
+      stoppedBy = "cursorLoop";
+      break;
+    }
+    seenCursors.add(cursor);
+  }
+
+  const { items, duplicates } = mergeBookmarkPages(pages);
+  const truncated = items.length > itemCap;
+  const more = stoppedBy !== "end" && stoppedBy !== "cursorLoop" && Boolean(cursor);
+  const payload = {
+    items: truncated ? items.slice(0, itemCap) : items,
+    hasMore: more || truncated,
+    stats: { pages: pages.length, items: Math.min(items.length, itemCap), duplicates, truncated, stoppedBy },
+  };
+  // Resume point for the caller; only exact when we stopped on a page boundary
+  if (more && !truncated) payload.nextCursor = cursor;
+
+  dbg(`[ALL] ${path}`, { stats: payload.stats });
+  return { status: 200, payload };
+}
+
+function libraryWalkError(message, { status, payload }) {
+  const e = new Error(message);
+  e.name = "LibraryWalkError";
+  e.status = status;
+  e.payload = payload;
+  return e;
+}
 
-/** Make an AbortController with timeout so upstream hangs can't stall the shim */
-function withTimeout(ms) {
-  const ctrl = new AbortController();
-  const id = setTimeout(() => ctrl.abort(), ms);
-  return { signal: ctrl.signal, cancel: () => clearTimeout(id) };
-}
-
-/** Append query parameters for GET passthrough (we used to drop these — bug fix) */
-function buildUpstreamURL(base, path, queryObj) {
-  const url = new URL(`${base}${path}`);
-  if (queryObj && typeof queryObj === "object") {
-    for (const [k, v] of Object.entries(queryObj)) {
-      // Express query can be string | string[]
-      if (Array.isArray(v)) {
-        v.forEach((val) => url.searchParams.append(k, String(val)));
-      } else if (v != null) {
-        url.searchParams.set(k, String(v));
+/**
+ * Walk every page `query` matches on search route `path`, following
+ * `nextCursor` with no item cap (unlike `all`), and hand each page's items to
+ * `onPage`. Used by the local mirror's sync, /export, /import, /duplicates
+ * and create-bookmark's duplicate check. A repeated cursor, or `onPage`
+ * returning false, ends the walk early, with `complete: false`. Throws (name
+ * "LibraryWalkError", with `status` and `payload`) when a page fails.
+ * @returns {Promise<{ pages: number, items: number, complete: boolean }>}
+ */
+export async function walkLibrary(path, onPage, { query = "", pageSize, client = null, requestId = null } = {}) {
+  const cursors = new Set();
+  let cursor = null;
+  let items = 0;
+  for (let pages = 1; ; pages++) {
+    const body = { query };
+    if (pageSize) body.limit = pageSize;
+    if (cursor) body.nextCursor = cursor;
+    const { status, payload } = await runTool(path, { body, client, requestId, noCache: true });
+    if (status >= 400) {
+      const message = `${toolName(path)} failed on page ${pages} (${status}): ${payload?.error?.message}`;
+      throw libraryWalkError(message, { status, payload });
+    }
+    const page = (payload.items || []).filter((b) => b?.id);
+    items += page.length;
+    if ((await onPage(page)) === false) return { pages, items, complete: false };
+    cursor = payload.nextCursor;
+    if (!payload.hasMore || !cursor) return { pages, items, complete: true };
+    if (cursors.has(cursor)) {
+      warn(`Library walk on ${path} saw cursor ${JSON.stringify(cursor)} twice; stopping`);
+      return { pages, items, complete: false };
+    }
+    cursors.add(cursor);
+  }
+}
+
+/**
+ * The list tree from get-lists route `path` (uncached, so lists created a
+ * moment ago are there). Throws like walkLibrary when the call fails.
+ */
+export async function fetchLists(path, { client = null, requestId = null } = {}) {
+  const { status, payload } = await runTool(path, { body: {}, client, requestId, noCache: true });
+  if (status >= 400) {
+    throw libraryWalkError(`${toolName(path)} failed (${status}): ${payload?.error?.message}`, { status, payload });
+  }
+  return payload.lists || [];
+}
+
+// search-bookmarks' route in the mounted spec, for create-bookmark's duplicate check
+let searchPath = null;
+
+/**
+ * The bookmark upstream already has under `url`'s canonical URL, or null.
+ * KaraKeep's `url:` qualifier narrows the search to the canonical host; the
+ * first DEDUPE_MAX_PAGES pages it matches are compared by canonical URL.
+ * Throws like walkLibrary, and when those pages aren't all there is.
+ */
+export async function findBookmarkByUrl(url, { client = null, requestId = null } = {}) {
+  const key = canonicalUrl(url);
+  if (!key || !searchPath) return null;
+  const query = `url:${new URL(key).hostname}`;
+  let found = null;
+  let pages = 0;
+  const { complete } = await walkLibrary(
+    searchPath,
+    (page) => {
+      found = page.find((b) => samePage(canonicalUrl(b.url), key)) ?? null;
+      return !found && ++pages < DEDUPE_MAX_PAGES;
+    },
+    { query, client, requestId }
+  );
+  if (!found && !complete) {
+    const e = new Error(`no match in the first ${pages} pages of ${query}; not reading further`);
+    e.name = "DuplicateCheckError";
+    throw e;
+  }
+  return found;
+}
+
+/**
+ * create-bookmark, unless a bookmark with the same canonical URL exists: then
+ * that one, with `existing: true` (and `wrote: false` on the result, for
+ * runTool). A failed check doesn't block the create.
+ */
+async function runCreateBookmark(path, { body, ...opts }) {
+  const { force, ...create } = body;
+  const url = typeof create.url === "string" ? create.url : create.type === "link" ? create.content : null;
+  if (DEDUPE_ON_CREATE && force !== true && url) {
+    try {
+      const existing = await findBookmarkByUrl(url, opts);
+      if (existing) {
+        info(`create-bookmark: ${url} is already bookmark ${existing.id}; not saving it again`);
+        return { status: 200, payload: { ...existing, existing: true }, wrote: false };
       }
+    } catch (e) {
+      warn(`create-bookmark: duplicate check for ${url} failed; creating anyway: ${e?.message || e}`);
+    }
+  }
+  return runOnce(path, { ...opts, body: create });
+}
+
+// Request-body options for inlined content on search routes; never forwarded upstream
+const CONTENT_OPTIONS = ["includeContent", "contentItems", "contentBudget", "contentTotalBudget"];
+
+// get-bookmark-content's route in the mounted spec: { path, method } or null
+let contentTool = null;
+
+/**
+ * Content of one bookmark as `{ markdown }` or `{ error }`; never throws.
+ * Also used by the local mirror's sync (mirror.js).
+ */
+export async function fetchBookmarkContent(bookmarkId, { client = null, requestId = null, noCache = false } = {}) {
+  if (!contentTool) {
+    return { error: errorBody("not_found", "No get-bookmark-content tool upstream", { requestId }).error };
+  }
+  const { path, method } = contentTool;
+  const args = { bookmarkId };
+  try {
+    const { status, payload } = await runTool(path, {
+      method,
+      body: method === "post" ? args : {},
+      query: method === "get" ? args : {},
+      client,
+      requestId,
+      noCache,
+    });
+    if (status >= 400) return { error: payload.error };
+    if (typeof payload?.markdown !== "string") {
+      const message = `${toolName(path)} returned no markdown`;
+      return { error: errorBody("parse_failure", message, { requestId }).error };
     }
+    return { markdown: payload.markdown };
+  } catch (e) {
+    const code = classifyException(e);
+    if (code === "internal") err(`Content fetch error for bookmark ${bookmarkId}: ${e?.message || e}`, e);
+    return { error: errorBody(code, `Could not fetch content of bookmark ${bookmarkId}`, { requestId }).error };
   }
-  return url.toString();
 }
 
-/** Heuristic: is this the KaraKeep search-bookmarks endpoint? */
-function isKaraKeepBookmarksPath(path) {
-  // Keep this loose to tolerate versioning or prefix changes.
-  // Examples seen in the wild:
-  //   /tool_search_bookmarks_post
-  //   /karakeep/tool_search_bookmarks_post
-  //   /server:2/tool_search_bookmarks_post (OpenAPI name mapped to path)
-  return /search[_-]?bookmarks/i.test(path);
+/**
+ * Search, then inline the content of the top hits (see hydrate.js). The
+ * search runs as it would without `includeContent` (`all` included); a failed
+ * search is returned as-is.
+ */
+async function runSearchWithContent(path, { body, ...opts }) {
+  const search = { ...body };
+  for (const k of CONTENT_OPTIONS) delete search[k];
+  const r = await dispatchTool(path, { ...opts, body: search });
+  if (r.status >= 400 || !Array.isArray(r.payload?.items)) return r;
+
+  const { items, stats } = await hydrateItems(
+    r.payload.items,
+    (item) => fetchBookmarkContent(item.id, { client: opts.client, requestId: opts.requestId }),
+    {
+      count: capOption(body.contentItems, CONTENT_MAX_ITEMS),
+      itemBudget: capOption(body.contentBudget, CONTENT_ITEM_BUDGET),
+      totalBudget: capOption(body.contentTotalBudget, CONTENT_TOTAL_BUDGET),
+      unit: CONTENT_BUDGET_UNIT,
+      concurrency: BATCH_CONCURRENCY,
+    }
+  );
+  dbg(`[CONTENT] ${path}`, { stats });
+  return { ...r, payload: { ...r.payload, items, contentStats: stats } };
 }
 
 /**
- * Try to normalize a tool payload:
- * - If it "looks like" KaraKeep bookmarks, coalesce rows & unify pagination.
- * - Otherwise, return the parsed object as-is.
- * Always returns *something* JSON-safe.
+ * Run one tool through the full pipeline: upstream call, sanitize, parse,
+ * normalize. Shared by the REST routes and the MCP server (mcp-server.js).
+ * Search routes with `"all": true` fetch every page (see runSearchAll).
+ * Bodies are validated first (422 with field errors) and coerced.
+ * Read tools are served from / stored in the cache unless `noCache` is set;
+ * successful writes invalidate affected entries. `client` (auth.js) selects
+ * the KaraKeep token forwarded upstream; cached reads are kept per token.
+ * Throws on transport failures (AbortError on timeout); the caller maps those.
+ * @returns {Promise<{ status: number, payload: object, etag?: string, cache?: "hit"|"miss" }>}
  */
-function normalizeToolPayload(parsed, path) {
-  if (parsed && typeof parsed === "object") {
-    const maybeItems = Array.isArray(parsed.items) ? parsed.items : [];
-    const looksLikeKarakeep =
-      isKaraKeepBookmarksPath(path) ||
-      // Secondary heuristic: items containing Bookmark_ID rows
-      maybeItems.some((r) => r && typeof r === "object" && "Bookmark_ID" in r);
-
-    if (looksLikeKarakeep) {
-      return normalizeKarakeepPayload(parsed);
+export async function runTool(path, opts = {}) {
+  if ((opts.method || "post") === "post") {
+    const check = validateRequest(path, "post", opts.body);
+    if (!check.ok) {
+      dbg(`[VAL] ${path} rejected`, { errors: check.errors });
+      return {
+        status: statusFor("validation"),
+        payload: errorBody("validation", "Request body failed validation", {
+          requestId: opts.requestId,
+          details: check.errors,
+        }),
+      };
+    }
+    opts = { ...opts, body: check.value };
+  }
+
+  const read = isReadTool(path);
+  const ttl = read ? ttlFor(path) : 0;
+  const includeRaw = opts.includeRaw ?? INCLUDE_RAW;
+  const token = opts.client?.karakeepToken || null;
+  // Different tokens can see different libraries; never share their entries
+  const variant = [includeRaw ? "raw" : "", token ? opts.client.label : ""].join("|");
+  const key = ttl ? cacheKey(path, { body: opts.body, query: upstreamQuery(opts.query), variant }) : null;
+
+  if (key && !opts.noCache) {
+    const hit = cacheGet(key);
+    recordCacheLookup(hit ? "hit" : "miss");
+    if (hit) return { ...hit, cache: "hit" };
+  }
+
+  const result = await dispatchTool(path, { ...opts, includeRaw, token });
+
+  if (result.status >= 200 && result.status < 300) {
+    if (key) {
+      result.etag = cacheSet(key, path, opts.body, { status: result.status, payload: result.payload }, ttl);
+      result.cache = "miss";
+    } else if (!read && result.wrote !== false) {
+      invalidateFor(path, opts.body);
+      announceWrite({
+        path,
+        body: opts.body,
+        payload: result.payload,
+        client: opts.client ?? null,
+        requestId: opts.requestId ?? null,
+      });
+    }
+  }
+  return result;
+}
+
+// Listeners for successful write tools (see onToolWrite)
+const writeListeners = new Set();
+
+/**
+ * Call `listener({ path, body, payload, client, requestId })` after every
+ * successful write tool, once its result is known. Listeners must not throw
+ * or block; returns a function that removes the listener.
+ */
+export function onToolWrite(listener) {
+  writeListeners.add(listener);
+  return () => writeListeners.delete(listener);
+}
+
+function announceWrite(write) {
+  for (const listener of writeListeners) {
+    try {
+      listener(write);
+    } catch (e) {
+      err(`Write listener failed on ${write.path}: ${e?.message || e}`, e);
+    }
+  }
+}
+
+/**
+ * Upstream calls a tool call may make, for rate limiting (limits.js
+ * chargeCalls): search with `all` makes one per page it may fetch, and
+ * `includeContent` one per hit whose content it inlines.
+ */
+export function toolCalls(path, body) {
+  if (!isKaraKeepBookmarksPath(path)) return 1;
+  const { value = {} } = validateRequest(path, "post", body); // coerced: "true" counts as true
+  const pages = value.all === true ? capOption(value.maxPages, AUTO_PAGINATE_MAX_PAGES) : 1;
+  const content = value.includeContent === true ? capOption(value.contentItems, CONTENT_MAX_ITEMS) : 0;
+  return pages + content;
+}
+
+/** Pick the execution strategy for a tool call (inlined content, auto-pagination or single call) */
+function dispatchTool(path, opts) {
+  const body = opts.body || {};
+  if (isKaraKeepBookmarksPath(path)) {
+    if (body.includeContent === true) return runSearchWithContent(path, { ...opts, body });
+    if (CONTENT_OPTIONS.some((k) => k in body)) {
+      const rest = { ...body };
+      for (const k of CONTENT_OPTIONS) delete rest[k];
+      return dispatchTool(path, { ...opts, body: rest });
     }
+    if (body.all === true) return runSearchAll(path, { ...opts, body });
+    if (PAGINATION_OPTIONS.some((k) => k in body)) {
+      const rest = { ...body };
+      for (const k of PAGINATION_OPTIONS) delete rest[k];
+      return runOnce(path, { ...opts, body: rest });
+    }
+  }
+  if (isTool(path, "create-bookmark")) return runCreateBookmark(path, { ...opts, body });
+  return runOnce(path, opts);
+}
+
+async function runOnce(
+  path,
+  { method = "post", body = {}, query = {}, includeRaw = INCLUDE_RAW, requestId = null, token = null } = {}
+) {
+  // Avoid logging full bodies; they can be large (and previews are redacted).
+  dbg(`[IN]  ${path}`, { body: preview(body) });
+
+  const r = await callUpstream(path, {
+    method,
+    body: body || {},
+    query: upstreamQuery(query), // <- GET query forwarding bug fix
+    token,
+  });
+  const bodyStr = r.text; // Always read text; we'll parse robustly below.
+
+  dbg(`[UP]  ${path}`, { status: r.status, bytes: bodyStr.length, raw: preview(bodyStr) });
+
+  // Sanitize leaked <details> debug blocks early (seen in some tool logs)
+  const cleanText = stripDebugBlocks(bodyStr);
+
+  // 1) Preferred path: parse tool envelope (handles result/sources.document)
+  const parseInfo = {};
+  let parsed = parseToolResponse(cleanText, parseInfo);
 
-    // Not KaraKeep: pass through
-    return parsed;
+  // 2) If that failed, fall back hard (this handles plain JSON/KV text)
+  if (!parsed) {
+    parsed = input2JSON(cleanText, parseInfo);
   }
+  recordParserBranch(toolName(path), parseInfo.branch);
+  dbg(`[PARSE] ${path}`, { branch: parseInfo.branch });
 
-  // Fallback to legacy text/KV handler
-  return input2JSON(parsed);
+  // 3) Upstream failures (status or known error text) become an error envelope
+  const failure = classifyUpstream({
+    status: r.status,
+    text: cleanText,
+    parsed,
+    expectsStructure: BOOKMARK_RESPONSES.has(responseKindForPath(path)),
+  });
+  if (failure) {
+    warn(`Upstream ${failure.code} on ${path} (status ${r.status}): ${failure.message}`);
+    return {
+      status: statusFor(failure.code),
+      payload: errorBody(failure.code, failure.message, { upstreamStatus: r.status, requestId }),
+    };
+  }
+
+  // 4) Shape the payload with the tool's transformer, else generic normalization
+  const transformer = transformerFor(path);
+  const payload = transformer
+    ? await transformer.transform(parsed, {
+        path,
+        tool: toolName(path),
+        body,
+        query: upstreamQuery(query),
+        text: unwrapText(cleanText),
+        includeRaw,
+      })
+    : normalizeToolPayload(parsed, { includeRaw });
+  if (payload == null) {
+    warn(`Upstream output on ${path} did not fit transformer "${transformer.key}"`);
+    return {
+      status: statusFor("parse_failure"),
+      payload: errorBody("parse_failure", `Upstream output did not match the expected ${toolName(path)} format`, {
+        upstreamStatus: r.status,
+        requestId,
+      }),
+    };
+  }
+
+  // The published spec has `nextCursor` as optional, not nullable: omit it on the last page.
+  if (payload && typeof payload === "object" && payload.nextCursor == null) {
+    delete payload.nextCursor;
+  }
+
+  return { status: r.status, payload };
 }
 
 export function buildRouterFromOpenAPI(spec) {
@@ -100,71 +571,95 @@ export function buildRouterFromOpenAPI(spec) {
 
       info(`Registering [${lower.toUpperCase()}] ${path}`);
 
-      router[lower](path, async (req, res) => {
-        const startedAt = Date.now();
-        try {
-          // Avoid logging full bodies; they can be large.
-          const inboundPreview = JSON.stringify(req.body ?? {});
-          dbg(`[IN]  ${path} body: ${inboundPreview.slice(0, 400)}${inboundPreview.length > 400 ? "…" : ""}`);
-
-          const upstreamURL =
-            lower === "get"
-              ? buildUpstreamURL(MCPO_URL, path, req.query) // <- bug fix
-              : buildUpstreamURL(MCPO_URL, path, null);
-
-          const t = withTimeout(FETCH_TIMEOUT_MS);
-          const init = {
-            method: lower.toUpperCase(),
-            headers: { "Content-Type": "application/json" },
-            signal: t.signal,
-          };
-
-          if (lower === "post") {
-            init.body = JSON.stringify(req.body || {});
-          }
-
-          const r = await fetch(upstreamURL, init);
-          const bodyStr = await r.text(); // Always read text; we'll parse robustly below.
-          t.cancel();
-
-          dbg(`[UP]  ${path} status: ${r.status}`);
-          dbg(
-            `[UP]  ${path} raw (first 400): ${JSON.stringify(
-              bodyStr.slice(0, 400)
-            )}${bodyStr.length > 400 ? "…" : ""}`
-          );
+      const kind = responseKindForPath(path, pathObj[method]?.operationId);
+      const rendersBookmarks = BOOKMARK_RESPONSES.has(kind);
 
-          // Sanitize leaked <details> debug blocks early (seen in some tool logs)
-          const cleanText = stripDebugBlocks(bodyStr);
+      router[lower](path, requireScope(toolAccess(path)), async (req, res) => {
+        const startedAt = Date.now();
+        const { format, explicit } = negotiateFormat(req);
+        if (explicit && (!format || (format !== "json" && !rendersBookmarks))) {
+          const message = rendersBookmarks
+            ? `Unknown format; use one of: ${Object.keys(FORMATS).join(", ")}`
+            : `${path} only returns JSON`;
+          return sendError(res, "validation", message, { status: 406 });
+        }
+        const renderAs = rendersBookmarks ? format : "json";
+        if (lower === "post" && !chargeCalls(req, res, toolCalls(path, req.body))) return;
 
-          // 1) Preferred path: parse tool envelope (handles result/sources.document)
-          let parsed = parseToolResponse(cleanText);
+        try {
+          const includeRaw = req.query.raw !== undefined ? queryFlag(req.query.raw) : INCLUDE_RAW;
+          const result = await runTool(path, {
+            method: lower,
+            body: req.body,
+            query: req.query,
+            includeRaw,
+            noCache: /no-cache/i.test(req.get("Cache-Control") || ""),
+            requestId: req.id,
+            client: req.auth,
+          });
+          const { status, payload } = result;
 
-          // 2) If that failed, fall back hard (this handles plain JSON/KV text)
-          if (!parsed) {
-            parsed = input2JSON(cleanText);
+          // Successful reads get validators; everything else stays uncacheable.
+          const ttl = ttlFor(path);
+          const ok = status >= 200 && status < 300;
+          if (rendersBookmarks) res.vary("Accept");
+          if (isReadTool(path) && ok) {
+            let etag = result.etag || etagFor(payload);
+            if (renderAs !== "json") etag = etag.replace(/"$/, `-${renderAs}"`);
+            res.set("ETag", etag);
+            res.set("Cache-Control", ttl ? `private, max-age=${Math.floor(ttl / 1000)}` : "no-cache");
+            if (result.cache) res.set("X-Shim-Cache", result.cache);
+            if (ifNoneMatch(req, etag)) return res.status(304).end();
+          } else {
+            res.set("Cache-Control", "no-store");
           }
 
-          // 3) Normalize when appropriate (esp. KaraKeep bookmarks)
-          const payload = normalizeToolPayload(parsed, path);
+          const items = kind === "ShimBookmark" && payload?.id ? [payload] : payload?.items;
+          if (ok && renderAs !== "json" && Array.isArray(items)) {
+            // Pagination has nowhere to go in these formats; expose it as a header
+            if (payload.nextCursor) res.set("X-Next-Cursor", payload.nextCursor);
+            return res
+              .status(status)
+              .type(FORMATS[renderAs])
+              .send(renderBookmarks(renderAs, items, { title: "KaraKeep bookmarks" }));
+          }
 
           // Clients expect JSON, not a bare string, and status mirrored from upstream.
-          res.set("Cache-Control", "no-store");
-          res.status(r.status).json(payload);
+          res.status(status).json(payload);
         } catch (e) {
           const duration = Date.now() - startedAt;
-          if (e?.name === "AbortError") {
+          const code = classifyException(e);
+          if (code === "timeout") {
             warn(`Upstream timeout on ${path} after ${duration}ms`);
-            return res
-              .status(504)
-              .json({ detail: `Upstream timeout on ${path} after ${duration}ms` });
+            return sendError(res, code, `Upstream timeout on ${path} after ${duration}ms`);
+          }
+          if (e?.name === "CircuitOpenError") {
+            res.set("Retry-After", String(Math.max(1, Math.ceil(e.retryInMs / 1000))));
+            return sendError(res, code, e.message);
+          }
+          if (e?.name === "UpstreamBusyError") {
+            warn(`Upstream busy on ${path}: ${e.message}`);
+            res.set("Retry-After", "1");
+            return sendError(res, code, e.message);
+          }
+          if (code === "upstream_unavailable") {
+            warn(`Upstream unavailable on ${path}: ${e?.message || e}`);
+            return sendError(res, code, `Upstream unavailable on ${path}`);
           }
           err(`Router error on ${path}: ${e?.message || e}`, e);
-          res.status(502).json({ detail: `Shim failed on ${path}` });
+          sendError(res, code, `Shim failed on ${path}`);
         }
       });
     }
   }
 
+  // Process-wide state last: a spec that fails above leaves the current one in place.
+  // compileSpecValidators swaps its map only once every schema has compiled.
+  compileSpecValidators(spec);
+  compileTransformers(spec);
+  const contentPath = findToolPath(spec.paths, "get-bookmark-content");
+  contentTool = contentPath ? { path: contentPath, method: spec.paths[contentPath].post ? "post" : "get" } : null;
+  searchPath = Object.keys(spec.paths).find((p) => isKaraKeepBookmarksPath(p) && spec.paths[p].post) || null;
+
   return router;
 }
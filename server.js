@@ -1,26 +1,113 @@
 import express from "express";
-import { PORT } from "./config.js";
+import { IMPORT_MAX_BYTES, PORT, SHIM_BACKEND, SHIM_MCP_STDIO } from "./config.js";
 import { info } from "./logger.js";
 import { healthHandler } from "./health.js";
-import { fetchOpenAPIWithRetry, openapiPassthrough, getCachedOpenAPI } from "./openapi.js";
-import { buildRouterFromOpenAPI } from "./router.js";
+import { fetchOpenAPIWithRetry, openapiHandler, openapiPassthrough } from "./openapi.js";
+import { dynamicRouter, mountSpec, reloadSpecHandler, startSpecRefresh } from "./reload.js";
+import { closeMcpClient } from "./mcp-client.js";
+import { mcpHttpHandler, mcpMethodNotAllowed, startMcpStdio } from "./mcp-server.js";
+import { feedHandler } from "./feed.js";
+import { requestIdMiddleware, sendError } from "./errors.js";
+import { authenticate, requireScope } from "./auth.js";
+import { rateLimit } from "./limits.js";
+import { metricsHandler, metricsMiddleware } from "./metrics.js";
+import { loadTransformersModule } from "./transformers.js";
+import { batchHandler, nativeToolHandler } from "./batch.js";
+import { mirrorSyncHandler, startMirrorSync } from "./mirror.js";
+import { exportHandler } from "./export.js";
+import { importHandler } from "./import.js";
+import { duplicatesHandler } from "./duplicates.js";
+import { startWebhooks, webhooksHandler, webhooksPingHandler, webhooksRetryHandler } from "./webhooks.js";
 
 const app = express();
+app.use(requestIdMiddleware);
+app.use(metricsMiddleware);
+// API keys (no-op unless SHIM_API_KEYS / SHIM_API_KEYS_FILE is set); before body parsing
+app.use(authenticate);
+// Per-client token bucket (keyed by the API key resolved above, else IP)
+app.use(rateLimit);
+// Bookmark files outgrow the default 100kb JSON limit, and may come as the raw file
+app.use(
+  "/import",
+  express.json({ limit: IMPORT_MAX_BYTES }),
+  express.text({ type: ["text/*", "application/csv"], limit: IMPORT_MAX_BYTES })
+);
 app.use(express.json());
 
-// Health endpoint — only 200 once OpenAPI is loaded
+// Health endpoint — only 200 once OpenAPI is loaded; reports a stale spec
 app.get("/health", healthHandler);
 
-// Passthrough of upstream OpenAPI
-app.get("/openapi.json", openapiPassthrough);
+// Prometheus metrics (admin scope when API keys are configured)
+app.get("/metrics", requireScope("admin"), metricsHandler);
+
+// Refetch the upstream spec now and swap the router if tools changed
+app.post("/admin/reload-spec", requireScope("admin"), reloadSpecHandler);
+
+// Sync the local mirror now (202; `"wait": true` answers with the sync's stats)
+app.post("/admin/mirror/sync", requireScope("admin"), mirrorSyncHandler);
+
+// Webhook subscriptions and their outbox; requeue failed deliveries; send a test event
+app.get("/admin/webhooks", requireScope("admin"), webhooksHandler);
+app.post("/admin/webhooks/retry", requireScope("admin"), webhooksRetryHandler);
+app.post("/admin/webhooks/ping", requireScope("admin"), webhooksPingHandler);
+
+// OpenAPI spec describing the shim's normalized responses; raw upstream spec alongside
+app.get("/openapi.json", requireScope("read"), openapiHandler);
+app.get("/openapi.upstream.json", requireScope("read"), openapiPassthrough);
+
+// Saved search as an RSS/Atom feed
+app.get("/feed", requireScope("read"), feedHandler);
+
+// The whole library as Netscape HTML, JSON or a zip of Markdown files
+app.get("/export", requireScope("read"), exportHandler);
+
+// Bookmarks from a browser, Pocket or Raindrop export (or a list of URLs), with a report
+app.post("/import", requireScope("read"), requireScope("write"), importHandler);
+
+// Bookmarks that share a canonical URL, with merge suggestions
+app.get("/duplicates", requireScope("read"), duplicatesHandler);
+
+// Several tool calls in one request; scopes are checked per call
+app.post("/batch", batchHandler);
+
+// Tools the shim implements itself; defers to upstream if it has the route
+app.post("/get-bookmarks", requireScope("read"), nativeToolHandler);
+app.post("/local-search", requireScope("read"), nativeToolHandler);
+
+// The shim as an MCP server (streamable HTTP); same tools, structured output
+app.post("/mcp", mcpHttpHandler);
+app.all("/mcp", mcpMethodNotAllowed);
+
+// In MCP stdio mode the KaraKeep server is our child process; stop it with us.
+if (SHIM_BACKEND === "mcp") {
+  for (const sig of ["SIGINT", "SIGTERM"]) {
+    process.on(sig, () => closeMcpClient().finally(() => process.exit(0)));
+  }
+}
 
 (async () => {
+  // User transformers first: the spec and router are built from the registry
+  await loadTransformersModule();
+
   // Block until OpenAPI is fetched so we can build routes
   const spec = await fetchOpenAPIWithRetry();
 
-  // Build and mount dynamic router
-  const router = buildRouterFromOpenAPI(spec);
-  app.use("/", router);
+  // Build and mount dynamic router (swappable on spec refresh)
+  mountSpec(spec);
+  app.use("/", dynamicRouter);
+
+  // Malformed JSON bodies (and anything else thrown before a handler) get the envelope too
+  app.use((e, req, res, next) => {
+    if (res.headersSent) return next(e);
+    if (e?.type === "entity.parse.failed") return sendError(res, "validation", "Malformed JSON body", { status: 400 });
+    if (e?.type === "entity.too.large") return sendError(res, "validation", "Request body too large", { status: 413 });
+    sendError(res, "internal", e?.message || "Unexpected error", { status: e?.status || 500 });
+  });
+  startSpecRefresh();
+  startMirrorSync();
+  startWebhooks();
 
+  // stdio MCP mode owns stdin/stdout and doesn't open a port
+  if (SHIM_MCP_STDIO) return startMcpStdio();
   app.listen(PORT, () => info(`Shim listening on port ${PORT}`));
 })();
@@ -0,0 +1,608 @@
+// spec.js
+//
+// Why this file exists:
+// ---------------------
+// mcpo's generated OpenAPI spec describes every tool as returning a plain
+// string, because that is what the KaraKeep MCP server emits. The shim never
+// returns that string — the router parses and normalizes it first. Clients
+// (Open WebUI, generated SDKs) build their tool schemas from /openapi.json, so
+// serving mcpo's spec verbatim makes them expect the wrong shape.
+//
+// buildShimSpec(upstream) returns a transformed copy of the upstream spec:
+//  - 200 responses describe the normalized payloads the router really sends:
+//    the schema each tool's transformer declares (transformers.js).
+//  - `nextCursor` is optional (omit it) rather than nullable, in requests and
+//    responses alike — passing `null` upstream was the original pagination bug.
+//  - An `x-shim` marker at the top level and on each operation says which
+//    normalized shape applies.
+//  - `x-shim.access` on each operation says whether it needs the "read" or
+//    "write" API-key scope (auth.js).
+//  - Error responses point at the ShimError envelope, whose `code` enum
+//    documents the error taxonomy from errors.js.
+//  - create-bookmark takes `force` and may answer with the bookmark already
+//    saved under the same canonical URL, marked `existing` (router.js).
+//  - Tools the shim implements itself (get-bookmarks, local-search; batch.js)
+//    are added next to the upstream ones.
+//
+// The upstream spec itself is never mutated; getCachedOpenAPI() stays raw.
+
+import { readFileSync } from "node:fs";
+import { BATCH_MAX_CALLS, MIRROR_DIR } from "./config.js";
+import { findToolPath, isKaraKeepBookmarksPath, isTool, toolAccess } from "./tools.js";
+import { BOOKMARK_SCHEMA } from "./bookmark.js";
+import { FORMATS } from "./format.js";
+import { ERROR_CODES } from "./errors.js";
+import { authEnabled } from "./auth.js";
+import { transformerFor } from "./transformers.js";
+
+const pkg = JSON.parse(readFileSync(new URL("./package.json", import.meta.url), "utf8"));
+
+// Request/response keys that carry a pagination token
+const CURSOR_KEYS = new Set(["nextCursor", "next_cursor", "cursor"]);
+
+/* ------------------------------------------------------------------ */
+/* Normalized response schemas                                         */
+/* ------------------------------------------------------------------ */
+
+const SHIM_SCHEMAS = {
+  ShimBookmark: BOOKMARK_SCHEMA,
+  ShimBookmarkPage: {
+    type: "object",
+    description: "Normalized bookmark payload (see normalizeKarakeepPayload).",
+    properties: {
+      items: {
+        type: "array",
+        items: {
+          allOf: [
+            { $ref: "#/components/schemas/ShimBookmark" },
+            { type: "object", properties: { content: { $ref: "#/components/schemas/ShimInlineContent" } } },
+          ],
+        },
+      },
+      nextCursor: {
+        type: "string",
+        description: "Opaque token for the next page. Omitted when there are no more pages.",
+      },
+      hasMore: { type: "boolean" },
+      stats: {
+        type: "object",
+        description: "Only with `all: true`: how the shim paginated upstream.",
+        properties: {
+          pages: { type: "integer" },
+          items: { type: "integer" },
+          duplicates: { type: "integer" },
+          truncated: { type: "boolean" },
+          stoppedBy: { type: "string", enum: ["end", "maxItems", "maxPages", "cursorLoop", "error"] },
+        },
+      },
+      contentStats: {
+        type: "object",
+        description: "Only with `includeContent: true`: how much content was inlined.",
+        properties: {
+          items: { type: "integer", description: "Hits whose content was requested." },
+          fetched: { type: "integer" },
+          failed: { type: "integer" },
+          truncated: { type: "integer" },
+          used: { type: "integer", description: "Content inlined, in `unit`." },
+          unit: { type: "string", enum: ["chars", "tokens"] },
+        },
+      },
+    },
+    required: ["items", "hasMore"],
+  },
+  ShimInlineContent: {
+    type: "object",
+    description: "Only with `includeContent: true`, on the top hits: the bookmark's Markdown, cut to the content budget.",
+    properties: {
+      markdown: { type: "string", nullable: true },
+      truncated: { type: "boolean", description: "The Markdown was cut to fit the budget." },
+      length: { type: "integer", nullable: true, description: "Size of the full content, in `contentStats.unit`." },
+      error: { type: "object", description: "Why the content couldn't be fetched (a ShimError `error` object)." },
+    },
+    required: ["markdown", "truncated", "length"],
+  },
+  ShimList: {
+    type: "object",
+    description: "KaraKeep list; `children` are the lists nested under it.",
+    properties: {
+      id: { type: "string" },
+      name: { type: "string", nullable: true },
+      icon: { type: "string", nullable: true },
+      parentId: { type: "string", nullable: true },
+      children: { type: "array", items: { $ref: "#/components/schemas/ShimList" } },
+    },
+    required: ["id", "children"],
+  },
+  ShimListTree: {
+    type: "object",
+    description: "Every list, top-level lists first, each with its children.",
+    properties: { lists: { type: "array", items: { $ref: "#/components/schemas/ShimList" } } },
+    required: ["lists"],
+  },
+  ShimBookmarkContent: {
+    type: "object",
+    properties: {
+      bookmarkId: { type: "string", nullable: true },
+      markdown: { type: "string" },
+    },
+    required: ["bookmarkId", "markdown"],
+  },
+  ShimAction: {
+    type: "object",
+    description: "Result of a tag or list-membership change; `message` is KaraKeep's confirmation.",
+    properties: { ok: { type: "boolean" }, message: { type: "string" } },
+    required: ["ok", "message"],
+  },
+  ShimKVPage: {
+    type: "object",
+    description: "Generic key/value text parsed into items (see input2JSON).",
+    properties: {
+      items: { type: "array", items: { type: "object", additionalProperties: true } },
+      cursor: { type: "string", nullable: true },
+      hasMore: { type: "boolean" },
+    },
+    required: ["items", "hasMore"],
+  },
+  ShimText: {
+    type: "object",
+    description: "Upstream text that had no structure to parse.",
+    properties: { text: { type: "string" } },
+    required: ["text"],
+  },
+  ShimBookmarkBatch: {
+    type: "object",
+    description: "get-bookmarks: the bookmarks found, in request order, and one entry per ID that failed.",
+    properties: {
+      items: { type: "array", items: { $ref: "#/components/schemas/ShimBookmark" } },
+      errors: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            bookmarkId: { type: "string" },
+            status: { type: "integer" },
+            error: { type: "object", description: "The `error` object of a ShimError envelope." },
+          },
+          required: ["bookmarkId", "status", "error"],
+        },
+      },
+    },
+    required: ["items", "errors"],
+  },
+  ShimLocalSearchPage: {
+    type: "object",
+    description: "local-search: bookmarks from the shim's local mirror, best match first.",
+    properties: {
+      items: {
+        type: "array",
+        items: {
+          allOf: [
+            { $ref: "#/components/schemas/ShimBookmark" },
+            {
+              type: "object",
+              properties: {
+                score: { type: "number", nullable: true, description: "BM25 score; null without query terms." },
+                snippet: {
+                  type: "string",
+                  nullable: true,
+                  description: "Best matching passage, query terms in **bold**.",
+                },
+              },
+            },
+          ],
+        },
+      },
+      total: { type: "integer", description: "Matches across all pages." },
+      nextCursor: { type: "string", description: "Omitted on the last page." },
+      hasMore: { type: "boolean" },
+      mirror: {
+        type: "object",
+        properties: {
+          bookmarks: { type: "integer" },
+          syncedAt: { type: "string", format: "date-time", nullable: true },
+        },
+      },
+    },
+    required: ["items", "total", "hasMore"],
+  },
+  ShimError: {
+    type: "object",
+    description: "Error envelope for every failure (errors.js).",
+    properties: {
+      error: {
+        type: "object",
+        properties: {
+          code: {
+            type: "string",
+            enum: Object.keys(ERROR_CODES),
+            description: Object.entries(ERROR_CODES)
+              .map(([code, [status, text]]) => `\`${code}\` (${status}): ${text}`)
+              .join("\n"),
+          },
+          message: { type: "string" },
+          upstreamStatus: { type: "integer", nullable: true },
+          requestId: { type: "string", nullable: true, description: "Also sent as the X-Request-Id header." },
+          details: {
+            type: "array",
+            description: "Field-level errors for `validation` failures of the request body.",
+            items: {
+              type: "object",
+              properties: {
+                loc: { type: "array", items: { oneOf: [{ type: "string" }, { type: "integer" }] } },
+                msg: { type: "string" },
+                type: { type: "string" },
+              },
+              required: ["loc", "msg", "type"],
+            },
+          },
+        },
+        required: ["code", "message", "upstreamStatus", "requestId"],
+      },
+    },
+    required: ["error"],
+  },
+  ShimToolResult: {
+    description: "Parsed tool output: JSON passthrough, key/value items, or a text wrapper.",
+    // anyOf, not oneOf: every payload is an object, so the catch-all overlaps the other two
+    anyOf: [
+      { $ref: "#/components/schemas/ShimKVPage" },
+      { $ref: "#/components/schemas/ShimText" },
+      { type: "object", additionalProperties: true },
+    ],
+  },
+};
+
+/** HTTP status -> error codes answered with it, for the per-operation responses */
+function errorCodesByStatus() {
+  const out = {};
+  for (const [code, [status]] of Object.entries(ERROR_CODES)) {
+    if (!authEnabled() && (code === "unauthorized" || code === "forbidden")) continue;
+    (out[status] = out[status] || []).push(code);
+  }
+  return out;
+}
+
+/** Per-operation error responses, all pointing at the ShimError envelope */
+function errorResponses() {
+  const out = {};
+  for (const [status, codes] of Object.entries(errorCodesByStatus())) {
+    out[status] = {
+      description: `Error: ${codes.join(", ")}`,
+      content: { "application/json": { schema: { $ref: "#/components/schemas/ShimError" } } },
+    };
+  }
+  return out;
+}
+
+/**
+ * Tools the shim implements itself (batch.js). Each is published when
+ * `available(spec)` holds for the upstream spec and upstream has no route of
+ * the same name.
+ */
+const NATIVE_OPERATIONS = {
+  "/get-bookmarks": {
+    available: (spec) => findToolPath(spec.paths, "get-bookmark"),
+    op: {
+      summary: "get-bookmarks",
+      description: "Get several bookmarks by ID in one call. IDs that fail are listed under `errors`.",
+      operationId: "shim_get_bookmarks_post",
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              properties: {
+                bookmarkIds: {
+                  type: "array",
+                  items: { type: "string", minLength: 1 },
+                  minItems: 1,
+                  maxItems: BATCH_MAX_CALLS,
+                },
+              },
+              required: ["bookmarkIds"],
+            },
+          },
+        },
+      },
+      responses: {
+        200: {
+          description: "Successful Response",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/ShimBookmarkBatch" } } },
+        },
+      },
+      "x-shim": { response: "ShimBookmarkBatch", access: "read", native: true },
+    },
+  },
+  "/local-search": {
+    available: () => MIRROR_DIR,
+    op: {
+      summary: "local-search",
+      description:
+        "Full-text search over the shim's local mirror of the library: ranked, with snippets, and available " +
+        "while KaraKeep is slow or down. Results can lag KaraKeep by one sync.",
+      operationId: "shim_local_search_post",
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              properties: {
+                query: {
+                  type: "string",
+                  description: "Words to look for; empty lists the filtered bookmarks, newest first.",
+                },
+                tags: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "Only bookmarks with all of these tags.",
+                },
+                type: { type: "string", enum: ["link", "text", "asset", "unknown"] },
+                createdAfter: { type: "string", description: "ISO-8601 date; only bookmarks created at or after it." },
+                createdBefore: { type: "string", description: "ISO-8601 date; only bookmarks created before it." },
+                limit: { type: "integer", minimum: 1, maximum: 100, default: 10 },
+                nextCursor: { type: "string", description: "`nextCursor` from the previous page." },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: {
+          description: "Successful Response",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/ShimLocalSearchPage" } } },
+        },
+      },
+      "x-shim": { response: "ShimLocalSearchPage", access: "read", native: true },
+    },
+  },
+};
+
+// Responses made of bookmarks; these take `?raw=1` and `?format=`
+export const BOOKMARK_RESPONSES = new Set(["ShimBookmarkPage", "ShimBookmark"]);
+
+/**
+ * Which normalized shape the router produces for a tool: its transformer's
+ * schema name (transformers.js), "custom" for an inline schema, or
+ * ShimToolResult for tools without a transformer.
+ */
+export function responseKindForPath(path, operationId) {
+  const schema = transformerFor(path, operationId)?.schema;
+  if (schema == null) return "ShimToolResult";
+  return typeof schema === "string" ? schema : "custom";
+}
+
+/** 200 response schema for an operation; unknown schema names fall back to ShimToolResult */
+function responseSchemaFor(path, operationId, schemas) {
+  let kind = responseKindForPath(path, operationId);
+  if (kind === "custom") return { kind, schema: transformerFor(path, operationId).schema };
+  if (!schemas[kind]) kind = "ShimToolResult";
+  return { kind, schema: { $ref: `#/components/schemas/${kind}` } };
+}
+
+/* ------------------------------------------------------------------ */
+/* Request schema fixes                                                */
+/* ------------------------------------------------------------------ */
+
+// Options the router handles itself on search routes (runSearchAll, runSearchWithContent)
+const SEARCH_PROPERTIES = {
+  all: {
+    type: "boolean",
+    description: "Follow nextCursor in the shim and return every page as one list.",
+  },
+  maxItems: { type: "integer", minimum: 1, description: "With `all`: stop after this many bookmarks." },
+  maxPages: { type: "integer", minimum: 1, description: "With `all`: stop after this many upstream pages." },
+  includeContent: {
+    type: "boolean",
+    description: "Inline each top hit's content (Markdown) under `content`, so one call answers a question.",
+  },
+  contentItems: { type: "integer", minimum: 1, description: "With `includeContent`: how many top hits get content." },
+  contentBudget: {
+    type: "integer",
+    minimum: 1,
+    description: "With `includeContent`: most content per hit, in characters (or tokens, per the server's setting).",
+  },
+  contentTotalBudget: {
+    type: "integer",
+    minimum: 1,
+    description: "With `includeContent`: most content across all hits, in the same unit.",
+  },
+};
+
+// Option the router handles itself on create-bookmark (runCreateBookmark)
+const CREATE_PROPERTIES = {
+  force: {
+    type: "boolean",
+    description: "Save the bookmark even when one with the same canonical URL exists.",
+  },
+};
+
+// What create-bookmark answers with when the URL was already saved
+const CREATE_EXISTING = {
+  type: "object",
+  properties: {
+    existing: {
+      type: "boolean",
+      description: "True when this is the bookmark already saved under the same canonical URL; nothing was created.",
+    },
+  },
+};
+
+/** The object schema an operation's JSON request body resolves to (inline or component) */
+function requestSchemaOf(op, spec) {
+  const schema = op?.requestBody?.content?.["application/json"]?.schema;
+  if (typeof schema?.$ref === "string") {
+    return spec.components?.schemas?.[schema.$ref.replace(/^#\/components\/schemas\//, "")] || null;
+  }
+  return schema || null;
+}
+
+/** Strip `null` from a schema's allowed types (anyOf/type arrays/nullable) */
+function withoutNull(schema) {
+  if (!schema || typeof schema !== "object") return schema;
+  const out = { ...schema };
+  delete out.nullable;
+  if (out.default === null) delete out.default;
+  if (Array.isArray(out.type)) {
+    const types = out.type.filter((t) => t !== "null");
+    out.type = types.length === 1 ? types[0] : types;
+  }
+  for (const key of ["anyOf", "oneOf"]) {
+    if (!Array.isArray(out[key])) continue;
+    const variants = out[key].filter((v) => v?.type !== "null");
+    if (variants.length === 1) {
+      delete out[key];
+      Object.assign(out, variants[0]);
+    } else {
+      out[key] = variants;
+    }
+  }
+  return out;
+}
+
+/** Make cursor properties optional and non-nullable (mutates the given copy) */
+function fixCursorProperties(schema) {
+  if (!schema || typeof schema !== "object" || !schema.properties) return;
+  for (const key of Object.keys(schema.properties)) {
+    if (!CURSOR_KEYS.has(key)) continue;
+    schema.properties[key] = withoutNull(schema.properties[key]);
+    if (Array.isArray(schema.required)) {
+      schema.required = schema.required.filter((r) => r !== key);
+    }
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/* Plain JSON Schema views                                             */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Inline `#/components/schemas/*` refs and turn OpenAPI's `nullable: true`
+ * into a JSON Schema type array, for consumers that speak plain JSON Schema
+ * (MCP inputSchema/outputSchema). Recursive refs collapse to `{}`.
+ */
+export function toJSONSchema(schema, spec, seen = new Set()) {
+  if (Array.isArray(schema)) return schema.map((s) => toJSONSchema(s, spec, seen));
+  if (!schema || typeof schema !== "object") return schema;
+
+  if (typeof schema.$ref === "string") {
+    const name = schema.$ref.replace(/^#\/components\/schemas\//, "");
+    const target = spec?.components?.schemas?.[name];
+    if (!target || seen.has(name)) return {};
+    return toJSONSchema(target, spec, new Set([...seen, name]));
+  }
+
+  const out = {};
+  for (const [k, v] of Object.entries(schema)) {
+    if (k === "nullable") continue;
+    out[k] = typeof v === "object" && v !== null ? toJSONSchema(v, spec, seen) : v;
+  }
+  if (schema.nullable === true && typeof out.type === "string") {
+    out.type = [out.type, "null"];
+  }
+  return out;
+}
+
+/* ------------------------------------------------------------------ */
+/* Spec transform                                                      */
+/* ------------------------------------------------------------------ */
+
+let memo = { source: null, result: null };
+
+/**
+ * Build the spec the shim serves from the raw upstream spec.
+ * Memoized per upstream object, so repeated /openapi.json hits are cheap.
+ */
+export function buildShimSpec(upstream) {
+  if (!upstream || typeof upstream !== "object") return null;
+  if (memo.source === upstream) return memo.result;
+
+  const spec = structuredClone(upstream);
+  spec.components = spec.components || {};
+  spec.components.schemas = { ...(spec.components.schemas || {}), ...structuredClone(SHIM_SCHEMAS) };
+
+  for (const schema of Object.values(spec.components.schemas)) {
+    fixCursorProperties(schema);
+  }
+
+  for (const [path, pathObj] of Object.entries(spec.paths || {})) {
+    for (const [method, op] of Object.entries(pathObj || {})) {
+      if (!["post", "get"].includes(method.toLowerCase()) || !op) continue;
+
+      // Inline request schemas (component ones were fixed above)
+      fixCursorProperties(op.requestBody?.content?.["application/json"]?.schema);
+
+      const requestSchema = requestSchemaOf(op, spec);
+      if (isKaraKeepBookmarksPath(path) && requestSchema?.properties) {
+        Object.assign(requestSchema.properties, structuredClone(SEARCH_PROPERTIES));
+      }
+      const creates = isTool(path, "create-bookmark");
+      if (creates && requestSchema?.properties) {
+        Object.assign(requestSchema.properties, structuredClone(CREATE_PROPERTIES));
+      }
+
+      const { kind, schema: shaped } = responseSchemaFor(path, op.operationId, spec.components.schemas);
+      const schema = creates && kind === "ShimBookmark" ? { allOf: [shaped, CREATE_EXISTING] } : shaped;
+      op.responses = op.responses || {};
+      op.responses["200"] = {
+        ...(op.responses["200"] || {}),
+        description: op.responses["200"]?.description || "Successful Response",
+        content: { "application/json": { schema: structuredClone(schema) } },
+      };
+      op["x-shim"] = { response: kind, access: toolAccess(path) };
+      Object.assign(op.responses, errorResponses());
+
+      if (BOOKMARK_RESPONSES.has(kind)) {
+        op.parameters = [
+          ...(op.parameters || []).filter((p) => p?.name !== "raw" && p?.name !== "format"),
+          {
+            name: "raw",
+            in: "query",
+            required: false,
+            description: "Set to 1 to keep the original upstream keys under `raw` on each bookmark.",
+            schema: { type: "boolean" },
+          },
+          {
+            name: "format",
+            in: "query",
+            required: false,
+            description: "Output format; overrides the Accept header. Non-JSON formats put nextCursor in X-Next-Cursor.",
+            schema: { type: "string", enum: Object.keys(FORMATS) },
+          },
+        ];
+        for (const [format, type] of Object.entries(FORMATS)) {
+          if (format === "json") continue;
+          op.responses["200"].content[type.split(";")[0]] = { schema: { type: "string" } };
+        }
+      }
+    }
+  }
+
+  for (const [path, { available, op }] of Object.entries(NATIVE_OPERATIONS)) {
+    if (spec.paths?.[path] || !available(spec)) continue;
+    const native = structuredClone(op);
+    Object.assign(native.responses, errorResponses());
+    spec.paths = { ...spec.paths, [path]: { post: native } };
+  }
+
+  if (authEnabled()) {
+    spec.components.securitySchemes = {
+      ...(spec.components.securitySchemes || {}),
+      ShimBearer: { type: "http", scheme: "bearer" },
+      ShimApiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+    };
+    spec.security = [{ ShimBearer: [] }, { ShimApiKey: [] }];
+  }
+
+  spec["x-shim"] = {
+    name: pkg.name,
+    version: pkg.version,
+    normalized: true,
+    errorCodes: Object.fromEntries(Object.entries(ERROR_CODES).map(([code, [status]]) => [code, status])),
+    upstream: { title: upstream.info?.title ?? null, version: upstream.info?.version ?? null },
+  };
+
+  memo = { source: upstream, result: spec };
+  return spec;
+}
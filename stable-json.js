@@ -0,0 +1,18 @@
+// stable-json.js
+//
+// JSON with sorted object keys, so equal values serialize equally whatever
+// order their keys were set in. Cache keys (cache.js), replay matching
+// (replay.js) and mirror change detection (mirror.js) compare with it. No
+// imports: replay.js runs as its own process and must not load the shim.
+
+/** JSON with sorted object keys, so {a,b} and {b,a} serialize alike */
+export function stableStringify(v) {
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(v[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
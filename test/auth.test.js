@@ -0,0 +1,91 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import express from "express";
+import { karakeepBookmark, startFakeMcpo, toolsSpec } from "./fixtures/fake-mcpo.mjs";
+
+const TOOLS = {
+  "get-bookmark": ({ bookmarkId }) => karakeepBookmark({ id: bookmarkId }),
+  "create-bookmark": ({ content }) => karakeepBookmark({ id: "new", url: content }),
+};
+
+const upstream = await startFakeMcpo(TOOLS);
+Object.assign(process.env, {
+  MCPO_URL: upstream.url,
+  CACHE_ENABLED: "0",
+  DEDUPE_ON_CREATE: "0",
+  SHIM_API_KEYS: JSON.stringify([
+    { label: "reader", key: "k-read", scopes: ["read"] },
+    { label: "writer", key: "k-write", scopes: ["read", "write"], karakeepToken: "kk-writer" },
+    { label: "ops", key: "k-admin", scopes: ["admin"] },
+  ]),
+});
+
+const { useOpenAPI } = await import("../openapi.js");
+const { buildRouterFromOpenAPI } = await import("../router.js");
+const { authenticate, requireScope } = await import("../auth.js");
+
+const spec = toolsSpec(TOOLS);
+useOpenAPI(spec);
+const app = express().use(express.json(), authenticate);
+app.get("/health", (req, res) => res.json({ ok: true }));
+app.post("/admin/thing", requireScope("admin"), (req, res) => res.json({ label: req.auth.label }));
+app.use(buildRouterFromOpenAPI(spec));
+const server = app.listen(0, "127.0.0.1");
+await once(server, "listening");
+after(() => {
+  server.close();
+  upstream.close();
+});
+const base = `http://127.0.0.1:${server.address().port}`;
+
+const READ = ["/get-bookmark", { bookmarkId: "b1" }];
+const WRITE = ["/create-bookmark", { type: "link", content: "https://example.com/x" }];
+const ADMIN = ["/admin/thing", {}];
+
+async function call([path, body], headers = {}) {
+  const r = await fetch(`${base}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+  return { status: r.status, headers: r.headers, body: await r.json() };
+}
+const bearer = (key) => ({ Authorization: `Bearer ${key}` });
+
+test("no key, or an unknown one, is a 401; /health stays open", async () => {
+  const missing = await call(READ);
+  const { code, message } = missing.body.error;
+  assert.deepEqual([missing.status, code, message], [401, "unauthorized", "API key required"]);
+  assert.match(missing.headers.get("www-authenticate"), /^Bearer /);
+  const unknown = await call(READ, bearer("k-nope"));
+  assert.deepEqual([unknown.status, unknown.body.error.message], [401, "Invalid API key"]);
+  assert.equal((await fetch(`${base}/health`)).status, 200);
+  assert.equal(upstream.calls.length, 0);
+});
+
+test("each scope opens its own routes and no others (403 otherwise)", async () => {
+  const expected = {
+    "k-read": [200, 403, 403],
+    "k-write": [200, 200, 403],
+    "k-admin": [403, 403, 200],
+  };
+  for (const [key, statuses] of Object.entries(expected)) {
+    const got = [];
+    for (const route of [READ, WRITE, ADMIN]) {
+      const r = await call(route, bearer(key));
+      if (r.status === 403) assert.equal(r.body.error.code, "forbidden");
+      got.push(r.status);
+    }
+    assert.deepEqual(got, statuses, key);
+  }
+});
+
+test("X-API-Key works like a bearer token; a key's KaraKeep token is forwarded upstream", async () => {
+  upstream.calls.length = 0;
+  assert.equal((await call(WRITE, { "X-API-Key": "k-write" })).status, 200);
+  assert.equal((await call(READ, bearer("k-read"))).status, 200);
+  const [write, read] = upstream.calls;
+  assert.equal(write.headers["x-karakeep-api-key"], "kk-writer");
+  assert.equal(read.headers["x-karakeep-api-key"], undefined);
+});
@@ -0,0 +1,128 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { fakeRes, karakeepBookmark, startFakeMcpo, toolsSpec } from "./fixtures/fake-mcpo.mjs";
+
+const TOOLS = {
+  "get-bookmark": ({ bookmarkId: id }) =>
+    // Tool errors come back from mcpo as a 500 with their text
+    id === "missing" ? { status: 500, text: "Bookmark not found" } : karakeepBookmark({ id, title: `Title ${id}` }),
+  "create-bookmark": ({ content }) => karakeepBookmark({ id: "new", url: content }),
+  "search-bookmarks": () => `${karakeepBookmark({ id: "b1" })}\n\nNext cursor: no more pages`,
+};
+
+const upstream = await startFakeMcpo(TOOLS);
+after(() => upstream.close());
+Object.assign(process.env, {
+  MCPO_URL: upstream.url,
+  CACHE_ENABLED: "0",
+  RATE_LIMIT_RPS: "0.001",
+  RATE_LIMIT_BURST: "4",
+});
+
+const { useOpenAPI } = await import("../openapi.js");
+const { buildRouterFromOpenAPI } = await import("../router.js");
+const { compileSpecValidators } = await import("../validate.js");
+const { batchHandler, nativeToolHandler } = await import("../batch.js");
+
+const spec = toolsSpec(TOOLS);
+useOpenAPI(spec);
+buildRouterFromOpenAPI(spec);
+
+const reader = { label: "reader", scopes: new Set(["read"]) };
+let nextKey = 0;
+/** A request from its own rate-limit bucket (a fresh key label), unless `auth` is given */
+const request = (path, body, auth = { ...reader, label: `reader${nextKey++}` }) => ({ path, body, auth, id: "r1" });
+
+test("batch: results in call order, each through the tool's pipeline", async () => {
+  const res = fakeRes();
+  const calls = [
+    { path: "/get-bookmark", body: { bookmarkId: "b1" } },
+    { path: "/get-bookmark", body: { bookmarkId: "missing" } },
+    { path: "/no-such-tool" },
+  ];
+  await batchHandler(request("/batch", { calls }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers["cache-control"], "no-store");
+  const [found, missing, unknown] = res.body.results;
+  assert.equal(found.status, 200);
+  assert.equal(found.result.id, "b1");
+  assert.equal(found.result.title, "Title b1");
+  assert.deepEqual([missing.status, missing.error.code], [404, "not_found"]);
+  assert.deepEqual([unknown.status, unknown.error.code], [404, "not_found"]);
+  assert.deepEqual(res.body.stats, { calls: 3, ok: 1, failed: 2 });
+});
+
+test("batch: every call needs its own scope", async () => {
+  const before = upstream.calls.length;
+  const res = fakeRes();
+  const calls = [
+    { path: "/create-bookmark", body: { type: "link", content: "https://example.com/x" } },
+    { path: "/get-bookmark", body: { bookmarkId: "b2" } },
+  ];
+  await batchHandler(request("/batch", { calls }), res);
+
+  const [write, read] = res.body.results;
+  assert.deepEqual([write.status, write.error.code], [403, "forbidden"]);
+  assert.equal(read.status, 200);
+  assert.deepEqual(upstream.calls.slice(before).map((c) => c.tool), ["get-bookmark"]);
+});
+
+test("batch: the body is validated, and each call costs a rate-limit token", async () => {
+  let res = fakeRes();
+  await batchHandler(request("/batch", { calls: [] }), res);
+  assert.deepEqual([res.statusCode, res.body.error.code], [422, "validation"]);
+
+  // rateLimit (middleware) took the request's own token; the batch pays for the others.
+  // With a burst of 4, one batch of four calls fits and a second one doesn't.
+  const four = Array.from({ length: 4 }, (_, i) => ({ path: "/get-bookmark", body: { bookmarkId: `b${i}` } }));
+  const key = { ...reader, label: "spent" };
+  await batchHandler(request("/batch", { calls: four }, key), (res = fakeRes()));
+  assert.equal(res.statusCode, 200);
+  await batchHandler(request("/batch", { calls: four }, key), (res = fakeRes()));
+  assert.deepEqual([res.statusCode, res.body.error.code], [429, "rate_limited"]);
+  assert.ok(Number(res.headers["retry-after"]) >= 1);
+});
+
+test("batch: a call that fans out costs a token per upstream call it may make", async () => {
+  const key = { ...reader, label: "paginating" };
+  const calls = [{ path: "/search-bookmarks", body: { query: "x", all: true, maxPages: 4 } }];
+  let res = fakeRes();
+  await batchHandler(request("/batch", { calls }, key), res);
+  assert.equal(res.statusCode, 200);
+  await batchHandler(request("/batch", { calls }, key), (res = fakeRes()));
+  assert.deepEqual([res.statusCode, res.body.error.code], [429, "rate_limited"]);
+});
+
+test("get-bookmarks: found bookmarks in items, failures in errors, duplicate IDs fetched once", async () => {
+  const before = upstream.calls.length;
+  const res = fakeRes();
+  await nativeToolHandler(request("/get-bookmarks", { bookmarkIds: ["b1", "missing", "b1", "b3"] }), res, () => {
+    throw new Error("deferred to upstream");
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.items.map((b) => b.id), ["b1", "b3"]);
+  assert.equal(res.body.errors.length, 1);
+  assert.equal(res.body.errors[0].bookmarkId, "missing");
+  assert.deepEqual([res.body.errors[0].status, res.body.errors[0].error.code], [404, "not_found"]);
+  assert.equal(upstream.calls.length - before, 3);
+});
+
+test("get-bookmarks: validated against its published schema", async () => {
+  const res = fakeRes();
+  await nativeToolHandler(request("/get-bookmarks", { bookmarkIds: [] }), res, () => {});
+  assert.deepEqual([res.statusCode, res.body.error.code], [422, "validation"]);
+});
+
+test("get-bookmarks: an exception becomes the error envelope, not an unhandled rejection", async () => {
+  // Without validators a malformed body reaches the tool and throws
+  compileSpecValidators({ paths: {} });
+  try {
+    const res = fakeRes();
+    await nativeToolHandler(request("/get-bookmarks", { bookmarkIds: 5 }), res, () => {});
+    assert.deepEqual([res.statusCode, res.body.error.code], [500, "internal"]);
+  } finally {
+    compileSpecValidators(spec);
+  }
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createIndex, snippet, tokenize } from "../bm25.js";
+
+test("tokenize lowercases, folds accents and drops stopwords", () => {
+  assert.deepEqual(tokenize("The Café and the Rust-lang book, 2nd ed."), ["cafe", "rust", "lang", "book", "2nd", "ed"]);
+  assert.deepEqual(tokenize(null), []);
+});
+
+test("rarer terms and weighted fields rank higher", () => {
+  const index = createIndex({ fields: { title: 3, content: 1 } });
+  index.add("a", { title: "Async Rust", content: "futures and executors" });
+  index.add("b", { title: "Cooking", content: "rust on a cast iron pan" });
+  index.add("c", { title: "Gardening", content: "tomatoes" });
+  assert.deepEqual(index.search("rust").map((h) => h.id), ["a", "b"]);
+  assert.deepEqual(index.search("rust executors").map((h) => h.id), ["a", "b"]);
+  assert.deepEqual(index.search("nothing here"), []);
+});
+
+test("replacing and removing documents updates postings", () => {
+  const index = createIndex({ fields: { title: 1, tags: 1 } });
+  index.add("a", { title: "old title", tags: ["x"] });
+  index.add("a", { title: "new title", tags: ["y"] });
+  assert.equal(index.size, 1);
+  assert.deepEqual(index.search("old"), []);
+  assert.deepEqual(index.search("y").map((h) => h.id), ["a"]);
+  assert.equal(index.remove("a"), true);
+  assert.equal(index.remove("a"), false);
+  assert.deepEqual(index.search("title"), []);
+});
+
+test("filter drops documents before ranking", () => {
+  const index = createIndex({ fields: { title: 1 } });
+  index.add("a", { title: "rust" });
+  index.add("b", { title: "rust" });
+  assert.deepEqual(index.search("rust", { filter: (id) => id === "b" }).map((h) => h.id), ["b"]);
+});
+
+test("snippet marks query terms in the densest window", () => {
+  const text = `${"filler ".repeat(60)}about Rust and more rust here. ${"tail ".repeat(60)}`;
+  const s = snippet(text, "rust", { maxChars: 60 });
+  assert.match(s, /^….*\*\*Rust\*\* and more \*\*rust\*\* here.*…$/);
+  assert.ok(s.length < 120);
+  assert.equal(snippet("short text about café", "CAFE"), "short text about **café**");
+  assert.equal(snippet("no match", "rust"), null);
+  assert.equal(snippet("anything", "the"), null);
+});
@@ -0,0 +1,96 @@
+import { test, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { startFakeMcpo } from "./fixtures/fake-mcpo.mjs";
+
+// Statuses the next upstream calls answer with, in turn (200 once they run out)
+const statuses = [];
+const answer = () => ({ status: statuses.shift() ?? 200, text: "ok" });
+const upstream = await startFakeMcpo({ "get-bookmark": answer, "create-bookmark": answer });
+after(() => upstream.close());
+
+const COOLDOWN_MS = 200;
+Object.assign(process.env, {
+  MCPO_URL: upstream.url,
+  BREAKER_FAILURE_THRESHOLD: "5",
+  BREAKER_COOLDOWN_MS: String(COOLDOWN_MS),
+  RETRY_ATTEMPTS: "2",
+  RETRY_BASE_MS: "1",
+  RETRY_MAX_MS: "5",
+});
+
+const { breakerAcquire, breakerFailure, breakerStatus, breakerSuccess } = await import("../breaker.js");
+const { callUpstream } = await import("../upstream.js");
+
+const read = () => callUpstream("/get-bookmark", { method: "post", body: { bookmarkId: "b1" } });
+const write = () => callUpstream("/create-bookmark", { method: "post", body: { type: "link", content: "x" } });
+const calls = () => upstream.calls.length;
+
+beforeEach(() => {
+  breakerSuccess();
+  statuses.length = 0;
+  upstream.calls.length = 0;
+});
+
+test("breaker: closed, open after the threshold, half-open after the cooldown, closed on success", async () => {
+  for (let i = 0; i < 4; i++) breakerFailure("down");
+  assert.equal(breakerStatus().state, "closed");
+  breakerAcquire();
+  breakerFailure("still down");
+  assert.deepEqual([breakerStatus().state, breakerStatus().lastError], ["open", "still down"]);
+  assert.throws(breakerAcquire, (e) => e.name === "CircuitOpenError" && e.retryInMs > 0);
+
+  await sleep(COOLDOWN_MS);
+  breakerAcquire(); // the probe
+  assert.equal(breakerStatus().state, "half_open");
+  assert.throws(breakerAcquire, { name: "CircuitOpenError" }, "one probe at a time");
+  breakerSuccess();
+  assert.deepEqual([breakerStatus().state, breakerStatus().consecutiveFailures], ["closed", 0]);
+  breakerAcquire();
+});
+
+test("breaker: a failed probe opens the circuit for another cooldown", async () => {
+  for (let i = 0; i < 5; i++) breakerFailure("down");
+  await sleep(COOLDOWN_MS);
+  breakerAcquire();
+  breakerFailure("probe failed");
+  assert.equal(breakerStatus().state, "open");
+  assert.throws(breakerAcquire, { name: "CircuitOpenError" });
+});
+
+test("reads are retried while upstream is unavailable", async () => {
+  statuses.push(503, 502);
+  assert.equal((await read()).status, 200);
+  assert.equal(calls(), 3);
+
+  statuses.push(503, 503, 504);
+  assert.equal((await read()).status, 504, "RETRY_ATTEMPTS retries, then the last answer");
+  assert.equal(calls(), 6);
+});
+
+test("writes are never retried, and tool errors aren't retried either", async () => {
+  statuses.push(503);
+  assert.equal((await write()).status, 503);
+  assert.equal(calls(), 1);
+
+  statuses.push(500);
+  assert.equal((await read()).status, 500);
+  assert.equal(calls(), 2);
+  assert.equal(breakerStatus().consecutiveFailures, 0, "a tool error means upstream is up");
+});
+
+test("an open circuit fails calls fast, without reaching upstream or retrying", async () => {
+  statuses.push(503, 503, 503, 503, 503);
+  await read(); // three attempts
+  await write();
+  await write(); // the fifth failure in a row opens the circuit
+  assert.equal(breakerStatus().state, "open");
+  assert.equal(calls(), 5);
+
+  await assert.rejects(read(), { name: "CircuitOpenError" });
+  assert.equal(calls(), 5);
+
+  await sleep(COOLDOWN_MS);
+  assert.equal((await read()).status, 200);
+  assert.equal(breakerStatus().state, "closed");
+});
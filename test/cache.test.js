@@ -0,0 +1,108 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import express from "express";
+import { karakeepBookmark, startFakeMcpo, toolsSpec } from "./fixtures/fake-mcpo.mjs";
+
+const library = new Map([
+  ["b1", { id: "b1", title: "One", tags: [] }],
+  ["b2", { id: "b2", title: "Two", tags: [] }],
+]);
+
+const TOOLS = {
+  "search-bookmarks": () => `${[...library.values()].map(karakeepBookmark).join("\n\n")}\n\nNext cursor: no more pages`,
+  "get-bookmark": ({ bookmarkId }) => karakeepBookmark(library.get(bookmarkId)),
+  "get-lists": () => "[]",
+  "attach-tag-to-bookmark": ({ bookmarkId, tagsToAttach }) => {
+    if (!library.has(bookmarkId)) return { status: 500, text: "Internal Server Error" };
+    library.get(bookmarkId).tags.push(...tagsToAttach);
+    return "Tags attached.";
+  },
+  "some-new-write": () => "Done.",
+};
+
+const upstream = await startFakeMcpo(TOOLS);
+Object.assign(process.env, { MCPO_URL: upstream.url, DEDUPE_ON_CREATE: "0", RETRY_ATTEMPTS: "0" });
+
+const { useOpenAPI } = await import("../openapi.js");
+const { buildRouterFromOpenAPI } = await import("../router.js");
+const { cacheGet, cacheKey, cacheSet, invalidateFor } = await import("../cache.js");
+
+const spec = toolsSpec(TOOLS);
+useOpenAPI(spec);
+const server = express().use(express.json(), buildRouterFromOpenAPI(spec)).listen(0, "127.0.0.1");
+await once(server, "listening");
+after(() => {
+  server.close();
+  upstream.close();
+});
+const base = `http://127.0.0.1:${server.address().port}`;
+
+const call = (tool, body, headers = {}) =>
+  fetch(`${base}/${tool}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+const upstreamCalls = (tool) => upstream.calls.filter((c) => c.tool === tool).length;
+
+test("reads are cached with an ETag; If-None-Match gets a 304 for a matching one only", async () => {
+  const first = await call("get-bookmark", { bookmarkId: "b1" });
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get("x-shim-cache"), "miss");
+  assert.equal(first.headers.get("cache-control"), "private, max-age=120");
+  const etag = first.headers.get("etag");
+  assert.match(etag, /^W\/"/);
+
+  const second = await call("get-bookmark", { bookmarkId: "b1" });
+  assert.equal(second.headers.get("x-shim-cache"), "hit");
+  assert.equal(second.headers.get("etag"), etag);
+  assert.deepEqual(await second.json(), await first.json());
+  assert.equal(upstreamCalls("get-bookmark"), 1);
+
+  for (const header of [etag, etag.replace(/^W\//, ""), `"other", ${etag}`, "*"]) {
+    const r = await call("get-bookmark", { bookmarkId: "b1" }, { "If-None-Match": header });
+    assert.equal(r.status, 304, header);
+    assert.equal(await r.text(), "");
+  }
+  const stale = await call("get-bookmark", { bookmarkId: "b1" }, { "If-None-Match": 'W/"something-else"' });
+  assert.equal(stale.status, 200);
+  assert.equal((await stale.json()).id, "b1");
+});
+
+test("a write drops the reads it can affect, and a client's old ETag no longer matches", async () => {
+  const etag = (await call("get-bookmark", { bookmarkId: "b1" })).headers.get("etag");
+  await call("get-bookmark", { bookmarkId: "b2" });
+  await call("search-bookmarks", { query: "" });
+  await call("get-lists", {});
+  const before = Object.fromEntries(Object.keys(TOOLS).map((t) => [t, upstreamCalls(t)]));
+
+  assert.equal((await call("attach-tag-to-bookmark", { bookmarkId: "b1", tagsToAttach: ["new"] })).status, 200);
+
+  const b1 = await call("get-bookmark", { bookmarkId: "b1" }, { "If-None-Match": etag });
+  assert.equal(b1.status, 200);
+  assert.equal(b1.headers.get("x-shim-cache"), "miss");
+  assert.deepEqual((await b1.json()).tags, ["new"]);
+  assert.equal((await call("search-bookmarks", { query: "" })).headers.get("x-shim-cache"), "miss");
+  // Other bookmarks and the lists can't have changed
+  assert.equal((await call("get-bookmark", { bookmarkId: "b2" })).headers.get("x-shim-cache"), "hit");
+  assert.equal((await call("get-lists", {})).headers.get("x-shim-cache"), "hit");
+  assert.equal(upstreamCalls("get-bookmark") - before["get-bookmark"], 1);
+});
+
+test("a failed write invalidates nothing", async () => {
+  await call("get-bookmark", { bookmarkId: "b2" });
+  const r = await call("attach-tag-to-bookmark", { bookmarkId: "missing", tagsToAttach: ["x"] });
+  assert.ok(r.status >= 500);
+  assert.equal((await call("get-bookmark", { bookmarkId: "b2" })).headers.get("x-shim-cache"), "hit");
+  assert.equal((await call("search-bookmarks", { query: "" })).headers.get("x-shim-cache"), "hit");
+});
+
+test("a write without an invalidation rule clears the whole cache", async () => {
+  const key = cacheKey("/get-lists", { body: { other: 1 } });
+  cacheSet(key, "/get-lists", {}, { status: 200, payload: { lists: [] } }, 60000);
+  assert.ok(cacheGet(key));
+  invalidateFor("/some-new-write", {});
+  assert.equal(cacheGet(key), null);
+  assert.equal((await call("get-bookmark", { bookmarkId: "b2" })).headers.get("x-shim-cache"), "miss");
+});
@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { canonicalUrl, canonicalUrls, samePage } from "../canonical-url.js";
+
+test("canonicalUrl drops tracking parameters, fragments and trailing slashes", () => {
+  assert.equal(
+    canonicalUrl("http://WWW.Example.com/post/?utm_source=news&b=2&fbclid=x&a=1#comments"),
+    "https://example.com/post?a=1&b=2"
+  );
+  assert.equal(canonicalUrl("https://example.com/"), "https://example.com");
+  assert.equal(canonicalUrl("https://example.com/app#/inbox"), "https://example.com/app#/inbox");
+  assert.equal(canonicalUrl("https://example.com:8443/x"), "https://example.com:8443/x");
+});
+
+test("canonicalUrl resolves mobile and AMP variants", () => {
+  const article = "https://example.com/news/story";
+  for (const variant of [
+    "https://m.example.com/news/story",
+    "https://mobile.example.com/news/story/",
+    "https://amp.example.com/news/story",
+    "https://example.com/news/story?outputType=amp",
+    "https://www.google.com/amp/s/www.example.com/news/story",
+    "https://example-com.cdn.ampproject.org/c/s/example.com/news/story",
+  ]) {
+    assert.equal(canonicalUrl(variant), article, variant);
+  }
+  assert.equal(canonicalUrl("https://en.m.wikipedia.org/wiki/Rust"), "https://en.wikipedia.org/wiki/Rust");
+  assert.equal(canonicalUrl("https://example.com/a.amp.html"), "https://example.com/a.html");
+  assert.equal(canonicalUrl("https://m.me/someone"), "https://m.me/someone");
+});
+
+test("an /amp suffix or ?amp flag alone is left alone: it may be a real page or parameter", () => {
+  for (const url of [
+    "https://github.com/someone/amp",
+    "https://en.wikipedia.org/wiki/AMP",
+    "https://example.com/news/story/amp",
+    "https://example.com/news/story?amp=1",
+    "https://example.com/synth?amp=11",
+  ]) {
+    assert.equal(canonicalUrl(url), url, url);
+  }
+  assert.deepEqual(canonicalUrls(["https://github.com/someone/amp", "https://github.com/other"]), [
+    "https://github.com/someone/amp",
+    "https://github.com/other",
+  ]);
+});
+
+test("canonicalUrls maps AMP versions to their page when that page is among the URLs", () => {
+  const article = "https://example.com/news/story";
+  const amp = [
+    "https://example.com/news/story/amp/",
+    "https://example.com/news/story?amp=1",
+    "https://example.com/news/story?amp",
+    "https://www.google.com/amp/s/www.example.com/news/story/amp/",
+  ];
+  assert.deepEqual(canonicalUrls([...amp, "http://www.example.com/news/story/"]), [...amp.map(() => article), article]);
+  // A parameter that isn't an AMP flag still tells pages apart
+  assert.deepEqual(canonicalUrls(["https://example.com/synth?amp=11", "https://example.com/synth"]), [
+    "https://example.com/synth?amp=11",
+    "https://example.com/synth",
+  ]);
+  assert.deepEqual(canonicalUrls(["not a url", "https://example.com/amp"]), [null, "https://example.com/amp"]);
+});
+
+test("samePage compares two keys, either one possibly the other's AMP version", () => {
+  const article = canonicalUrl("https://example.com/news/story");
+  assert.ok(samePage(canonicalUrl("https://example.com/news/story/amp"), article));
+  assert.ok(samePage(article, canonicalUrl("https://example.com/news/story?amp=1")));
+  assert.ok(!samePage(canonicalUrl("https://example.com/news/other/amp"), article));
+  assert.ok(!samePage(null, article));
+});
+
+test("canonicalUrl is null for anything but http(s) URLs", () => {
+  assert.equal(canonicalUrl("javascript:alert(1)"), null);
+  assert.equal(canonicalUrl("not a url"), null);
+  assert.equal(canonicalUrl(null), null);
+});
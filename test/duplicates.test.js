@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findDuplicates } from "../duplicates.js";
+
+const bookmark = (id, url, createdAt, tags = []) => ({ id, url, title: id, createdAt, tags, note: null });
+
+test("findDuplicates groups by canonical URL and keeps the oldest", () => {
+  const groups = findDuplicates([
+    bookmark("b", "https://example.com/post?utm_source=feed", "2025-02-01T00:00:00Z", ["Rust", "web"]),
+    bookmark("a", "http://www.example.com/post/", "2025-01-01T00:00:00Z", ["rust"]),
+    bookmark("c", "https://m.example.com/post#top", null, ["later"]),
+    bookmark("d", "https://example.com/other", "2025-01-01T00:00:00Z"),
+    { id: "e", url: null, title: "a note" },
+  ]);
+  assert.equal(groups.length, 1);
+  assert.equal(groups[0].canonicalUrl, "https://example.com/post");
+  assert.deepEqual(
+    groups[0].bookmarks.map((b) => b.id),
+    ["a", "b", "c"]
+  );
+  assert.deepEqual(groups[0].suggestion, { keep: "a", remove: ["b", "c"], attachTags: ["web", "later"] });
+});
+
+test("findDuplicates puts the biggest groups first", () => {
+  const groups = findDuplicates([
+    bookmark("x1", "https://x.example/", "2025-01-01T00:00:00Z"),
+    bookmark("x2", "https://x.example/?fbclid=1", "2025-01-02T00:00:00Z"),
+    bookmark("y1", "https://y.example/", "2025-01-01T00:00:00Z"),
+    bookmark("y2", "https://www.y.example/", "2025-01-02T00:00:00Z"),
+    bookmark("y3", "https://y.example/#a", "2025-01-03T00:00:00Z"),
+  ]);
+  assert.deepEqual(
+    groups.map((g) => g.suggestion.keep),
+    ["y1", "x1"]
+  );
+});
+
+test("findDuplicates groups an AMP URL with its page only when the page is in the library", () => {
+  const groups = findDuplicates([
+    bookmark("a", "https://news.example/story", "2025-01-01T00:00:00Z"),
+    bookmark("b", "https://news.example/story/amp", "2025-01-02T00:00:00Z"),
+    bookmark("c", "https://github.com/someone/amp", "2025-01-01T00:00:00Z"),
+    bookmark("d", "https://github.com/someone/amp?utm_source=x", "2025-01-02T00:00:00Z"),
+  ]);
+  assert.deepEqual(
+    groups.map((g) => [g.canonicalUrl, g.suggestion.keep, g.suggestion.remove]),
+    [
+      ["https://github.com/someone/amp", "c", ["d"]],
+      ["https://news.example/story", "a", ["b"]],
+    ]
+  );
+});
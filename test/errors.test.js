@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyException, classifyUpstream, errorBody, statusFor } from "../errors.js";
+
+/** classifyUpstream for a text answer, as the parser hands it over */
+const classify = (status, text, { expectsStructure = false } = {}) =>
+  classifyUpstream({ status, text, parsed: { text }, expectsStructure });
+
+test("failed answers are classified by status", () => {
+  const codes = [404, 401, 403, 400, 422, 408, 504, 502, 503, 418].map((s) => classify(s, "")?.code);
+  assert.deepEqual(codes, [
+    "not_found",
+    "auth",
+    "auth",
+    "validation",
+    "validation",
+    "timeout",
+    "timeout",
+    "upstream_unavailable",
+    "upstream_unavailable",
+    "upstream_unavailable",
+  ]);
+  assert.equal(classify(404, "").message, "Upstream returned 404");
+});
+
+test("a tool error (a 500) is classified by its text", () => {
+  const cases = [
+    ["Bookmark not found", "not_found"],
+    ["Unauthorized: invalid API key", "auth"],
+    ["connect ECONNREFUSED 127.0.0.1:3000", "upstream_unavailable"],
+    ["Request timed out", "timeout"],
+    ["Validation error: bookmarkId is required", "validation"],
+    ["Something odd happened", "upstream_unavailable"],
+  ];
+  for (const [text, code] of cases) {
+    assert.deepEqual(classify(500, text), { code, message: text }, text);
+  }
+  // FastAPI-style { detail } bodies
+  const detail = classifyUpstream({ status: 500, text: "", parsed: { detail: "List does not exist" } });
+  assert.deepEqual(detail, { code: "not_found", message: "List does not exist" });
+});
+
+test("a 2xx answer is never an error because of its wording", () => {
+  for (const text of ["Not found any tags", "timeout set", "Error rate: 5%", "Unauthorized bookmarks: none"]) {
+    assert.equal(classify(200, text), null, text);
+  }
+  assert.equal(classifyUpstream({ status: 200, text: "[]", parsed: [], expectsStructure: true }), null);
+});
+
+test("a 2xx text answer on a bookmark route is a parse_failure", () => {
+  assert.equal(classify(200, "Bookmark not found", { expectsStructure: true }).code, "parse_failure");
+  assert.equal(classify(200, "", { expectsStructure: true }), null);
+});
+
+test("exceptions from the upstream call", () => {
+  const named = (name, message = "") => Object.assign(new Error(message), { name });
+  assert.equal(classifyException(named("AbortError")), "timeout");
+  assert.equal(classifyException(named("CircuitOpenError")), "upstream_unavailable");
+  assert.equal(classifyException(named("UpstreamBusyError")), "rate_limited");
+  assert.equal(classifyException(named("FetchError", "request failed")), "upstream_unavailable");
+  assert.equal(classifyException(new Error("MCP server exited (code=1, signal=null)")), "upstream_unavailable");
+  assert.equal(classifyException(Object.assign(new Error("x"), { code: "ECONNREFUSED" })), "upstream_unavailable");
+  assert.equal(classifyException(new TypeError("Cannot read properties of undefined")), "internal");
+});
+
+test("the envelope carries the code's status", () => {
+  assert.deepEqual(errorBody("not_found", "gone", { requestId: "r1" }), {
+    error: { code: "not_found", message: "gone", upstreamStatus: null, requestId: "r1" },
+  });
+  const codes = ["not_found", "validation", "rate_limited", "timeout", "nope"];
+  assert.deepEqual(codes.map(statusFor), [404, 422, 429, 504, 500]);
+});
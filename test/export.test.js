@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { markdownFile, markdownFileName } from "../export.js";
+
+test("markdownFile writes front matter, then the content", () => {
+  const file = markdownFile(
+    { id: "b1", title: 'Say "hi"', tags: ["a", "b"], note: null, raw: { x: 1 } },
+    { markdown: "# Body" }
+  );
+  assert.equal(file, '---\nid: "b1"\ntitle: "Say \\"hi\\""\ntags: ["a","b"]\n---\n\n# Body\n');
+});
+
+test("markdownFile records a content error", () => {
+  const file = markdownFile({ id: "b1" }, { markdown: null, error: new Error("boom") });
+  assert.equal(file, '---\nid: "b1"\ncontentError: "boom"\n---\n\n');
+});
+
+test("markdownFileName slugs the title and keeps the id", () => {
+  assert.equal(markdownFileName({ id: "abc", title: "Ünïcode & Friends!" }), "bookmarks/unicode-friends-abc.md");
+  assert.equal(markdownFileName({ id: "abc", url: "https://example.com/x" }), "bookmarks/example-com-x-abc.md");
+  assert.equal(markdownFileName({ id: "abc" }), "bookmarks/bookmark-abc.md");
+});
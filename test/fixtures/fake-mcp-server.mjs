@@ -0,0 +1,46 @@
+// A KaraKeep-like MCP server on stdio, for test/mcp-client.test.js.
+//  - tools/list answers in two pages (nextCursor);
+//  - tools/call answers get-bookmark with KaraKeep's text output, and
+//    "Bookmark not found" (isError) for unknown ids;
+//  - the "exit" tool ends the process without answering;
+//  - with --close-stdin it closes stdin at once and says so in a notification.
+import { closeSync } from "node:fs";
+import { createInterface } from "node:readline";
+
+const send = (m) => process.stdout.write(`${JSON.stringify(m)}\n`);
+
+if (process.argv.includes("--close-stdin")) {
+  closeSync(0);
+  send({ jsonrpc: "2.0", method: "notifications/stdin_closed" });
+  setInterval(() => {}, 1000);
+} else {
+  createInterface({ input: process.stdin }).on("line", answer);
+}
+
+const tools = [
+  { name: "search-bookmarks", inputSchema: { type: "object", properties: { query: { type: "string" } } } },
+  { name: "get-bookmark", inputSchema: { type: "object", properties: { bookmarkId: { type: "string" } } } },
+  { name: "exit", inputSchema: { type: "object", properties: {} } },
+];
+
+function answer(line) {
+  const m = JSON.parse(line);
+  const reply = (result) => send({ jsonrpc: "2.0", id: m.id, result });
+  switch (m.method) {
+    case "initialize":
+      return reply({ protocolVersion: "2025-03-26", capabilities: {}, serverInfo: { name: "fake", version: "0.1" } });
+    case "tools/list":
+      if (m.params?.cursor === "p2") return reply({ tools: tools.slice(2) });
+      return reply({ tools: tools.slice(0, 2), nextCursor: "p2" });
+    case "tools/call": {
+      const { name, arguments: args } = m.params;
+      if (name === "exit") process.exit(3);
+      if (args.bookmarkId !== "b1") {
+        return reply({ isError: true, content: [{ type: "text", text: "Bookmark not found" }] });
+      }
+      return reply({ content: [{ type: "text", text: "Bookmark ID: b1\n  Title: Hello" }] });
+    }
+    default:
+      if (m.id != null) send({ jsonrpc: "2.0", id: m.id, error: { code: -32601, message: "Method not found" } });
+  }
+}
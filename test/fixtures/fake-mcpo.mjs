@@ -0,0 +1,62 @@
+// An mcpo-karakeep stand-in over HTTP, for tests that run shim routes end to
+// end (batch, import, router):
+//  - startFakeMcpo(tools) serves POST /<tool> for each entry of `tools`, a
+//    function from the JSON body to the response text (or to `{ status, text }`),
+//    and records every call. Point MCPO_URL at `url` *before* importing shim
+//    modules: config.js reads the environment once, at import.
+//  - toolsSpec(tools) is the OpenAPI spec mcpo would publish for them.
+//  - fakeRes() is enough of an Express response for the handlers.
+//  - karakeepBookmark(b) renders a bookmark the way KaraKeep's MCP tools do.
+import { createServer } from "node:http";
+import { once } from "node:events";
+import { specFromTools } from "../../tool-spec.js";
+
+export async function startFakeMcpo(tools) {
+  const calls = [];
+  const server = createServer(async (req, res) => {
+    let data = "";
+    for await (const chunk of req) data += chunk;
+    const name = decodeURIComponent(req.url.slice(1).split("?")[0]);
+    const body = data ? JSON.parse(data) : {};
+    calls.push({ tool: name, body, headers: req.headers });
+    const answer = tools[name] ? await tools[name](body) : { status: 404, text: '{"detail":"Not Found"}' };
+    const { status = 200, text } = typeof answer === "string" ? { text: answer } : answer;
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(text));
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  return { url: `http://127.0.0.1:${server.address().port}`, calls, close: () => server.close() };
+}
+
+export function toolsSpec(tools) {
+  return specFromTools(
+    Object.keys(tools).map((name) => ({ name, inputSchema: { type: "object", additionalProperties: true } }))
+  );
+}
+
+export function fakeRes() {
+  const res = { statusCode: 200, headers: {}, body: undefined };
+  res.set = (name, value) => ((res.headers[name.toLowerCase()] = value), res);
+  res.status = (code) => ((res.statusCode = code), res);
+  res.json = (body) => ((res.body = body), res);
+  return res;
+}
+
+export function karakeepBookmark({
+  id,
+  title = "",
+  url = `https://example.com/${id}`,
+  tags = [],
+  type = "link",
+  createdAt = "2025-01-01T00:00:00.000Z",
+}) {
+  return [
+    `Bookmark ID: ${id}`,
+    `  Created at: ${createdAt}`,
+    `  Title: ${title}`,
+    `  Bookmark type: ${type}`,
+    `  Bookmarked URL: ${url}`,
+    `  Tags: ${tags.join(", ")}`,
+  ].join("\n");
+}
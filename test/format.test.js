@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { negotiateFormat, renderAtom, renderRSS } from "../format.js";
+
+const bookmark = (createdAt) => ({ id: "b1", url: "https://example.com/", title: "Example", createdAt, tags: [] });
+
+test("RSS gives valid dates a pubDate and skips the rest", () => {
+  assert.match(renderRSS([bookmark("2025-01-02T03:04:05.000Z")]), /<pubDate>Thu, 02 Jan 2025 03:04:05 GMT<\/pubDate>/);
+  const rss = renderRSS([bookmark("yesterday-ish")]);
+  assert.doesNotMatch(rss, /<pubDate>/);
+  assert.doesNotMatch(rss, /Invalid Date/);
+});
+
+test("Atom entries never carry an unparseable date", () => {
+  const atom = renderAtom([{ ...bookmark("not a date"), modifiedAt: "also not" }]);
+  assert.doesNotMatch(atom, /<published>/);
+  assert.doesNotMatch(atom, /not a date|also not|Invalid Date/);
+  assert.match(atom, /<updated>\d{4}-\d\d-\d\dT/);
+});
+
+test("negotiateFormat: ?format= is explicit, Accept is a hint", () => {
+  const req = (query, accept = "") => ({ query, get: () => accept });
+  assert.deepEqual(negotiateFormat(req({ format: "csv" })), { format: "csv", explicit: true });
+  assert.deepEqual(negotiateFormat(req({ format: "yaml" })), { format: null, explicit: true });
+  assert.deepEqual(negotiateFormat(req({}, "application/atom+xml")), { format: "atom", explicit: false });
+  assert.deepEqual(negotiateFormat(req({}, "*/*")), { format: "json", explicit: false });
+});
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { hydrateItems, measure, truncateText } from "../hydrate.js";
+
+const items = [{ id: "a" }, { id: "b" }, { id: "c" }];
+const words = (n) => Array.from({ length: n }, (_, i) => `w${i % 10}`).join(" ");
+
+test("truncateText backs up to a nearby word boundary", () => {
+  assert.deepEqual(truncateText("short", 10), { text: "short", truncated: false });
+  assert.deepEqual(truncateText("alpha beta gamma", 12), { text: "alpha beta", truncated: true });
+  // No whitespace near the cut: cut mid-word rather than lose most of the budget
+  assert.deepEqual(truncateText("a verylongwordwithoutspaces", 20), { text: "a verylongwordwithou", truncated: true });
+  assert.deepEqual(truncateText("anything", 0), { text: "", truncated: true });
+});
+
+test("truncateText never splits a surrogate pair", () => {
+  const { text } = truncateText("ab😀cd", 3);
+  assert.equal(text, "ab");
+});
+
+test("only the top `count` items get content; the rest are untouched", async () => {
+  const { items: out, stats } = await hydrateItems(items, async (item) => ({ markdown: `# ${item.id}` }), {
+    count: 2,
+    itemBudget: 100,
+    totalBudget: 1000,
+  });
+  assert.deepEqual(out[0].content, { markdown: "# a", truncated: false, length: 3 });
+  assert.equal(out[1].content.markdown, "# b");
+  assert.equal("content" in out[2], false);
+  assert.deepEqual(stats, { items: 2, fetched: 2, failed: 0, truncated: 0, used: 6, unit: "chars" });
+});
+
+test("the total budget is spent in result order", async () => {
+  const markdown = words(100);
+  const { items: out, stats } = await hydrateItems(items, async () => ({ markdown }), {
+    count: 3,
+    itemBudget: 100,
+    totalBudget: 150,
+  });
+  const [a, b, c] = out.map((i) => i.content.markdown.length);
+  assert.ok(a <= 100 && a >= 80);
+  assert.ok(b <= 150 - a);
+  assert.ok(c <= 150 - a - b);
+  assert.equal(stats.used, a + b + c);
+  assert.ok(out.every((i) => i.content.truncated && i.content.length === markdown.length));
+  assert.equal(stats.truncated, 3);
+});
+
+test("token budgets count about four characters per token", async () => {
+  assert.equal(measure("12345", "tokens"), 2);
+  const markdown = words(50);
+  const { items: out, stats } = await hydrateItems(items.slice(0, 1), async () => ({ markdown }), {
+    count: 1,
+    itemBudget: 10,
+    totalBudget: 100,
+    unit: "tokens",
+  });
+  assert.ok(out[0].content.markdown.length <= 40);
+  assert.equal(out[0].content.length, Math.ceil(markdown.length / 4));
+  assert.equal(stats.unit, "tokens");
+});
+
+test("a failed fetch keeps its place with the error", async () => {
+  const error = { code: "not_found", message: "Bookmark not found" };
+  const { items: out, stats } = await hydrateItems(
+    items,
+    async (item) => (item.id === "b" ? { error } : { markdown: "ok" }),
+    { count: 3, itemBudget: 10, totalBudget: 100 }
+  );
+  assert.deepEqual(out[1].content, { markdown: null, truncated: false, length: null, error });
+  assert.equal(out[2].content.markdown, "ok");
+  assert.equal(stats.failed, 1);
+  assert.equal(stats.fetched, 2);
+});
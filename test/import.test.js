@@ -0,0 +1,249 @@
+import { test, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fakeRes, karakeepBookmark, startFakeMcpo, toolsSpec } from "./fixtures/fake-mcpo.mjs";
+
+// The upstream library and lists; runImport tests edit and inspect them
+let library;
+let lists;
+let nextId;
+
+const listText = (l) => `List ID: ${l.id}\n  Name: ${l.name}\n  Icon: ${l.icon}\n  Parent ID: ${l.parentId ?? ""}`;
+
+const TOOLS = {
+  "search-bookmarks": () => `${library.map(karakeepBookmark).join("\n\n")}\n\nNext cursor: no more pages`,
+  "create-bookmark": ({ content, title }) => {
+    const b = { id: `new${++nextId}`, url: content, title: title || "" };
+    library.push(b);
+    return karakeepBookmark(b);
+  },
+  "attach-tag-to-bookmark": ({ bookmarkId, tagsToAttach }) =>
+    tagsToAttach.includes("bad")
+      ? { status: 500, text: "Tag service exploded" }
+      : `Tags ${JSON.stringify(tagsToAttach)} have been attached to bookmark ${bookmarkId}`,
+  "get-lists": () => lists.map(listText).join("\n\n"),
+  "create-list": ({ name, icon, parentId = null }) => {
+    const l = { id: `l${lists.length + 1}`, name, icon, parentId };
+    lists.push(l);
+    return listText(l);
+  },
+  "add-bookmark-to-list": ({ bookmarkId, listId }) => `Bookmark ${bookmarkId} has been added to list ${listId}`,
+};
+
+const upstream = await startFakeMcpo(TOOLS);
+after(() => upstream.close());
+Object.assign(process.env, {
+  MCPO_URL: upstream.url,
+  CACHE_ENABLED: "0",
+  RATE_LIMIT_RPS: "0.001",
+  RATE_LIMIT_BURST: "4",
+});
+
+const { useOpenAPI } = await import("../openapi.js");
+const { buildRouterFromOpenAPI } = await import("../router.js");
+const { csvRows, detectFormat, importHandler, parseCsv, parseImport, parseNetscape, parseUrlList, runImport } =
+  await import("../import.js");
+
+const spec = toolsSpec(TOOLS);
+useOpenAPI(spec);
+buildRouterFromOpenAPI(spec);
+
+beforeEach(() => {
+  library = [{ id: "old1", url: "https://old.example/", title: "Old" }];
+  lists = [{ id: "l1", name: "Reading", icon: "📚", parentId: null }];
+  nextId = 0;
+  upstream.calls.length = 0;
+});
+
+const NETSCAPE = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<DL><p>
+  <DT><H3 PERSONAL_TOOLBAR_FOLDER="true">Bookmarks bar</H3>
+  <DL><p>
+    <DT><A HREF="https://a.example/" TAGS="x, y,x">A &amp; B</A>
+    <DT><H3>Dev</H3>
+    <DL><p>
+      <DT><H3>Rust</H3>
+      <DL><p>
+        <DT><A href='https://b.example/?q=1&amp;r=2'>B</A>
+      </DL><p>
+      <DT><A HREF="https://c.example/"></A>
+    </DL><p>
+  </DL><p>
+</DL><p>`;
+
+test("parseNetscape keeps folder paths, tags and titles", () => {
+  assert.deepEqual(parseNetscape(NETSCAPE), [
+    { line: 5, url: "https://a.example/", title: "A & B", tags: ["x", "y"], folder: [] },
+    { line: 10, url: "https://b.example/?q=1&r=2", title: "B", tags: [], folder: ["Dev", "Rust"] },
+    { line: 12, url: "https://c.example/", title: null, tags: [], folder: ["Dev"] },
+  ]);
+});
+
+test("csvRows handles quotes, escaped quotes and newlines in fields", () => {
+  assert.deepEqual(csvRows('a,"b ""c""",d\r\n\r\n"multi\nline",2\n'), [
+    { line: 1, cells: ["a", 'b "c"', "d"] },
+    { line: 3, cells: ["multi\nline", "2"] },
+  ]);
+});
+
+test("parseCsv reads Pocket and Raindrop exports", () => {
+  const pocket = parseCsv("title,url,time_added,tags,status\nRead me,https://p.example/,1700000000,a|b,unread\n");
+  assert.deepEqual(pocket, [{ line: 2, url: "https://p.example/", title: "Read me", tags: ["a", "b"], folder: [] }]);
+
+  const raindrop = parseCsv(
+    'id,title,note,excerpt,url,folder,tags,created\n1,R,,,https://r.example/,Work/Docs,"a, b",2024-01-01\n' +
+      "2,S,,,https://s.example/,Unsorted,,2024-01-02\n"
+  );
+  assert.deepEqual(
+    raindrop.map((e) => [e.folder, e.tags]),
+    [
+      [["Work", "Docs"], ["a", "b"]],
+      [[], []],
+    ]
+  );
+  assert.throws(() => parseCsv("a,b\n1,2"), { name: "ImportError" });
+});
+
+test("parseUrlList skips blank lines and comments", () => {
+  assert.deepEqual(
+    parseUrlList("# saved\nhttps://a.example\n\n  https://b.example  \n").map((e) => [e.line, e.url]),
+    [
+      [2, "https://a.example"],
+      [4, "https://b.example"],
+    ]
+  );
+});
+
+test("detectFormat tells the three formats apart", () => {
+  assert.equal(detectFormat(NETSCAPE), "netscape");
+  assert.equal(detectFormat('"Title","URL"\nx,https://a.example'), "csv");
+  assert.equal(detectFormat("https://a.example\nhttps://b.example"), "urls");
+  assert.equal(parseImport("\uFEFFtitle,url\nx,https://a.example").format, "csv");
+  assert.throws(() => parseImport("x", "pdf"), { name: "ImportError" });
+});
+
+/* ------------------------------------------------------------------ */
+/* runImport and POST /import, against a fake upstream                 */
+/* ------------------------------------------------------------------ */
+
+const EXPORT = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<DL><p>
+  <DT><A HREF="https://old.example">Already there</A>
+  <DT><H3>reading</H3>
+  <DL><p>
+    <DT><A HREF="https://new.example/a" TAGS="rust">A</A>
+    <DT><H3>Later</H3>
+    <DL><p>
+      <DT><A HREF="https://new.example/b">B</A>
+    </DL><p>
+  </DL><p>
+  <DT><A HREF="https://new.example/a?utm_source=feed">A again</A>
+  <DT><A HREF="https://warn.example/" TAGS="bad">W</A>
+  <DT><A HREF="ftp://files.example/">F</A>
+</DL><p>`;
+
+const writes = () => upstream.calls.filter((c) => !["search-bookmarks", "get-lists"].includes(c.tool));
+const callsTo = (tool) => upstream.calls.filter((c) => c.tool === tool).map((c) => c.body);
+
+test("runImport dry run: exists, duplicate, invalid and would_create rows, nothing written", async () => {
+  const { entries, lists: planned, summary } = await runImport(parseNetscape(EXPORT), { dryRun: true });
+
+  assert.deepEqual(
+    entries.map((e) => [e.url, e.status]),
+    [
+      ["https://old.example", "exists"],
+      ["https://new.example/a", "would_create"],
+      ["https://new.example/b", "would_create"],
+      ["https://new.example/a?utm_source=feed", "duplicate"],
+      ["https://warn.example/", "would_create"],
+      ["ftp://files.example/", "invalid"],
+    ]
+  );
+  assert.equal(entries[0].bookmarkId, "old1");
+  assert.equal(entries[5].error.code, "validation");
+  // "reading" is the existing "Reading" list; only "Later" under it is new
+  assert.deepEqual(planned, [{ name: "Later", folder: ["reading", "Later"], status: "would_create" }]);
+  const counts = { entries: 6, created: 0, would_create: 3, exists: 1, duplicate: 1, invalid: 1, failed: 0 };
+  assert.deepEqual(summary, counts);
+  assert.deepEqual(writes(), []);
+});
+
+test("runImport creates bookmarks, resolves folders to lists and reports failed steps as warnings", async () => {
+  const { entries, lists: created, summary } = await runImport(parseNetscape(EXPORT), { tags: ["imported"] });
+
+  const [, a, b, , w] = entries;
+  assert.deepEqual([a.status, b.status, w.status], ["created", "created", "created"]);
+  assert.deepEqual(created, [{ name: "Later", folder: ["reading", "Later"], status: "created", id: "l2" }]);
+  assert.deepEqual(callsTo("create-list"), [{ name: "Later", icon: "📁", parentId: "l1" }]);
+
+  assert.deepEqual(
+    callsTo("add-bookmark-to-list").sort((x, y) => x.listId.localeCompare(y.listId)),
+    [
+      { bookmarkId: a.bookmarkId, listId: "l1" },
+      { bookmarkId: b.bookmarkId, listId: "l2" },
+    ]
+  );
+  const tagged = new Map(callsTo("attach-tag-to-bookmark").map((c) => [c.bookmarkId, c.tagsToAttach]));
+  assert.deepEqual(tagged.get(a.bookmarkId), ["rust", "imported"]);
+  assert.deepEqual(tagged.get(b.bookmarkId), ["imported"]);
+
+  assert.equal(a.warnings, undefined);
+  assert.deepEqual(w.warnings.map((x) => x.step), ["tags"]);
+  const counts = { entries: 6, created: 3, would_create: 0, exists: 1, duplicate: 1, invalid: 1, failed: 0 };
+  assert.deepEqual(summary, counts);
+  assert.equal(callsTo("create-bookmark").length, 3);
+});
+
+test("runImport: an unknown list parent is created too, once for all its bookmarks", async () => {
+  const entries = parseCsv("url,folder\nhttps://x.example/1,Work/Docs\nhttps://x.example/2,Work/Docs\n");
+  const { lists: created } = await runImport(entries);
+  assert.deepEqual(
+    created.map((l) => [l.folder.join("/"), l.status]),
+    [
+      ["Work", "created"],
+      ["Work/Docs", "created"],
+    ]
+  );
+  const docs = created[1].id;
+  assert.deepEqual(callsTo("add-bookmark-to-list").map((c) => c.listId), [docs, docs]);
+});
+
+test("runImport matches AMP URLs to their page on either side, and nothing else", async () => {
+  library.push({ id: "amp1", url: "https://news.example/story/amp", title: "Story (AMP)" });
+  const data = "https://news.example/story\nhttps://news.example/other?amp=1\nhttps://news.example/other\n";
+  const { entries } = await runImport(parseUrlList(data), { dryRun: true });
+  assert.deepEqual(
+    entries.map((e) => [e.status, e.bookmarkId]),
+    [
+      ["exists", "amp1"],
+      ["would_create", undefined],
+      ["duplicate", undefined],
+    ]
+  );
+});
+
+test("POST /import costs a rate-limit token per upstream call it can make", async () => {
+  const auth = { label: "importer", scopes: new Set(["read", "write"]) };
+  const data = "https://r.example/1\nhttps://r.example/2\nhttps://r.example/3\nhttps://r.example/4\n";
+  const foldered = "url,folder\nhttps://r.example/5,Reading/Later\nhttps://r.example/6,Reading\n";
+
+  // The walk and four create-bookmark calls: more than the bucket's four, so the request plus three
+  let res = fakeRes();
+  await importHandler({ body: { data }, query: {}, auth, id: "r1" }, res);
+  assert.equal(res.body.summary.created, 4);
+  // A dry run pays for its reads: the walk and get-lists, the request plus one
+  await importHandler({ body: { data: foldered, dryRun: true }, query: {}, auth, id: "r2" }, (res = fakeRes()));
+  assert.equal(res.body.summary.would_create, 2);
+
+  // The bucket is empty; each 429 says how many calls the import was charged for
+  upstream.calls.length = 0;
+  const charged = async (body) => {
+    await importHandler({ body, query: {}, auth, id: "r3" }, (res = fakeRes()));
+    assert.deepEqual([res.statusCode, res.body.error.code], [429, "rate_limited"]);
+    return Number(res.body.error.message.match(/^(\d+) upstream calls/)[1]);
+  };
+  assert.equal(await charged({ data }), 5);
+  assert.equal(await charged({ data: foldered, dryRun: true }), 2);
+  // The walk, get-lists, create-list for Reading and Reading/Later, then create and list per entry
+  assert.equal(await charged({ data: foldered }), 8);
+  assert.deepEqual(upstream.calls, []);
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createJSONScanner, findJSONValues } from "../json-scan.js";
+
+/** Values and the end() report from feeding `text` in chunks of `size` */
+function scanChunks(text, size) {
+  const values = [];
+  const scanner = createJSONScanner((v) => {
+    values.push(v);
+  });
+  for (let i = 0; i < text.length; i += size) scanner.write(text.slice(i, i + size));
+  return { values, ...scanner.end() };
+}
+
+test("finds every top-level value, skipping prose and scalars", () => {
+  const text = 'two values: {"a":1}, then 42 and "quoted" and [2,{"b":3}] done';
+  assert.deepEqual(findJSONValues(text), [{ a: 1 }, [2, { b: 3 }]]);
+});
+
+test("brackets and escaped quotes inside strings don't count", () => {
+  const text = '{"s":"} ] \\" {"} {"t":"\\\\"}';
+  assert.deepEqual(findJSONValues(text), [{ s: '} ] " {' }, { t: "\\" }]);
+});
+
+test("a candidate that is not JSON is rescanned from just after its opening bracket", () => {
+  assert.deepEqual(findJSONValues('prose {not json} then {"a":1} }'), [{ a: 1 }]);
+  assert.deepEqual(findJSONValues('{outer {"inner":true} outer}'), [{ inner: true }]);
+  assert.deepEqual(findJSONValues('[[ mismatched } {"ok":1}'), [{ ok: 1 }]);
+});
+
+test("an unterminated candidate is rescanned at the end", () => {
+  assert.deepEqual(findJSONValues('{"open": "never closed {"x":1} trailing'), [{ x: 1 }]);
+});
+
+test("deeply nested failures don't overflow the stack", () => {
+  const text = `${"[".repeat(20000)}}{"z":1}`;
+  assert.deepEqual(findJSONValues(text), [{ z: 1 }]);
+});
+
+test("limit stops after that many values", () => {
+  assert.deepEqual(findJSONValues('{"a":1}{"b":2}{"c":3}', { limit: 2 }), [{ a: 1 }, { b: 2 }]);
+});
+
+test("unmatched brackets are skipped, not rescanned: 200 KB of them stays fast", () => {
+  const started = Date.now();
+  assert.deepEqual(findJSONValues(`${"{ ".repeat(100000)}{"a":1}`), [{ a: 1 }]);
+  assert.deepEqual(findJSONValues(`${'{"k": "'.repeat(30000)}`), []);
+  assert.deepEqual(findJSONValues(`${"[".repeat(100000)}${"}".repeat(100000)}`), []);
+  assert.ok(Date.now() - started < 1000, `took ${Date.now() - started} ms`);
+});
+
+test("chunks split anywhere give the same values as one write", () => {
+  const text = 'x {"a": [1, "]\\"", {"b": null}]} y {bad} [{"c": "é"}] {"open": "never closed {"x":1}';
+  const whole = findJSONValues(text);
+  assert.equal(whole.length, 3);
+  for (const size of [1, 2, 3, 7, text.length]) {
+    assert.deepEqual(scanChunks(text, size), { values: whole, exhausted: false }, `chunk size ${size}`);
+  }
+});
+
+test("nested brackets around non-JSON stop at the work budget, and end() says so", () => {
+  const text = `{"early":1} ${"[".repeat(50000)}x${"]".repeat(50000)} {"late":2}`;
+  const started = Date.now();
+  assert.deepEqual(findJSONValues(text), [{ early: 1 }]);
+  assert.ok(Date.now() - started < 1000, `took ${Date.now() - started} ms`);
+  for (const size of [4096, text.length]) {
+    assert.deepEqual(scanChunks(text, size), { values: [{ early: 1 }], exhausted: true }, `chunk size ${size}`);
+  }
+});
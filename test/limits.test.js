@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mapWithConcurrency } from "../limits.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+test("results keep input order whatever order calls finish in", async () => {
+  const out = await mapWithConcurrency([30, 5, 20, 1], 4, async (ms, i) => {
+    await sleep(ms);
+    return `${i}:${ms}`;
+  });
+  assert.deepEqual(out, ["0:30", "1:5", "2:20", "3:1"]);
+});
+
+test("never more than `limit` calls in flight", async () => {
+  let active = 0;
+  let peak = 0;
+  await mapWithConcurrency(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+    peak = Math.max(peak, ++active);
+    await sleep(2);
+    active--;
+  });
+  assert.equal(peak, 3);
+});
+
+test("empty input and a limit below one still work", async () => {
+  assert.deepEqual(await mapWithConcurrency([], 4, async (x) => x), []);
+  assert.deepEqual(await mapWithConcurrency([1, 2], 0, async (x) => x * 2), [2, 4]);
+});
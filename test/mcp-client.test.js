@@ -0,0 +1,141 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { once } from "node:events";
+import { fileURLToPath } from "node:url";
+import { createHttpTransport, createMcpClient, createStdioTransport, toolResultText } from "../mcp-client.js";
+
+const FAKE_SERVER = fileURLToPath(new URL("./fixtures/fake-mcp-server.mjs", import.meta.url));
+
+function stdioClient(...flags) {
+  return createMcpClient(createStdioTransport({ command: process.execPath, args: [FAKE_SERVER, ...flags] }), {
+    timeoutMs: 5000,
+  });
+}
+
+test("stdio: tools/list follows nextCursor", async () => {
+  const client = await stdioClient();
+  try {
+    assert.equal(client.serverInfo.name, "fake");
+    assert.deepEqual(
+      (await client.listTools()).map((t) => t.name),
+      ["search-bookmarks", "get-bookmark", "exit"]
+    );
+  } finally {
+    client.close();
+  }
+});
+
+test("stdio: tools/call results flatten to the tool's text", async () => {
+  const client = await stdioClient();
+  try {
+    const result = await client.callTool("get-bookmark", { bookmarkId: "b1" });
+    assert.equal(toolResultText(result), "Bookmark ID: b1\n  Title: Hello");
+    const missing = await client.callTool("get-bookmark", { bookmarkId: "nope" });
+    assert.equal(missing.isError, true);
+    assert.equal(toolResultText(missing), "Bookmark not found");
+  } finally {
+    client.close();
+  }
+});
+
+test("stdio: a server that exits rejects the call in flight and later ones", async () => {
+  const client = await stdioClient();
+  await assert.rejects(client.callTool("exit", {}), /MCP server exited \(code=3/);
+  assert.ok(client.isClosed());
+  await assert.rejects(client.callTool("get-bookmark", { bookmarkId: "b1" }), /exited/);
+});
+
+test("stdio: writing to a closed stdin rejects instead of crashing on EPIPE", async () => {
+  const transport = createStdioTransport({ command: process.execPath, args: [FAKE_SERVER, "--close-stdin"] });
+  const closed = new Promise((resolve) => transport.onClose(resolve));
+  await new Promise((resolve) => transport.onMessage((m) => m.method === "notifications/stdin_closed" && resolve()));
+  try {
+    const message = { jsonrpc: "2.0", id: 1, method: "tools/list", params: { pad: "x".repeat(256 * 1024) } };
+    await assert.rejects(transport.send(message));
+    assert.match((await closed).message, /stdin/);
+  } finally {
+    transport.close();
+  }
+});
+
+test("streamable HTTP: JSON and SSE answers, session id kept", async () => {
+  const sessions = [];
+  const server = createServer(async (req, res) => {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    const m = JSON.parse(body);
+    sessions.push(req.headers["mcp-session-id"] ?? null);
+    if (m.id == null) {
+      res.writeHead(202).end();
+    } else if (m.method === "initialize") {
+      res.writeHead(200, { "Content-Type": "application/json", "Mcp-Session-Id": "s1" });
+      const result = { serverInfo: { name: "http-fake", version: "1" } };
+      res.end(JSON.stringify({ jsonrpc: "2.0", id: m.id, result }));
+    } else {
+      // tools/call over SSE, with a notification ahead of the response
+      const result = { content: [{ type: "text", text: `called ${m.params.name}` }] };
+      res.writeHead(200, { "Content-Type": "text/event-stream" });
+      res.write(`event: message\ndata: ${JSON.stringify({ jsonrpc: "2.0", method: "notifications/progress" })}\n\n`);
+      res.end(`event: message\ndata: ${JSON.stringify({ jsonrpc: "2.0", id: m.id, result })}\n\n`);
+    }
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  try {
+    const url = `http://127.0.0.1:${server.address().port}/mcp`;
+    const client = await createMcpClient(createHttpTransport({ url }), { timeoutMs: 5000 });
+    assert.equal(client.serverInfo.name, "http-fake");
+    assert.equal(toolResultText(await client.callTool("search-bookmarks", { query: "x" })), "called search-bookmarks");
+    // initialize carries no session; everything after it does
+    assert.deepEqual(sessions, [null, "s1", "s1"]);
+  } finally {
+    server.close();
+  }
+});
+
+/** An MCP endpoint that starts session s1, then answers each tools/call with `onCall(res)` */
+async function httpEndpoint(onCall) {
+  const server = createServer(async (req, res) => {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    const m = JSON.parse(body);
+    if (m.id == null) return res.writeHead(202).end();
+    if (m.method === "initialize") {
+      res.writeHead(200, { "Content-Type": "application/json", "Mcp-Session-Id": "s1" });
+      return res.end(JSON.stringify({ jsonrpc: "2.0", id: m.id, result: { serverInfo: { name: "http-fake" } } }));
+    }
+    onCall(res);
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  return { url: `http://127.0.0.1:${server.address().port}/mcp`, close: () => server.close() };
+}
+
+test("streamable HTTP: a 404 for an expired session closes the transport", async () => {
+  const endpoint = await httpEndpoint((res) => res.writeHead(404).end("Session not found"));
+  try {
+    const client = await createMcpClient(createHttpTransport({ url: endpoint.url }), { timeoutMs: 5000 });
+    await assert.rejects(client.callTool("search-bookmarks", {}), /404/);
+    // getMcpClient() starts a new session once the client is closed
+    assert.ok(client.isClosed());
+    await assert.rejects(client.callTool("search-bookmarks", {}), /404/);
+  } finally {
+    endpoint.close();
+  }
+});
+
+test("streamable HTTP: an endpoint that never answers times out", async () => {
+  const stalled = [];
+  const endpoint = await httpEndpoint((res) => stalled.push(res));
+  try {
+    const transport = createHttpTransport({ url: endpoint.url, timeoutMs: 200 });
+    const client = await createMcpClient(transport, { timeoutMs: 5000 });
+    // The fetch is aborted, well before the client gives up on the call
+    await assert.rejects(client.callTool("search-bookmarks", {}), { name: "AbortError", message: /aborted/ });
+    assert.equal(stalled.length, 1);
+  } finally {
+    for (const res of stalled) res.destroy();
+    endpoint.close();
+  }
+});
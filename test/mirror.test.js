@@ -0,0 +1,186 @@
+import { test, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { karakeepBookmark, startFakeMcpo, toolsSpec } from "./fixtures/fake-mcpo.mjs";
+
+// The upstream library, edited between syncs
+const library = new Map();
+const content = new Map(); // id -> markdown
+
+const TOOLS = {
+  "search-bookmarks": ({ limit = 10, nextCursor }) => {
+    const all = [...library.values()];
+    const start = Number(nextCursor || 0);
+    const next = start + limit < all.length ? String(start + limit) : null;
+    const page = all.slice(start, start + limit).map(karakeepBookmark).join("\n\n");
+    return `${page}\n\nNext cursor: ${next ? `'${next}'` : "no more pages"}`;
+  },
+  "get-bookmark-content": ({ bookmarkId }) =>
+    content.has(bookmarkId) ? content.get(bookmarkId) : { status: 500, text: "upstream exploded" },
+};
+
+const upstream = await startFakeMcpo(TOOLS);
+const dir = mkdtempSync(join(tmpdir(), "mirror-test-"));
+after(() => {
+  upstream.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+Object.assign(process.env, {
+  MCPO_URL: upstream.url,
+  MIRROR_DIR: dir,
+  MIRROR_PAGE_SIZE: "2",
+  MIRROR_SYNC_MS: "0",
+  MIRROR_FULL_SYNC_MS: String(24 * 60 * 60 * 1000),
+  CACHE_ENABLED: "0",
+  RETRY_ATTEMPTS: "0",
+});
+
+const { useOpenAPI } = await import("../openapi.js");
+const { buildRouterFromOpenAPI } = await import("../router.js");
+const { mirrorStatus, searchMirror, syncMirror } = await import("../mirror.js");
+
+const spec = toolsSpec(TOOLS);
+useOpenAPI(spec);
+buildRouterFromOpenAPI(spec);
+
+function addBookmark(b, markdown = `# ${b.title}\n\nAbout ${b.title}.`) {
+  library.set(b.id, { createdAt: "2025-01-01T00:00:00.000Z", tags: [], ...b });
+  content.set(b.id, markdown);
+}
+
+const contentCalls = () =>
+  upstream.calls.filter((c) => c.tool === "get-bookmark-content").map((c) => c.body.bookmarkId);
+const ids = (r) => r.payload.items.map((b) => b.id);
+
+addBookmark({ id: "a", title: "Async Rust", tags: ["rust"], createdAt: "2025-01-01T00:00:00.000Z" });
+addBookmark({ id: "b", title: "Borrow checker", tags: ["rust", "lang"], createdAt: "2025-02-01T00:00:00.000Z" });
+addBookmark({ id: "c", title: "Cast iron pans", tags: ["cooking"], createdAt: "2025-03-01T00:00:00.000Z" });
+
+test("first sync walks every page and fetches all content", async () => {
+  const stats = await syncMirror();
+  assert.equal(stats.mode, "incremental");
+  assert.deepEqual([stats.listed, stats.pages, stats.added, stats.failed], [3, 2, 3, 0]);
+  assert.deepEqual(contentCalls().sort(), ["a", "b", "c"]);
+
+  const stored = JSON.parse(readFileSync(join(dir, "mirror.json"), "utf8"));
+  assert.deepEqual(stored.bookmarks.map((r) => r.bookmark.id).sort(), ["a", "b", "c"]);
+  assert.equal(stored.lastSync.added, 3);
+});
+
+test("an incremental sync refetches only new and changed bookmarks", async () => {
+  upstream.calls.length = 0;
+  library.set("a", { ...library.get("a"), title: "Async Rust, revised" });
+  addBookmark({ id: "d", title: "Dutch oven bread", tags: ["cooking"], createdAt: "2025-04-01T00:00:00.000Z" });
+
+  const stats = await syncMirror();
+  assert.deepEqual([stats.added, stats.updated, stats.unchanged, stats.removed], [1, 1, 2, 0]);
+  assert.deepEqual(contentCalls().sort(), ["a", "d"]);
+  assert.deepEqual(ids(searchMirror({ query: "revised" })), ["a"]);
+});
+
+test("a full sync refetches everything and counts only real changes", async () => {
+  upstream.calls.length = 0;
+  content.set("b", "# Borrow checker\n\nNow with lifetimes.");
+
+  const stats = await syncMirror({ full: true });
+  assert.equal(stats.mode, "full");
+  assert.deepEqual([stats.added, stats.updated, stats.unchanged], [0, 1, 3]);
+  assert.deepEqual(contentCalls().sort(), ["a", "b", "c", "d"]);
+  assert.deepEqual(ids(searchMirror({ query: "lifetimes" })), ["b"]);
+});
+
+test("content edited under unchanged metadata is picked up once a full sync is due", async () => {
+  content.set("c", "# Cast iron pans\n\nSeasoning with flaxseed.");
+  let stats = await syncMirror();
+  assert.equal(stats.mode, "incremental");
+  assert.deepEqual(ids(searchMirror({ query: "flaxseed" })), []);
+
+  mock.timers.enable({ apis: ["Date"], now: Date.now() + 24 * 60 * 60 * 1000 });
+  try {
+    stats = await syncMirror();
+  } finally {
+    mock.timers.reset();
+  }
+  assert.equal(stats.mode, "full");
+  assert.equal(stats.updated, 1);
+  assert.deepEqual(ids(searchMirror({ query: "flaxseed" })), ["c"]);
+  assert.equal(mirrorStatus().lastFullSync, JSON.parse(readFileSync(join(dir, "mirror.json"), "utf8")).lastFullSync);
+});
+
+test("bookmarks gone upstream are dropped from the mirror and the index", async () => {
+  library.delete("c");
+  const stats = await syncMirror();
+  assert.equal(stats.removed, 1);
+  assert.equal(mirrorStatus().bookmarks, 3);
+  assert.deepEqual(ids(searchMirror({ query: "cast iron" })), []);
+});
+
+test("a failed content fetch keeps the old content and is retried next time", async () => {
+  library.set("d", { ...library.get("d"), title: "Dutch oven bread, v2" });
+  content.delete("d");
+  let stats = await syncMirror();
+  assert.equal(stats.failed, 1);
+  assert.deepEqual(ids(searchMirror({ query: "v2" })), ["d"]);
+
+  upstream.calls.length = 0;
+  content.set("d", "# Dutch oven bread\n\nSourdough.");
+  stats = await syncMirror();
+  assert.deepEqual(contentCalls(), ["d"]);
+  assert.deepEqual(ids(searchMirror({ query: "sourdough" })), ["d"]);
+});
+
+test("a sync whose save fails leaves the mirror as it was", async () => {
+  const before = searchMirror({});
+  library.delete("a");
+  addBookmark({ id: "e", title: "Escargot", tags: ["cooking"] });
+  // A directory in the way of the store's rename
+  const blocker = join(dir, "mirror.json");
+  rmSync(blocker);
+  mkdirSync(blocker);
+  try {
+    await assert.rejects(syncMirror());
+    assert.deepEqual(searchMirror({}), before);
+    assert.deepEqual(ids(searchMirror({ query: "escargot" })), []);
+    assert.deepEqual(ids(searchMirror({ query: "async" })), ["a"]);
+    assert.match(mirrorStatus().lastError, /EISDIR|EEXIST|ENOTEMPTY|EPERM/);
+  } finally {
+    rmSync(blocker, { recursive: true });
+  }
+  const stats = await syncMirror();
+  assert.deepEqual([stats.added, stats.removed], [1, 1]);
+  assert.deepEqual(ids(searchMirror({ query: "escargot" })), ["e"]);
+});
+
+test("searchMirror filters by tag, type and creation date", async () => {
+  addBookmark({ id: "f", title: "Fermentation", tags: ["Cooking"], type: "text" });
+  await syncMirror();
+  assert.deepEqual(ids(searchMirror({ tags: ["cooking"] })).sort(), ["d", "e", "f"]);
+  assert.deepEqual(ids(searchMirror({ tags: ["rust", "lang"] })), ["b"]);
+  assert.deepEqual(ids(searchMirror({ type: "text" })), ["f"]);
+  assert.deepEqual(ids(searchMirror({ createdAfter: "2025-02-01", createdBefore: "2025-04-01" })), ["b"]);
+  const bad = searchMirror({ createdAfter: "someday" });
+  assert.deepEqual([bad.status, bad.payload.error.details[0].loc], [422, ["body", "createdAfter"]]);
+});
+
+test("searchMirror pages with nextCursor; without a query, newest first", () => {
+  const first = searchMirror({ limit: 2 });
+  assert.deepEqual(ids(first), ["d", "b"]);
+  assert.deepEqual([first.payload.total, first.payload.hasMore, first.payload.nextCursor], [4, true, "2"]);
+
+  const last = searchMirror({ limit: 2, nextCursor: first.payload.nextCursor });
+  assert.deepEqual(ids(last).sort(), ["e", "f"]);
+  assert.equal(last.payload.hasMore, false);
+  assert.equal("nextCursor" in last.payload, false);
+
+  const bad = searchMirror({ nextCursor: "abc" });
+  assert.deepEqual([bad.status, bad.payload.error.details[0].loc], [422, ["body", "nextCursor"]]);
+});
+
+test("ranked results carry a score and a highlighted snippet", () => {
+  const [hit] = searchMirror({ query: "sourdough" }).payload.items;
+  assert.equal(hit.id, "d");
+  assert.equal(typeof hit.score, "number");
+  assert.match(hit.snippet, /sourdough/i);
+});
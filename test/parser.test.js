@@ -0,0 +1,107 @@
+// Parser regression suite.
+//
+// Every test/fixtures/parser/<name>.txt is an upstream response body exactly
+// as mcpo returned it (capture new ones with SHIM_RECORD_FILE; the `text` of
+// a recorded call is what goes in the file). It runs through the same steps
+// router.js uses, the tool's transformer included, and must match
+// <name>.expected.json: the parser branch that fired plus the payload clients
+// get. Fixtures are search-bookmarks output unless listed in FIXTURE_TOOLS.
+//
+// After an intended parser change, regenerate and review the diff:
+//   UPDATE_GOLDEN=1 npm test
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readdirSync, readFileSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import {
+  PARSER_BRANCHES,
+  input2JSON,
+  parseKVBlocks,
+  parseToolResponse,
+  stripDebugBlocks,
+  unwrapText,
+} from "../parser.js";
+import { normalizeToolPayload, transformerFor } from "../transformers.js";
+
+const FIXTURES = join(import.meta.dirname, "fixtures", "parser");
+const UPDATE = process.env.UPDATE_GOLDEN === "1";
+
+const FIXTURE_TOOLS = {
+  "markdown-checkboxes": "/get-bookmark-content",
+};
+
+/** router.js runOnce minus the upstream call and error classification */
+async function runPipeline(path, text) {
+  const info = {};
+  const clean = stripDebugBlocks(text);
+  const parsed = parseToolResponse(clean, info) || input2JSON(clean, info);
+  const transformer = transformerFor(path);
+  const payload = transformer
+    ? await transformer.transform(parsed, { path, tool: path.slice(1), body: {}, query: {}, text: unwrapText(clean) })
+    : normalizeToolPayload(parsed);
+  if (payload && typeof payload === "object" && payload.nextCursor == null) delete payload.nextCursor;
+  return { branch: info.branch, payload: payload ?? null };
+}
+
+for (const file of readdirSync(FIXTURES).filter((f) => f.endsWith(".txt")).sort()) {
+  const name = file.slice(0, -".txt".length);
+  test(`golden: ${name}`, async () => {
+    const path = FIXTURE_TOOLS[name] || "/search-bookmarks";
+    const actual = await runPipeline(path, readFileSync(join(FIXTURES, file), "utf8"));
+    const expectedFile = join(FIXTURES, `${name}.expected.json`);
+    if (UPDATE) writeFileSync(expectedFile, `${JSON.stringify(actual, null, 2)}\n`);
+    assert.ok(PARSER_BRANCHES.includes(actual.branch), `unknown branch ${actual.branch}`);
+    assert.deepEqual(actual, JSON.parse(readFileSync(expectedFile, "utf8")));
+  });
+}
+
+test("parseKVBlocks: indented keys stay with their item, top-level keys start a new one", () => {
+  const out = parseKVBlocks("Bookmark ID: a\n  Title: One\nBookmark ID: b\n  Title: Two");
+  assert.deepEqual(out, {
+    items: [
+      { Bookmark_ID: "a", Title: "One" },
+      { Bookmark_ID: "b", Title: "Two" },
+    ],
+    cursor: null,
+    hasMore: false,
+  });
+});
+
+test("parseKVBlocks: tags are split on commas, empty ones dropped", () => {
+  const { items } = parseKVBlocks("Tags: a, b ,, c,");
+  assert.deepEqual(items[0].Tags, ["a", "b", "c"]);
+});
+
+test("parseKVBlocks: cursor variants", () => {
+  assert.deepEqual(parseKVBlocks("Next cursor: '20'"), { items: [], cursor: "20", hasMore: true });
+  for (const last of ["no more pages", "null", "none", "''", ""]) {
+    const out = parseKVBlocks(`Bookmark ID: a\nNext cursor: ${last}`);
+    assert.deepEqual(out, { items: [{ Bookmark_ID: "a" }], cursor: null, hasMore: false }, last);
+  }
+  assert.equal(parseKVBlocks("Next cursor: 0").hasMore, false);
+});
+
+test("parseKVBlocks: text without key/value lines is not a match", () => {
+  assert.equal(parseKVBlocks("just some prose\nacross lines"), null);
+});
+
+test("stripDebugBlocks removes every <details> block, nested tags included", () => {
+  const text = 'a<details open><summary>x</summary>{"k":1}</details>b<DETAILS>\nmore\n</DETAILS>c';
+  assert.equal(stripDebugBlocks(text), "abc");
+});
+
+test("parseToolResponse digs the payload out of an envelope object's result", () => {
+  const info = {};
+  const envelope = { result: JSON.stringify(JSON.stringify({ items: [{ id: "bm5" }], nextCursor: "abc" })) };
+  assert.deepEqual(parseToolResponse(envelope, info), { items: [{ id: "bm5" }], nextCursor: "abc" });
+  assert.equal(info.branch, "envelope_result");
+});
+
+test("parseToolResponse falls back to sources[].document when result is empty", () => {
+  const info = {};
+  const doc = JSON.stringify(JSON.stringify({ items: [{ Bookmark_ID: "bm6" }], cursor: "c6" }));
+  const envelope = { result: "", sources: [{ document: [null, doc] }] };
+  assert.deepEqual(parseToolResponse(envelope, info), { items: [{ Bookmark_ID: "bm6" }], cursor: "c6" });
+  assert.equal(info.branch, "sources_document");
+});
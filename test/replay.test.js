@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createReplayStore, loadRecording } from "../replay.js";
+
+const call = (path, body, text, status = 200) => ({ kind: "call", method: "post", path, body, query: {}, status, text });
+
+test("loadRecording keeps the last spec and skips unreadable lines", () => {
+  const lines = [
+    JSON.stringify({ kind: "spec", spec: { info: { version: "1" } } }),
+    JSON.stringify(call("/get-lists", {}, '"a"')),
+    "{not json",
+    JSON.stringify({ kind: "something-else" }),
+    "",
+    JSON.stringify({ kind: "spec", spec: { info: { version: "2" } } }),
+  ];
+  const rec = loadRecording(lines.join("\n"));
+  assert.equal(rec.spec.info.version, "2");
+  assert.equal(rec.calls.length, 1);
+  assert.equal(rec.skipped, 2);
+});
+
+test("identical calls are answered in recorded order, then the last answer repeats", () => {
+  const store = createReplayStore([call("/get-lists", {}, '"first"'), call("/get-lists", {}, '"second"')]);
+  assert.equal(store.next("POST", "/get-lists", {}, {}).text, '"first"');
+  assert.equal(store.next("post", "/get-lists", {}, {}).text, '"second"');
+  assert.equal(store.next("post", "/get-lists", {}, {}).text, '"second"');
+});
+
+test("bodies match regardless of key order", () => {
+  const store = createReplayStore([call("/search-bookmarks", { query: "x", limit: 2 }, '"hit"')]);
+  assert.equal(store.next("post", "/search-bookmarks", { limit: 2, query: "x" }, {}).text, '"hit"');
+});
+
+test("a call with no recording misses, unless loose mode falls back to the path", () => {
+  const calls = [
+    call("/get-bookmark", { bookmarkId: "a" }, '"a"'),
+    call("/get-bookmark", { bookmarkId: "b" }, '"b"', 404),
+  ];
+  assert.equal(createReplayStore(calls).next("post", "/get-bookmark", { bookmarkId: "c" }, {}), null);
+
+  const loose = createReplayStore(calls, { loose: true });
+  assert.deepEqual(loose.next("post", "/get-bookmark", { bookmarkId: "c" }, {}), { status: 404, text: '"b"' });
+  assert.equal(loose.next("post", "/get-lists", {}, {}), null);
+});
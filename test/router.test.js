@@ -0,0 +1,108 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import express from "express";
+import { karakeepBookmark, startFakeMcpo, toolsSpec } from "./fixtures/fake-mcpo.mjs";
+
+const library = [{ id: "a1", url: "https://example.com/post", title: "Post" }];
+let pageSize = Infinity; // of search-bookmarks answers
+
+const TOOLS = {
+  "search-bookmarks": ({ nextCursor }) => {
+    const start = Number(nextCursor || 0);
+    const next = start + pageSize < library.length ? `'${start + pageSize}'` : "no more pages";
+    return `${library.slice(start, start + pageSize).map(karakeepBookmark).join("\n\n")}\n\nNext cursor: ${next}`;
+  },
+  "create-bookmark": ({ content }) => {
+    const b = { id: `new${library.length}`, url: content };
+    library.push(b);
+    return karakeepBookmark(b);
+  },
+};
+
+const upstream = await startFakeMcpo(TOOLS);
+after(() => upstream.close());
+Object.assign(process.env, {
+  MCPO_URL: upstream.url,
+  RATE_LIMIT_RPS: "0.001",
+  RATE_LIMIT_BURST: "4",
+  DEDUPE_MAX_PAGES: "2",
+});
+
+const { useOpenAPI } = await import("../openapi.js");
+const { buildRouterFromOpenAPI, onToolWrite, runTool, toolCalls } = await import("../router.js");
+const { rateLimit } = await import("../limits.js");
+
+const spec = toolsSpec(TOOLS);
+useOpenAPI(spec);
+const app = express().use(express.json(), rateLimit, buildRouterFromOpenAPI(spec));
+const server = app.listen(0, "127.0.0.1");
+await once(server, "listening");
+after(() => server.close());
+const shimUrl = `http://127.0.0.1:${server.address().port}`;
+
+const writes = [];
+onToolWrite((w) => writes.push(w));
+
+const search = () => runTool("/search-bookmarks", { body: { query: "post" } });
+const create = (url) => runTool("/create-bookmark", { body: { type: "link", content: url } });
+
+test("create-bookmark answering with an existing bookmark announces nothing and keeps the cache", async () => {
+  assert.equal((await search()).cache, "miss");
+  assert.equal((await search()).cache, "hit");
+
+  const { status, payload } = await create("http://www.example.com/post/?utm_source=feed");
+  assert.equal(status, 200);
+  assert.deepEqual([payload.id, payload.existing], ["a1", true]);
+  assert.deepEqual(writes, []);
+  assert.equal(upstream.calls.filter((c) => c.tool === "create-bookmark").length, 0);
+  assert.equal((await search()).cache, "hit");
+});
+
+test("a real create is announced and invalidates cached searches", async () => {
+  const { payload } = await create("https://example.com/fresh");
+  assert.equal(payload.existing, undefined);
+  assert.deepEqual(writes.map((w) => [w.path, w.payload.id]), [["/create-bookmark", payload.id]]);
+  assert.equal((await search()).cache, "miss");
+});
+
+test("the duplicate check reads at most DEDUPE_MAX_PAGES pages, then creates anyway", async () => {
+  for (let i = 0; i < 4; i++) library.push({ id: `other${i}`, url: `https://example.com/other/${i}` });
+  pageSize = 2;
+  upstream.calls.length = 0;
+  try {
+    const { payload } = await create("https://example.com/other/3?utm_source=feed");
+    assert.equal(payload.existing, undefined);
+    assert.equal(upstream.calls.filter((c) => c.tool === "search-bookmarks").length, 2);
+    assert.equal(upstream.calls.filter((c) => c.tool === "create-bookmark").length, 1);
+
+    // A match within those pages is still found
+    upstream.calls.length = 0;
+    assert.deepEqual((await create("https://example.com/other/0")).payload.existing, true);
+    assert.equal(upstream.calls.filter((c) => c.tool === "search-bookmarks").length, 2);
+  } finally {
+    pageSize = Infinity;
+  }
+});
+
+test("a search costs a rate-limit token per upstream call it may make", async () => {
+  assert.equal(toolCalls("/search-bookmarks", { query: "post" }), 1);
+  assert.equal(toolCalls("/search-bookmarks", { query: "post", all: true, maxPages: 3 }), 3);
+  assert.equal(toolCalls("/search-bookmarks", { query: "post", includeContent: true, contentItems: 2 }), 3);
+  assert.equal(toolCalls("/create-bookmark", { type: "link", content: "https://example.com/x" }), 1);
+
+  // A burst of 4 covers one search of up to four pages, not two
+  const search = () =>
+    fetch(`${shimUrl}/search-bookmarks`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ query: "post", all: true, maxPages: 4 }),
+    });
+  assert.equal((await search()).status, 200);
+  const before = upstream.calls.length;
+  const limited = await search();
+  assert.equal(limited.status, 429);
+  assert.equal((await limited.json()).error.code, "rate_limited");
+  assert.ok(Number(limited.headers.get("retry-after")) >= 1);
+  assert.equal(upstream.calls.length, before);
+});
@@ -0,0 +1,16 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildShimSpec, toJSONSchema } from "../spec.js";
+import { toolsSpec } from "./fixtures/fake-mcpo.mjs";
+
+test("ShimToolResult branches may overlap, so they are anyOf, not oneOf", () => {
+  // A tool without a transformer is published with ShimToolResult, also as its MCP outputSchema
+  const spec = buildShimSpec(toolsSpec({ "some-new-tool": () => "" }));
+  const schema = toJSONSchema(
+    spec.paths["/some-new-tool"].post.responses["200"].content["application/json"].schema,
+    spec
+  );
+  assert.equal(schema.oneOf, undefined);
+  assert.equal(schema.anyOf.length, 3);
+  assert.deepEqual(schema.anyOf[2], { type: "object", additionalProperties: true });
+});
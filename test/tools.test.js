@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { baseToolName, isTool, squashToolName, toolAccess } from "../tools.js";
+import { cacheGet, cacheKey, cacheSet, invalidateFor, ttlFor } from "../cache.js";
+
+// The same tools as KaraKeep names them and as mcpo may publish them
+const SHAPES = [
+  {
+    get: "/get-lists",
+    search: "/search-bookmarks",
+    content: "/get-bookmark-content",
+    create: "/create-bookmark",
+    createList: "/create-list",
+  },
+  {
+    get: "/karakeep/tool_get_lists_post",
+    search: "/karakeep/tool_search_bookmarks_post",
+    content: "/karakeep/tool_get_bookmark_content_post",
+    create: "/karakeep/tool_create_bookmark_post",
+    createList: "/karakeep/tool_create_list_post",
+  },
+];
+
+test("tool names lose mcpo's wrapper", () => {
+  assert.equal(baseToolName("/karakeep/tool_get_lists_post"), "get_lists");
+  assert.equal(baseToolName("/get-lists"), "get-lists");
+  assert.equal(squashToolName("/tool_get_lists_post"), squashToolName("get-lists"));
+  assert.ok(isTool("/tool_search_bookmarks_post", "search-bookmarks"));
+});
+
+test("toolAccess classifies both path shapes alike", () => {
+  for (const paths of SHAPES) {
+    assert.equal(toolAccess(paths.get), "read", paths.get);
+    assert.equal(toolAccess(paths.search), "read", paths.search);
+    assert.equal(toolAccess(paths.content), "read", paths.content);
+    assert.equal(toolAccess(paths.create), "write", paths.create);
+  }
+  assert.equal(toolAccess("/local-search"), "read");
+  assert.equal(toolAccess("/attach-tag-to-bookmark"), "write");
+  // Not a read just because a wrapper starts with "tool_"
+  assert.equal(toolAccess("/tool_getaway_post"), "write");
+});
+
+test("CACHE_TTLS apply to both path shapes", () => {
+  for (const paths of SHAPES) {
+    assert.equal(ttlFor(paths.search), 30000, paths.search);
+    assert.equal(ttlFor(paths.get), 60000, paths.get);
+    assert.equal(ttlFor(paths.create), 0, paths.create);
+  }
+});
+
+test("writes invalidate by rule on both path shapes", () => {
+  for (const paths of SHAPES) {
+    const search = cacheKey(paths.search, { body: { query: "" } });
+    const lists = cacheKey(paths.get, {});
+    cacheSet(search, paths.search, { query: "" }, { status: 200, payload: { items: [] } }, 60000);
+    cacheSet(lists, paths.get, {}, { status: 200, payload: { lists: [] } }, 60000);
+    // create-bookmark makes search pages stale, not the list tree
+    invalidateFor(paths.create, { url: "https://example.com/" });
+    assert.equal(cacheGet(search), null, paths.create);
+    assert.ok(cacheGet(lists), paths.create);
+    invalidateFor(paths.createList, { name: "Reading" });
+    assert.equal(cacheGet(lists), null);
+  }
+});
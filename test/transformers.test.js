@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compileTransformers, nestLists, registerTransformer, transformerFor } from "../transformers.js";
+
+const run = (tool, parsed, ctx = {}) =>
+  transformerFor(`/${tool}`).transform(parsed, { path: `/${tool}`, tool, body: {}, query: {}, text: "", ...ctx });
+
+test("get-lists nests lists under their parents", () => {
+  const parsed = {
+    items: [
+      { List_ID: "a", Name: "Top", Icon: "📚", Parent_ID: "" },
+      { List_ID: "b", Name: "Child", Icon: "x", Parent_ID: "a" },
+      { List_ID: "c", Name: "Grandchild", Parent_ID: "b" },
+      { List_ID: "d", Name: "Orphan", Parent_ID: "gone" },
+    ],
+    cursor: null,
+    hasMore: false,
+  };
+  const { lists } = run("get-lists", parsed);
+  assert.deepEqual(lists.map((l) => l.id), ["a", "d"]);
+  assert.equal(lists[0].children[0].id, "b");
+  assert.equal(lists[0].children[0].children[0].name, "Grandchild");
+  assert.equal(lists[1].parentId, "gone");
+});
+
+test("nestLists keeps lists whose parents form a loop at the top level", () => {
+  const roots = nestLists([
+    { id: "a", parentId: "b" },
+    { id: "b", parentId: "a" },
+    { id: "c", parentId: "a" },
+  ]);
+  assert.deepEqual(roots.map((l) => l.id), ["a", "b"]);
+  assert.deepEqual(roots[0].children.map((l) => l.id), ["c"]);
+});
+
+test("get-lists: empty upstream text is no lists, other text doesn't fit", () => {
+  assert.deepEqual(run("get-lists", { text: "" }, { text: "" }), { lists: [] });
+  assert.equal(run("get-lists", { text: "something else" }, { text: "something else" }), null);
+});
+
+test("get-bookmark returns the requested bookmark as one canonical object", () => {
+  const parsed = { items: [{ Bookmark_ID: "x" }, { Title: "X" }, { Bookmark_ID: "y" }, { Title: "Y" }] };
+  const bookmark = run("get-bookmark", parsed, { body: { bookmarkId: "y" } });
+  assert.equal(bookmark.id, "y");
+  assert.equal(bookmark.title, "Y");
+  assert.equal(run("get-bookmark", { id: "z", title: "JSON shape" }).title, "JSON shape");
+  assert.equal(run("get-bookmark", { text: "no bookmark here" }), null);
+});
+
+test("get-bookmark-content keeps the Markdown even when it looks like KV text", () => {
+  const text = "# Notes\nAuthor: me\nTags: not, tags";
+  const parsed = { items: [{ Author: "me" }], hasMore: false };
+  assert.deepEqual(run("get-bookmark-content", parsed, { text, body: { bookmarkId: "b1" } }), {
+    bookmarkId: "b1",
+    markdown: text,
+  });
+  assert.equal(run("get-bookmark-content", { result: '"# From envelope"' }).markdown, "# From envelope");
+});
+
+test("tag and list tools become { ok, message }", () => {
+  const text = " Bookmark b1 has been added to list l1\n";
+  assert.deepEqual(run("add-bookmark-to-list", { text }, { text }), {
+    ok: true,
+    message: "Bookmark b1 has been added to list l1",
+  });
+});
+
+test("lookup by operationId, path or tool name, exact or squashed", () => {
+  assert.equal(transformerFor("/karakeep/tool_get_lists_post").key, "get-lists");
+  assert.equal(transformerFor("/x", "tool_search_bookmarks_post").key, "search-bookmarks");
+  assert.equal(transformerFor("/some-other-tool"), null);
+
+  compileTransformers({ paths: { "/renamed": { post: { operationId: "tool_create_list_post" } } } });
+  assert.equal(transformerFor("/renamed").key, "create-list");
+  compileTransformers({ paths: {} });
+});
+
+test("user transformers are tried before built-ins, and are validated", () => {
+  registerTransformer("get_bookmark", () => ({ mine: true }), "test-module");
+  assert.equal(transformerFor("/get-bookmark").source, "test-module");
+  assert.throws(() => registerTransformer("bad", { schema: "ShimText" }, "test-module"), /transform function/);
+});
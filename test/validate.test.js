@@ -0,0 +1,88 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeMcpo, toolsSpec } from "./fixtures/fake-mcpo.mjs";
+import { compileValidator } from "../validate.js";
+
+const schema = {
+  type: "object",
+  properties: {
+    bookmarkId: { type: "string", pattern: "^[a-z0-9]+$" },
+    limit: { type: "integer", minimum: 1, maximum: 100 },
+    ratio: { type: "number" },
+    archived: { type: "boolean" },
+    nextCursor: { type: "string" },
+    note: { type: ["string", "null"] },
+    tags: { type: "array", items: { type: "string", minLength: 1 }, maxItems: 2 },
+    kind: { enum: ["link", "text"] },
+  },
+  required: ["bookmarkId"],
+  additionalProperties: false,
+};
+const validate = compileValidator(schema);
+
+test("safe coercions: numeric and boolean strings, trimmed IDs, null for optional fields", () => {
+  const body = { bookmarkId: " abc1 ", limit: "10", ratio: "0.5", archived: "TRUE", nextCursor: null, note: null };
+  const r = validate(body);
+  assert.equal(r.ok, true);
+  assert.deepEqual(r.value, { bookmarkId: "abc1", limit: 10, ratio: 0.5, archived: true, note: null });
+});
+
+test("no coercion where it would change the meaning", () => {
+  const r = validate({ bookmarkId: "abc", limit: "1.5", archived: "yes" });
+  assert.deepEqual(r.value, { bookmarkId: "abc", limit: "1.5", archived: "yes" });
+  assert.deepEqual(
+    r.errors.map((e) => [e.loc, e.type]),
+    [
+      [["body", "limit"], "type_error"],
+      [["body", "archived"], "type_error"],
+    ]
+  );
+});
+
+test("errors come in FastAPI's shape, one per field", () => {
+  const r = validate({ limit: 0, tags: ["a", "", "c"], kind: "video", extra: 1 });
+  assert.equal(r.ok, false);
+  assert.deepEqual(
+    r.errors.map((e) => [e.loc, e.type]),
+    [
+      [["body", "bookmarkId"], "missing"],
+      [["body", "limit"], "greater_than_equal"],
+      [["body", "tags"], "too_long"],
+      [["body", "tags", 1], "string_too_short"],
+      [["body", "kind"], "enum"],
+      [["body", "extra"], "extra_forbidden"],
+    ]
+  );
+  for (const e of r.errors) assert.equal(typeof e.msg, "string");
+});
+
+test("patterns are checked, and compiled along with the validator", () => {
+  assert.deepEqual(
+    validate({ bookmarkId: "ABC" }).errors.map((e) => e.type),
+    ["string_pattern_mismatch"]
+  );
+  assert.equal(validate({ bookmarkId: "abc" }).ok, true);
+  assert.throws(() => compileValidator({ type: "string", pattern: "(" }), SyntaxError);
+});
+
+test("a body that fails validation is a 422 with details, and never reaches upstream", async () => {
+  const upstream = await startFakeMcpo({ "get-bookmark": () => "" });
+  after(() => upstream.close());
+  process.env.MCPO_URL = upstream.url;
+  const { buildRouterFromOpenAPI, runTool } = await import("../router.js");
+  const spec = toolsSpec({ "get-bookmark": null });
+  spec.components.schemas["get-bookmark_form_model"] = {
+    type: "object",
+    properties: { bookmarkId: { type: "string" } },
+    required: ["bookmarkId"],
+  };
+  buildRouterFromOpenAPI(spec);
+
+  const { status, payload } = await runTool("/get-bookmark", { body: { bookmarkId: 5 }, requestId: "r1" });
+  assert.equal(status, 422);
+  assert.deepEqual([payload.error.code, payload.error.requestId], ["validation", "r1"]);
+  assert.deepEqual(payload.error.details, [
+    { loc: ["body", "bookmarkId"], msg: "Input should be of type string", type: "type_error" },
+  ]);
+  assert.equal(upstream.calls.length, 0);
+});
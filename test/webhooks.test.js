@@ -0,0 +1,283 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac, randomUUID } from "node:crypto";
+import { createServer } from "node:http";
+import { once } from "node:events";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { setTimeout as sleep } from "node:timers/promises";
+import { fakeRes } from "./fixtures/fake-mcpo.mjs";
+
+const event = {
+  id: "ev1",
+  type: "bookmark.created",
+  createdAt: "2025-01-01T00:00:00.000Z",
+  data: { bookmarkId: "b1", bookmark: { id: "b1", url: "https://example.com/a", title: "A post" } },
+  source: { tool: "create-bookmark", client: null, requestId: "r1" },
+};
+
+/** A receiver answering `statuses` in turn (200 once they run out), recording each request */
+async function receiver(statuses = []) {
+  const requests = [];
+  const server = createServer(async (req, res) => {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    requests.push({ headers: req.headers, body, at: Date.now() });
+    res.statusCode = statuses.shift() ?? 200;
+    res.end();
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, statuses, requests, close: () => server.close() };
+}
+
+// Two subscriptions for the outbox tests; a test makes one fail by queueing statuses on its receiver
+const hooks = { a: await receiver(), b: await receiver() };
+const dir = mkdtempSync(join(tmpdir(), "webhooks-test-"));
+after(() => {
+  for (const r of Object.values(hooks)) r.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+const BASE_MS = 200;
+Object.assign(process.env, {
+  SHIM_WEBHOOKS: JSON.stringify(Object.entries(hooks).map(([label, r]) => ({ label, url: r.url, secret: "s" }))),
+  WEBHOOK_DIR: dir,
+  WEBHOOK_MAX_ATTEMPTS: "3",
+  WEBHOOK_RETRY_BASE_MS: String(BASE_MS),
+  WEBHOOK_RETRY_MAX_MS: String(BASE_MS * 4),
+});
+
+// What a previous run left queued: one delivery to "a", one to a subscription since removed
+const queued = (subscription, id) => ({
+  id: randomUUID(),
+  subscription,
+  event: { ...event, id },
+  attempts: 1,
+  nextAttemptAt: Date.now(),
+  lastError: "HTTP 502",
+  lastStatus: 502,
+});
+const leftOver = queued("a", "left-over");
+writeFileSync(
+  join(dir, "outbox.json"),
+  JSON.stringify({ version: 1, pending: [leftOver, queued("gone", "orphan")], failed: [] })
+);
+
+const {
+  backoffMs,
+  deliver,
+  eventText,
+  matchesEvent,
+  parseSubscriptions,
+  signBody,
+  startWebhooks,
+  webhooksHandler,
+  webhooksPingHandler,
+  webhooksRetryHandler,
+  webhooksStatus,
+} = await import("../webhooks.js");
+
+async function waitFor(check, what, ms = 5000) {
+  const until = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > until) throw new Error(`timed out waiting for ${what}`);
+    await sleep(5);
+  }
+}
+
+const stored = () => JSON.parse(readFileSync(join(dir, "outbox.json"), "utf8"));
+const eventIds = (r) => r.requests.map((req) => JSON.parse(req.body).id);
+const idle = () => waitFor(() => webhooksStatus().pending === 0 && stored().pending.length === 0, "an empty outbox");
+
+function ping() {
+  const res = fakeRes();
+  webhooksPingHandler({ id: "r1" }, res);
+  assert.equal(res.statusCode, 202);
+  return res.body.eventId;
+}
+
+function admin() {
+  const res = fakeRes();
+  webhooksHandler({}, res);
+  return res.body;
+}
+
+function reset() {
+  for (const r of Object.values(hooks)) r.requests.length = 0;
+}
+
+test("signBody signs '<timestamp>.<body>' with HMAC-SHA256", () => {
+  const mac = createHmac("sha256", "s3cret").update('1700000000.{"a":1}').digest("hex");
+  assert.equal(signBody("s3cret", '{"a":1}', 1700000000), `t=1700000000,v1=${mac}`);
+});
+
+test("matchesEvent takes exact types, prefixes and *", () => {
+  assert.ok(matchesEvent(["*"], "list.created"));
+  assert.ok(matchesEvent(["bookmark.*"], "bookmark.tags_attached"));
+  assert.ok(matchesEvent(["list.created"], "list.created"));
+  assert.ok(!matchesEvent(["bookmark.*"], "list.created"));
+  assert.ok(!matchesEvent(["bookmark.created"], "bookmark.tags_attached"));
+});
+
+test("parseSubscriptions fills defaults and rejects bad entries", () => {
+  const [sub] = parseSubscriptions(JSON.stringify([{ url: "https://hooks.example/x", secret: "s" }]), "test");
+  assert.deepEqual(sub, { label: "webhook#0", url: "https://hooks.example/x", secret: "s", events: ["*"], format: "event" });
+
+  const bad = [
+    [{}, /not a URL/],
+    [{ url: "ftp://hooks.example/", secret: "s" }, /http\(s\)/],
+    [{ url: "https://hooks.example/" }, /secret/],
+    [{ url: "https://hooks.example/", secret: "s", events: ["bookmark.deleted"] }, /unknown events bookmark\.deleted/],
+    [{ url: "https://hooks.example/", secret: "s", format: "xml" }, /format/],
+  ];
+  for (const [entry, message] of bad) {
+    assert.throws(() => parseSubscriptions(JSON.stringify([entry]), "test"), message);
+  }
+  const twice = { label: "a", url: "https://hooks.example/", secret: "s" };
+  assert.throws(() => parseSubscriptions(JSON.stringify([twice, twice]), "test"), /duplicate label/);
+  assert.throws(() => parseSubscriptions("{}", "test"), /JSON array/);
+});
+
+test("backoffMs doubles per attempt, with jitter, up to the cap", () => {
+  for (let i = 0; i < 50; i++) {
+    const first = backoffMs(0, { base: 1000, max: 60000 });
+    assert.ok(first >= 500 && first <= 1000);
+    const third = backoffMs(2, { base: 1000, max: 60000 });
+    assert.ok(third >= 2000 && third <= 4000);
+    const capped = backoffMs(20, { base: 1000, max: 60000 });
+    assert.ok(capped >= 30000 && capped <= 60000);
+  }
+});
+
+test("eventText describes the event in one line", () => {
+  assert.equal(eventText(event), 'Bookmark saved: "A post" <https://example.com/a>');
+  assert.equal(
+    eventText({ type: "bookmark.tags_attached", data: { bookmarkId: "b2", bookmark: null, tags: ["x", "y"] } }),
+    "Tagged b2 with x, y"
+  );
+});
+
+test("deliver POSTs the signed event", async () => {
+  const r = await receiver();
+  try {
+    const sub = { label: "t", url: r.url, secret: "s3cret", events: ["*"], format: "event" };
+    const result = await deliver(sub, { id: "d1", event });
+    assert.deepEqual(result, { ok: true, status: 200 });
+
+    const [{ headers, body }] = r.requests;
+    assert.deepEqual(JSON.parse(body), event);
+    assert.equal(headers["x-shim-event"], "bookmark.created");
+    assert.equal(headers["x-shim-delivery"], "d1");
+    const t = headers["x-shim-signature"].match(/^t=(\d+),/)[1];
+    assert.equal(headers["x-shim-signature"], signBody("s3cret", body, t));
+  } finally {
+    r.close();
+  }
+});
+
+test("deliver reports non-2xx answers and sends Slack-style text", async () => {
+  const r = await receiver([500]);
+  try {
+    const sub = { label: "t", url: r.url, secret: "s", events: ["*"], format: "slack" };
+    assert.deepEqual(await deliver(sub, { id: "d1", event }), { ok: false, status: 500, error: "HTTP 500" });
+    assert.equal((await deliver(sub, { id: "d1", event })).ok, true);
+    assert.deepEqual(JSON.parse(r.requests[1].body), { text: eventText(event) });
+  } finally {
+    r.close();
+  }
+});
+
+test("startWebhooks delivers what the outbox in WEBHOOK_DIR kept, minus removed subscriptions", async () => {
+  startWebhooks();
+  await waitFor(() => hooks.a.requests.length === 1, "the left-over delivery");
+  await idle();
+  const [{ headers, body }] = hooks.a.requests;
+  assert.equal(JSON.parse(body).id, "left-over");
+  assert.equal(headers["x-shim-delivery"], leftOver.id);
+  assert.equal(hooks.b.requests.length, 0);
+  assert.deepEqual([webhooksStatus().delivered, webhooksStatus().failed], [1, 0]);
+});
+
+test("a failed delivery is retried after a backoff, and the retry state is saved", async () => {
+  reset();
+  hooks.a.statuses.push(500, 503);
+  const id = ping();
+
+  // Between attempts the delivery waits in the outbox, on disk too
+  await waitFor(() => stored().pending.some((d) => d.attempts === 1), "the first failure to be saved");
+  const [saved] = stored().pending;
+  assert.deepEqual([saved.subscription, saved.event.id, saved.lastStatus, saved.lastError], ["a", id, 500, "HTTP 500"]);
+  const wait = saved.nextAttemptAt - hooks.a.requests[0].at;
+  assert.ok(wait >= BASE_MS / 2 - 5 && wait <= BASE_MS + 250, `first backoff ${wait}ms`);
+
+  await waitFor(() => hooks.a.requests.length === 3, "two retries");
+  await idle();
+  assert.deepEqual(eventIds(hooks.a), [id, id, id]);
+  assert.deepEqual(eventIds(hooks.b), [id]);
+  // Each retry waits at least half of base * 2^attempt
+  const [first, second, third] = hooks.a.requests.map((r) => r.at);
+  assert.ok(second - first >= BASE_MS / 2 - 5, `first retry after ${second - first}ms`);
+  assert.ok(third - second >= BASE_MS - 5, `second retry after ${third - second}ms`);
+  const ids = new Set(hooks.a.requests.map((r) => r.headers["x-shim-delivery"]));
+  assert.equal(ids.size, 1);
+  assert.equal(webhooksStatus().retried, 2);
+});
+
+test("deliveries to one subscription go out in order; a backoff doesn't hold up the others", async () => {
+  reset();
+  hooks.a.statuses.push(500);
+  const first = ping();
+  const second = ping();
+  await waitFor(() => hooks.a.requests.length === 3, "both deliveries to a");
+  await idle();
+
+  assert.deepEqual(eventIds(hooks.a), [first, first, second]);
+  assert.deepEqual(eventIds(hooks.b), [first, second]);
+  assert.ok(hooks.b.requests[1].at < hooks.a.requests[1].at, "b waited for a's retry");
+});
+
+test("after WEBHOOK_MAX_ATTEMPTS a delivery moves to failed; /admin/webhooks/retry requeues it", async () => {
+  reset();
+  hooks.a.statuses.push(500, 500, 500);
+  const id = ping();
+  await waitFor(() => webhooksStatus().failed === 1, "the delivery to fail");
+  await idle();
+
+  assert.deepEqual(eventIds(hooks.a), [id, id, id]);
+  const [failed] = admin().failedDeliveries;
+  assert.deepEqual([failed.subscription, failed.eventId, failed.attempts], ["a", id, 3]);
+  assert.deepEqual([failed.lastStatus, failed.lastError], [500, "HTTP 500"]);
+  await waitFor(() => stored().failed.length === 1, "the failed delivery to be saved");
+  assert.equal(stored().failed[0].event.id, id);
+
+  const res = fakeRes();
+  webhooksRetryHandler({}, res);
+  assert.deepEqual(res.body, { requeued: 1 });
+  await waitFor(() => hooks.a.requests.length === 4, "the requeued delivery");
+  await idle();
+  assert.equal(eventIds(hooks.a)[3], id);
+  assert.equal(webhooksStatus().failed, 0);
+  await waitFor(() => stored().failed.length === 0, "the outbox to be saved");
+});
+
+test("a requeued delivery goes out ahead of newer events to its subscription", async () => {
+  reset();
+  hooks.a.statuses.push(500, 500, 500);
+  const old = ping();
+  await waitFor(() => webhooksStatus().failed === 1, "the delivery to fail");
+  await idle();
+
+  // Two newer events, held behind the first one's backoff
+  reset();
+  hooks.a.statuses.push(500);
+  const [second, third] = [ping(), ping()];
+  await waitFor(() => stored().pending.some((d) => d.event.id === second && d.attempts === 1), "a backoff");
+  webhooksRetryHandler({}, fakeRes());
+  await waitFor(() => hooks.a.requests.length === 4, "every delivery to a");
+  await idle();
+
+  assert.deepEqual(eventIds(hooks.a), [second, old, second, third]);
+  assert.deepEqual(eventIds(hooks.b), [second, third]);
+});
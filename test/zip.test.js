@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { crc32, createZipWriter } from "../zip.js";
+
+function build(files) {
+  const chunks = [];
+  const zip = createZipWriter((b) => chunks.push(b));
+  for (const [name, data] of files) zip.addFile(name, data, new Date(2025, 8, 9, 20, 0, 10));
+  zip.end();
+  return Buffer.concat(chunks);
+}
+
+/** Read entries back through the central directory */
+function entries(buf) {
+  const eocd = buf.length - 22;
+  assert.equal(buf.readUInt32LE(eocd), 0x06054b50);
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(buf.readUInt32LE(p), 0x02014b50);
+    const size = buf.readUInt32LE(p + 24);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const local = buf.readUInt32LE(p + 42);
+    const name = buf.toString("utf8", p + 46, p + 46 + nameLen);
+    assert.equal(buf.readUInt32LE(local), 0x04034b50);
+    const start = local + 30 + buf.readUInt16LE(local + 26);
+    const data = buf.subarray(start, start + size);
+    assert.equal(crc32(data), buf.readUInt32LE(p + 16));
+    out.push({ name, text: data.toString("utf8") });
+    p += 46 + nameLen;
+  }
+  return out;
+}
+
+test("crc32 matches the standard check value", () => {
+  assert.equal(crc32(Buffer.from("123456789")), 0xcbf43926);
+  assert.equal(crc32(Buffer.alloc(0)), 0);
+});
+
+test("files round-trip through the central directory, UTF-8 names included", () => {
+  const files = [
+    ["bookmarks/café-abc.md", "---\ntitle: \"Café\"\n---\n\n# Café ☕\n"],
+    ["bookmarks/empty.md", ""],
+  ];
+  assert.deepEqual(
+    entries(build(files)),
+    files.map(([name, text]) => ({ name, text }))
+  );
+});
+
+test("an empty archive is just the end record", () => {
+  assert.equal(build([]).length, 22);
+});
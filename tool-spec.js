@@ -0,0 +1,48 @@
+// tool-spec.js
+//
+// In SHIM_BACKEND=mcp mode there is no mcpo to publish an OpenAPI spec, so
+// one is built from the MCP server's tools/list (openapi.js). replay.js
+// builds the same kind of spec for recordings made without one. No imports:
+// replay.js runs as its own process and must not load the shim.
+
+/** OpenAPI component names must match ^[a-zA-Z0-9._-]+$ */
+function schemaName(toolName) {
+  return `${String(toolName).replace(/[^a-zA-Z0-9._-]/g, "_")}_form_model`;
+}
+
+/**
+ * Build an mcpo-style OpenAPI spec from MCP tools/list output, so the rest of
+ * the shim (router, spec transform) works the same in SHIM_BACKEND=mcp mode.
+ * One POST /<tool name> per tool; the input schema becomes the request body.
+ */
+export function specFromTools(tools, serverInfo = {}) {
+  const paths = {};
+  const schemas = {};
+  for (const tool of tools) {
+    const name = schemaName(tool.name);
+    schemas[name] = { type: "object", ...(tool.inputSchema || {}), title: name };
+    paths[`/${encodeURIComponent(tool.name)}`] = {
+      post: {
+        summary: tool.title || tool.name,
+        description: tool.description || "",
+        operationId: `tool_${String(tool.name).replace(/[^a-zA-Z0-9]/g, "_")}_post`,
+        requestBody: {
+          required: true,
+          content: { "application/json": { schema: { $ref: `#/components/schemas/${name}` } } },
+        },
+        responses: {
+          200: {
+            description: "Successful Response",
+            content: { "application/json": { schema: { title: `Response ${tool.name}` } } },
+          },
+        },
+      },
+    };
+  }
+  return {
+    openapi: "3.1.0",
+    info: { title: serverInfo.name || "karakeep", version: serverInfo.version || "?" },
+    paths,
+    components: { schemas },
+  };
+}
@@ -0,0 +1,61 @@
+// tools.js
+//
+// Read vs write classification of upstream tools. mcpo's spec doesn't say
+// which tools change data, so we go by the KaraKeep tool naming convention:
+// get-*/search-*/list-* only read, everything else (create-*, attach-*,
+// add-*, remove-*, ...) writes. Caching, retries and scopes build on this.
+// mcpo may publish a tool as "/tool_get_lists_post"; names are classified
+// without that wrapper.
+
+const READ_PREFIX = /^(get|search|list|find|fetch)[-_]/i;
+// Shim-native tools (batch.js) that only read but don't follow the convention (squashed names)
+const READ_TOOLS = new Set(["localsearch"]);
+
+/** Tool name from a route path: "/karakeep/get-bookmark" -> "get-bookmark" */
+export function toolName(path) {
+  const last = String(path).split("/").filter(Boolean).pop() || "";
+  return decodeURIComponent(last);
+}
+
+/** Tool name without mcpo's operation wrapper: "/tool_get_lists_post" -> "get_lists" */
+export function baseToolName(path) {
+  return toolName(path)
+    .replace(/^tool[_-]/i, "")
+    .replace(/[_-](post|get)$/i, "");
+}
+
+/** "tool_get_lists_post", "/get-lists", "get_lists" -> "getlists" */
+export function squashToolName(key) {
+  return baseToolName(key)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+/** Does a route path (or operationId) belong to the named tool? */
+export function isTool(path, name) {
+  return squashToolName(path) === squashToolName(name);
+}
+
+/** The path of tool `name` among a spec's `paths`, or null */
+export function findToolPath(paths, name) {
+  return Object.keys(paths || {}).find((p) => isTool(p, name)) || null;
+}
+
+/** "read" | "write" for a route path */
+export function toolAccess(path) {
+  return READ_PREFIX.test(baseToolName(path)) || READ_TOOLS.has(squashToolName(path)) ? "read" : "write";
+}
+
+export function isReadTool(path) {
+  return toolAccess(path) === "read";
+}
+
+/** Heuristic: is this the KaraKeep search-bookmarks endpoint? */
+export function isKaraKeepBookmarksPath(path) {
+  // Keep this loose to tolerate versioning or prefix changes.
+  // Examples seen in the wild:
+  //   /tool_search_bookmarks_post
+  //   /karakeep/tool_search_bookmarks_post
+  //   /server:2/tool_search_bookmarks_post (OpenAPI name mapped to path)
+  return /search[_-]?bookmarks/i.test(path);
+}
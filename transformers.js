@@ -0,0 +1,250 @@
+// transformers.js
+//
+// Why this file exists:
+// ---------------------
+// The router used to special-case KaraKeep search with a path regex and a
+// `Bookmark_ID` sniff; every other tool came back however the parser left
+// it (lists as raw KV rows, a single bookmark wrapped in a page, content as
+// `{ text }` or, when the Markdown had "Key: value" lines, as KV items).
+// Now each tool's output is shaped by a transformer:
+//
+//   { schema, transform(parsed, ctx) }
+//
+//  - `parsed` is the parser output (parseToolResponse / input2JSON);
+//  - `ctx` is { path, tool, body, query, text, includeRaw }, where `text` is
+//    the upstream body as plain text (JSON string encoding undone);
+//  - returning null/undefined means the output didn't have the expected
+//    shape; the router answers with a `parse_failure` error;
+//  - `schema` names the shim schema in /openapi.json the result follows
+//    (spec.js), or is an inline JSON Schema object.
+//
+// Transformers are looked up by the operation's operationId, its path, then
+// its tool name; each is compared exactly, then squashed ("tool_get_lists_post"
+// and "/get-lists" both match "get-lists"). Built-ins cover every KaraKeep
+// tool. SHIM_TRANSFORMERS_MODULE names a local ES module whose default export
+// maps keys to transformers (or bare transform functions); its entries are
+// tried before the built-ins. Tools with no transformer keep the generic
+// behaviour.
+
+import { resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+import { SHIM_TRANSFORMERS_MODULE } from "./config.js";
+import { info } from "./logger.js";
+import { input2JSON, normalizeKarakeepPayload, unwrapText } from "./parser.js";
+import { hasBookmarkId, toCanonicalBookmark } from "./bookmark.js";
+import { squashToolName, toolName } from "./tools.js";
+
+/* ------------------------------------------------------------------ */
+/* Built-in transformers                                               */
+/* ------------------------------------------------------------------ */
+
+function cleanString(v) {
+  if (v == null || typeof v === "object") return null;
+  const s = String(v).trim();
+  return s === "" || s === "null" ? null : s;
+}
+
+/** Bookmark page: interleaved rows coalesced, canonical items, unified cursor */
+function bookmarkPage(parsed, { includeRaw }) {
+  return normalizeKarakeepPayload(parsed, { includeRaw });
+}
+
+/** One canonical bookmark; prefers the one the request asked for */
+function singleBookmark(parsed, { body, includeRaw }) {
+  if (!parsed || typeof parsed !== "object") return null;
+  if (!Array.isArray(parsed.items) && !Array.isArray(parsed.bookmarks)) {
+    return hasBookmarkId(parsed) ? toCanonicalBookmark(parsed, { includeRaw }) : null;
+  }
+  const { items } = normalizeKarakeepPayload(parsed, { includeRaw });
+  return items.find((b) => body?.bookmarkId && b.id === body.bookmarkId) || items[0] || null;
+}
+
+// Canonical list field -> accepted source keys (squashed, like bookmark.js)
+const LIST_ALIASES = {
+  id: ["listid", "id"],
+  name: ["name", "listname"],
+  icon: ["icon"],
+  parentId: ["parentid", "parent", "parentlistid"],
+};
+
+function toCanonicalList(row) {
+  const list = { id: null, name: null, icon: null, parentId: null };
+  for (const [key, value] of Object.entries(row || {})) {
+    const sq = String(key).toLowerCase().replace(/[^a-z0-9]/g, "");
+    for (const [field, aliases] of Object.entries(LIST_ALIASES)) {
+      if (list[field] == null && aliases.includes(sq)) list[field] = cleanString(value);
+    }
+  }
+  return list;
+}
+
+function listRows(parsed) {
+  if (Array.isArray(parsed)) return parsed;
+  for (const key of ["lists", "items"]) {
+    if (Array.isArray(parsed?.[key])) return parsed[key];
+  }
+  return null;
+}
+
+/**
+ * Nest lists under their parents. A list whose parent is missing (or whose
+ * parent chain loops back to it) stays at the top level.
+ */
+export function nestLists(lists) {
+  const byId = new Map(lists.filter((l) => l.id).map((l) => [l.id, { ...l, children: [] }]));
+  const roots = [];
+  const loops = (id, parentId) => {
+    for (let p = parentId, hops = 0; p && hops <= byId.size; p = byId.get(p)?.parentId, hops++) {
+      if (p === id) return true;
+    }
+    return false;
+  };
+  for (const list of byId.values()) {
+    const parent = list.parentId && byId.get(list.parentId);
+    if (parent && !loops(list.id, list.parentId)) parent.children.push(list);
+    else roots.push(list);
+  }
+  return roots;
+}
+
+/** Every list of a nested tree, parents before their children */
+export function flattenLists(lists, out = []) {
+  for (const list of lists) {
+    out.push(list);
+    flattenLists(list.children || [], out);
+  }
+  return out;
+}
+
+/** `{ lists }`, nested by parent; an empty upstream answer is no lists */
+function listTree(parsed, { text }) {
+  const rows = listRows(parsed);
+  if (!rows) return String(text ?? "").trim() === "" ? { lists: [] } : null;
+  return { lists: nestLists(rows.map(toCanonicalList)) };
+}
+
+/** The list a create-list call made */
+function singleList(parsed) {
+  const rows = listRows(parsed) || (parsed && typeof parsed === "object" ? [parsed] : []);
+  const list = rows.map(toCanonicalList).find((l) => l.id);
+  return list ? { ...list, children: [] } : null;
+}
+
+/** Tool text, taken from a `{ result: "..." }` envelope when there is one */
+function plainText(parsed, text) {
+  return typeof parsed?.result === "string" ? unwrapText(parsed.result) : String(text ?? "");
+}
+
+/** Markdown content. Taken from the raw text: Markdown isn't KV data */
+function bookmarkContent(parsed, { body, text }) {
+  const markdown = typeof parsed?.markdown === "string" ? parsed.markdown : plainText(parsed, text);
+  return { bookmarkId: body?.bookmarkId ?? null, markdown };
+}
+
+/** Tag and list-membership tools answer with a sentence */
+function actionResult(parsed, { text }) {
+  return { ok: true, message: plainText(parsed, text).trim() };
+}
+
+const BUILTIN = {
+  "search-bookmarks": { schema: "ShimBookmarkPage", transform: bookmarkPage },
+  "get-bookmark": { schema: "ShimBookmark", transform: singleBookmark },
+  "create-bookmark": { schema: "ShimBookmark", transform: singleBookmark },
+  "get-bookmark-content": { schema: "ShimBookmarkContent", transform: bookmarkContent },
+  "get-lists": { schema: "ShimListTree", transform: listTree },
+  "create-list": { schema: "ShimList", transform: singleList },
+  "add-bookmark-to-list": { schema: "ShimAction", transform: actionResult },
+  "remove-bookmark-from-list": { schema: "ShimAction", transform: actionResult },
+  "attach-tag-to-bookmark": { schema: "ShimAction", transform: actionResult },
+  "detach-tag-from-bookmark": { schema: "ShimAction", transform: actionResult },
+};
+
+/* ------------------------------------------------------------------ */
+/* Registry                                                            */
+/* ------------------------------------------------------------------ */
+
+const registry = new Map(); // key -> { key, schema, transform, source }
+let operationIds = new Map(); // path -> operationId, from the mounted spec
+
+/** Validate and add one transformer; `source` is "builtin" or the module path */
+export function registerTransformer(key, entry, source = "builtin") {
+  const t = typeof entry === "function" ? { transform: entry } : entry;
+  if (!t || typeof t.transform !== "function") {
+    throw new Error(`${source}: transformer "${key}" needs a transform function`);
+  }
+  if (t.schema != null && typeof t.schema !== "string" && typeof t.schema !== "object") {
+    throw new Error(`${source}: transformer "${key}" has an invalid schema`);
+  }
+  registry.set(String(key), { key: String(key), schema: t.schema ?? null, transform: t.transform, source });
+}
+
+for (const [key, t] of Object.entries(BUILTIN)) registerTransformer(key, t);
+
+/** Remember each path's operationId so the router can look transformers up by path alone */
+export function compileTransformers(spec) {
+  const next = new Map();
+  for (const [path, pathObj] of Object.entries(spec?.paths || {})) {
+    for (const op of Object.values(pathObj || {})) {
+      if (op?.operationId && !next.has(path)) next.set(path, op.operationId);
+    }
+  }
+  operationIds = next;
+}
+
+/** The transformer for an operation, or null (generic handling) */
+export function transformerFor(path, operationId = operationIds.get(path)) {
+  const keys = [operationId, path, toolName(path)].filter(Boolean);
+  const user = [];
+  const builtin = [];
+  for (const t of registry.values()) (t.source === "builtin" ? builtin : user).push(t);
+  for (const group of [user, builtin]) {
+    for (const key of keys) {
+      const hit = group.find((t) => t.key === key);
+      if (hit) return hit;
+    }
+    for (const key of keys) {
+      const hit = group.find((t) => squashToolName(t.key) === squashToolName(key));
+      if (hit) return hit;
+    }
+  }
+  return null;
+}
+
+/**
+ * Generic handling for tools without a transformer (the router falls back to it):
+ * - If it "looks like" KaraKeep bookmarks, coalesce rows & unify pagination.
+ * - Otherwise, return the parsed object as-is.
+ * Always returns *something* JSON-safe.
+ */
+export function normalizeToolPayload(parsed, { includeRaw = false } = {}) {
+  if (parsed && typeof parsed === "object") {
+    const maybeItems = Array.isArray(parsed.items) ? parsed.items : [];
+    // Items containing Bookmark_ID rows
+    const looksLikeKarakeep = maybeItems.some((r) => r && typeof r === "object" && "Bookmark_ID" in r);
+
+    if (looksLikeKarakeep) {
+      return normalizeKarakeepPayload(parsed, { includeRaw });
+    }
+
+    // Not KaraKeep: pass through
+    return parsed;
+  }
+
+  // Fallback to legacy text/KV handler
+  return input2JSON(parsed);
+}
+
+/**
+ * Load SHIM_TRANSFORMERS_MODULE, if set. Throws (and so stops startup) on a
+ * module that can't be imported or has a malformed entry.
+ */
+export async function loadTransformersModule(file = SHIM_TRANSFORMERS_MODULE) {
+  if (!file) return;
+  const mod = await import(pathToFileURL(resolve(file)).href);
+  const entries = mod.default ?? mod.transformers;
+  if (!entries || typeof entries !== "object") {
+    throw new Error(`${file}: default export must map tool names to transformers`);
+  }
+  for (const [key, entry] of Object.entries(entries)) registerTransformer(key, entry, file);
+  info(`Loaded ${Object.keys(entries).length} transformer(s) from ${file}`);
+}
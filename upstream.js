@@ -0,0 +1,171 @@
+// upstream.js
+//
+// One call path to KaraKeep, whichever backend is configured:
+//  - mcpo:  HTTP to `${MCPO_URL}${path}` (GET forwards the query string)
+//  - mcp:   tools/call on the MCP client from mcp-client.js; the path is the
+//           tool name, as in the spec built by specFromTools(...)
+//
+// Both return { status, text } with the raw body text, so the router's parsing
+// pipeline doesn't care which backend produced it.
+//
+// Every attempt holds one of the global upstream slots (limits.js) and passes
+// the circuit breaker (breaker.js). Read tools are
+// retried with jittered exponential backoff when upstream is unavailable
+// (connection error, timeout, 502/503/504); writes are never retried, since
+// a create that timed out may still have happened.
+//
+// `token` (an API key's karakeepToken, see auth.js) is sent in
+// KARAKEEP_TOKEN_HEADER, and the current request id in X-Request-Id; the
+// stdio MCP transport has no headers to carry either.
+
+import fetch from "node-fetch";
+import {
+  MCPO_URL,
+  FETCH_TIMEOUT_MS,
+  SHIM_BACKEND,
+  RETRY_ATTEMPTS,
+  RETRY_BASE_MS,
+  RETRY_MAX_MS,
+  MCP_URL,
+  KARAKEEP_TOKEN_HEADER,
+} from "./config.js";
+import { getMcpClient, toolResultText } from "./mcp-client.js";
+import { breakerAcquire, breakerFailure, breakerSuccess, isUnavailableStatus } from "./breaker.js";
+import { isReadTool, toolName } from "./tools.js";
+import { withUpstreamSlot } from "./limits.js";
+import { recordUpstream } from "./metrics.js";
+import { recordCall } from "./record.js";
+import { warn, currentRequestId } from "./logger.js";
+
+/** Make an AbortController with timeout so upstream hangs can't stall the shim */
+export function withTimeout(ms) {
+  const ctrl = new AbortController();
+  const id = setTimeout(() => ctrl.abort(), ms);
+  return { signal: ctrl.signal, cancel: () => clearTimeout(id) };
+}
+
+/** Append query parameters for GET passthrough (we used to drop these — bug fix) */
+function buildUpstreamURL(base, path, queryObj) {
+  const url = new URL(`${base}${path}`);
+  if (queryObj && typeof queryObj === "object") {
+    for (const [k, v] of Object.entries(queryObj)) {
+      // Express query can be string | string[]
+      if (Array.isArray(v)) {
+        v.forEach((val) => url.searchParams.append(k, String(val)));
+      } else if (v != null) {
+        url.searchParams.set(k, String(v));
+      }
+    }
+  }
+  return url.toString();
+}
+
+async function callMcpo(path, { method, body, query, token }) {
+  const upstreamURL =
+    method === "get"
+      ? buildUpstreamURL(MCPO_URL, path, query)
+      : buildUpstreamURL(MCPO_URL, path, null);
+
+  const t = withTimeout(FETCH_TIMEOUT_MS);
+  const init = {
+    method: method.toUpperCase(),
+    headers: { "Content-Type": "application/json" },
+    signal: t.signal,
+  };
+  if (method === "post") {
+    init.body = JSON.stringify(body || {});
+  }
+  if (token) init.headers[KARAKEEP_TOKEN_HEADER] = token;
+  const requestId = currentRequestId();
+  if (requestId) init.headers["X-Request-Id"] = requestId;
+
+  try {
+    const r = await fetch(upstreamURL, init);
+    const text = await r.text(); // Always read text; the router parses robustly.
+    return { status: r.status, text };
+  } finally {
+    t.cancel();
+  }
+}
+
+let warnedStdioToken = false;
+
+async function callMcp(path, { body, token }) {
+  const client = await getMcpClient();
+  const name = decodeURIComponent(path.replace(/^\//, ""));
+  if (token && !MCP_URL && !warnedStdioToken) {
+    warnedStdioToken = true;
+    warn("Per-key KaraKeep tokens can't be forwarded over the stdio MCP transport; using the server's own");
+  }
+  const headers = {};
+  if (token) headers[KARAKEEP_TOKEN_HEADER] = token;
+  if (currentRequestId()) headers["X-Request-Id"] = currentRequestId();
+  const result = await client.callTool(name, body, headers);
+  // mcpo answers tool errors with a 500 and the error text; mirror that.
+  return { status: result?.isError ? 500 : 200, text: toolResultText(result) };
+}
+
+/** One backend call, counted in /metrics and written to SHIM_RECORD_FILE */
+async function callBackend(path, opts) {
+  const tool = toolName(path);
+  const startedAt = Date.now();
+  try {
+    const r = await (SHIM_BACKEND === "mcp" ? callMcp(path, opts) : callMcpo(path, opts));
+    recordUpstream(tool, { status: r.status, durationMs: Date.now() - startedAt, bytes: Buffer.byteLength(r.text) });
+    recordCall(path, opts, r);
+    return r;
+  } catch (e) {
+    recordUpstream(tool, { status: 0, durationMs: Date.now() - startedAt, timedOut: e?.name === "AbortError" });
+    throw e;
+  }
+}
+
+/** "Full jitter" backoff: random delay up to base * 2^attempt, capped */
+function backoffMs(attempt) {
+  return Math.random() * Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+}
+
+/**
+ * One attempt: wait for an upstream slot, then go through the circuit
+ * breaker; rethrows exceptions after recording them.
+ */
+function attempt(path, opts) {
+  return withUpstreamSlot(async () => {
+    breakerAcquire();
+    let r;
+    try {
+      r = await callBackend(path, opts);
+    } catch (e) {
+      breakerFailure(e?.message || String(e));
+      throw e;
+    }
+    if (isUnavailableStatus(r.status)) breakerFailure(`${path} returned ${r.status}`);
+    else breakerSuccess();
+    return r;
+  });
+}
+
+/**
+ * Call one upstream tool.
+ * @param {string} path   route path from the spec, e.g. "/search-bookmarks"
+ * @param {{ method: "get"|"post", body?: object, query?: object, token?: string }} opts
+ * @returns {Promise<{ status: number, text: string }>}
+ */
+export async function callUpstream(path, opts) {
+  const retries = isReadTool(path) ? Math.max(0, RETRY_ATTEMPTS) : 0;
+  for (let i = 0; ; i++) {
+    let failure;
+    try {
+      const r = await attempt(path, opts);
+      if (!isUnavailableStatus(r.status) || i >= retries) return r;
+      failure = `status ${r.status}`;
+    } catch (e) {
+      // An open circuit or a full queue means "don't bother"; retrying only adds load
+      if (e?.name === "CircuitOpenError" || e?.name === "UpstreamBusyError" || i >= retries) throw e;
+      failure = e?.message || String(e);
+    }
+    const delay = backoffMs(i);
+    warn(`${path} attempt ${i + 1} failed (${failure}); retrying in ${Math.round(delay)}ms`);
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+}
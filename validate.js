@@ -0,0 +1,259 @@
+// validate.js
+//
+// Why this file exists:
+// ---------------------
+// Bad payloads used to go straight upstream and come back as opaque 500s from
+// mcpo (the README's `nextCursor: null` bug is the classic one). We now check
+// each request body against the operation's requestBody schema from the spec
+// the shim publishes (buildShimSpec), with `$ref`s into components.schemas
+// resolved. Failures become a 422 `validation` error (errors.js) whose
+// `details` are field-level errors in FastAPI's shape:
+//   [{ loc: ["body", "limit"], msg: "...", type: "..." }]
+//
+// Before validating we apply a few safe coercions, guided by the schema:
+//  - optional properties that are `null` (and don't allow null) are dropped;
+//  - numeric strings become numbers for integer/number fields ("10" -> 10);
+//  - "true"/"false" become booleans for boolean fields;
+//  - ID-like strings (`bookmarkId`, `listId`, ...) are trimmed.
+//
+// Only the JSON Schema keywords that tool schemas actually use are supported;
+// unknown keywords are ignored (i.e. permissive).
+
+import { buildShimSpec, toJSONSchema } from "./spec.js";
+
+let validators = new Map(); // "post /path" -> (body) => { ok, value, errors }
+
+// schema object -> its `pattern`, compiled once by compileValidator
+const patterns = new WeakMap();
+
+/* ------------------------------------------------------------------ */
+/* Schema helpers                                                      */
+/* ------------------------------------------------------------------ */
+
+function typesOf(schema) {
+  if (!schema || schema.type === undefined) return null;
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+function allowsNull(schema) {
+  if (!schema) return true;
+  const types = typesOf(schema);
+  if (types) return types.includes("null");
+  const variants = schema.anyOf || schema.oneOf;
+  if (Array.isArray(variants)) return variants.some(allowsNull);
+  return schema.const === null || (Array.isArray(schema.enum) && schema.enum.includes(null));
+}
+
+/** Primitive types the schema accepts, looking through anyOf/oneOf */
+function acceptedTypes(schema) {
+  const direct = typesOf(schema);
+  if (direct) return direct;
+  const variants = schema?.anyOf || schema?.oneOf;
+  if (Array.isArray(variants)) return variants.flatMap((v) => acceptedTypes(v) || []);
+  return [];
+}
+
+function jsonType(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (Number.isInteger(v)) return "integer";
+  return typeof v; // "string" | "number" | "boolean" | "object"
+}
+
+function matchesType(v, type) {
+  const actual = jsonType(v);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+/* ------------------------------------------------------------------ */
+/* Coercion                                                            */
+/* ------------------------------------------------------------------ */
+
+const ID_KEY = /(^id$|Id$|_id$|ID$)/;
+
+function coerceValue(value, schema, key) {
+  if (value == null || !schema) return value;
+  const types = acceptedTypes(schema);
+
+  if (typeof value === "string") {
+    const trimmed = ID_KEY.test(key || "") ? value.trim() : value;
+    if (!types.includes("string")) {
+      if ((types.includes("integer") || types.includes("number")) && /^\s*-?\d+(\.\d+)?\s*$/.test(value)) {
+        const n = Number(value);
+        if (types.includes("number") || Number.isInteger(n)) return n;
+      }
+      if (types.includes("boolean") && /^(true|false)$/i.test(value.trim())) {
+        return value.trim().toLowerCase() === "true";
+      }
+    }
+    return trimmed;
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.map((v) => coerceValue(v, schema.items, key));
+  }
+
+  if (typeof value === "object" && !Array.isArray(value)) {
+    return coerceObject(value, schema);
+  }
+  return value;
+}
+
+function coerceObject(obj, schema) {
+  const props = schema?.properties || {};
+  const required = new Set(schema?.required || []);
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) {
+    const propSchema = props[k];
+    // `null` for an optional field means "not given" to every client we've seen
+    if (v === null && propSchema && !required.has(k) && !allowsNull(propSchema)) continue;
+    out[k] = coerceValue(v, propSchema, k);
+  }
+  return out;
+}
+
+/* ------------------------------------------------------------------ */
+/* Validation                                                          */
+/* ------------------------------------------------------------------ */
+
+function check(value, schema, loc, errors) {
+  if (!schema || typeof schema !== "object") return;
+
+  if (Array.isArray(schema.allOf)) {
+    for (const s of schema.allOf) check(value, s, loc, errors);
+  }
+  const variants = schema.anyOf || schema.oneOf;
+  if (Array.isArray(variants)) {
+    const ok = variants.some((s) => {
+      const sub = [];
+      check(value, s, loc, sub);
+      return sub.length === 0;
+    });
+    if (!ok) {
+      errors.push({ loc, msg: "Input does not match any allowed schema", type: "union_error" });
+      return;
+    }
+  }
+
+  const types = typesOf(schema);
+  if (types && !types.some((t) => matchesType(value, t))) {
+    errors.push({
+      loc,
+      msg: value === null ? "Field may not be null" : `Input should be of type ${types.join(" | ")}`,
+      type: value === null ? "null_error" : "type_error",
+    });
+    return;
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some((e) => e === value)) {
+    errors.push({ loc, msg: `Input should be one of: ${schema.enum.map((e) => JSON.stringify(e)).join(", ")}`, type: "enum" });
+  }
+  if ("const" in schema && schema.const !== value) {
+    errors.push({ loc, msg: `Input should be ${JSON.stringify(schema.const)}`, type: "const" });
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push({ loc, msg: `String should have at least ${schema.minLength} characters`, type: "string_too_short" });
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      errors.push({ loc, msg: `String should have at most ${schema.maxLength} characters`, type: "string_too_long" });
+    }
+    if (patterns.has(schema) && !patterns.get(schema).test(value)) {
+      errors.push({ loc, msg: `String should match pattern ${schema.pattern}`, type: "string_pattern_mismatch" });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) {
+      errors.push({ loc, msg: `Input should be >= ${schema.minimum}`, type: "greater_than_equal" });
+    }
+    if (schema.maximum != null && value > schema.maximum) {
+      errors.push({ loc, msg: `Input should be <= ${schema.maximum}`, type: "less_than_equal" });
+    }
+    if (typeof schema.exclusiveMinimum === "number" && value <= schema.exclusiveMinimum) {
+      errors.push({ loc, msg: `Input should be > ${schema.exclusiveMinimum}`, type: "greater_than" });
+    }
+    if (typeof schema.exclusiveMaximum === "number" && value >= schema.exclusiveMaximum) {
+      errors.push({ loc, msg: `Input should be < ${schema.exclusiveMaximum}`, type: "less_than" });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push({ loc, msg: `List should have at least ${schema.minItems} items`, type: "too_short" });
+    }
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      errors.push({ loc, msg: `List should have at most ${schema.maxItems} items`, type: "too_long" });
+    }
+    if (schema.items && typeof schema.items === "object") {
+      value.forEach((v, i) => check(v, schema.items, [...loc, i], errors));
+    }
+  }
+
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ loc: [...loc, key], msg: "Field required", type: "missing" });
+    }
+    for (const [k, v] of Object.entries(value)) {
+      if (props[k]) check(v, props[k], [...loc, k], errors);
+      else if (schema.additionalProperties === false) {
+        errors.push({ loc: [...loc, k], msg: "Extra inputs are not permitted", type: "extra_forbidden" });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        check(v, schema.additionalProperties, [...loc, k], errors);
+      }
+    }
+  }
+}
+
+/** Compile every `pattern` in `schema` (and its subschemas) into `patterns` */
+function compilePatterns(schema) {
+  if (Array.isArray(schema)) return schema.forEach(compilePatterns);
+  if (!schema || typeof schema !== "object" || patterns.has(schema)) return;
+  if (typeof schema.pattern === "string") patterns.set(schema, new RegExp(schema.pattern, "u"));
+  for (const v of Object.values(schema)) compilePatterns(v);
+}
+
+/**
+ * Compile a validator for one (already dereferenced) JSON Schema.
+ * Returns (body) => { ok, value, errors } where `value` is the coerced body.
+ * Throws on a `pattern` that isn't a valid regular expression.
+ */
+export function compileValidator(schema) {
+  compilePatterns(schema);
+  return (body) => {
+    const value = coerceValue(body ?? {}, schema, "");
+    const errors = [];
+    check(value, schema, ["body"], errors);
+    return { ok: errors.length === 0, value, errors };
+  };
+}
+
+/**
+ * (Re)compile validators for every operation with a JSON request body.
+ * Called whenever a router is built, so hot reloads pick up new schemas.
+ */
+export function compileSpecValidators(upstreamSpec) {
+  const spec = buildShimSpec(upstreamSpec);
+  const next = new Map();
+  for (const [path, pathObj] of Object.entries(spec?.paths || {})) {
+    for (const [method, op] of Object.entries(pathObj || {})) {
+      const schema = op?.requestBody?.content?.["application/json"]?.schema;
+      if (!schema) continue;
+      next.set(`${method.toLowerCase()} ${path}`, compileValidator(toJSONSchema(schema, spec)));
+    }
+  }
+  validators = next;
+}
+
+/**
+ * Validate + coerce a request body for a route. Routes without a compiled
+ * schema pass through untouched.
+ */
+export function validateRequest(path, method, body) {
+  const validator = validators.get(`${method} ${path}`);
+  if (!validator) return { ok: true, value: body, errors: [] };
+  return validator(body);
+}
@@ -0,0 +1,484 @@
+// webhooks.js
+//
+// Why this file exists:
+// ---------------------
+// When an agent created a bookmark or tagged one through the shim, nothing
+// else in the stack found out. With SHIM_WEBHOOKS (or SHIM_WEBHOOKS_FILE)
+// set, successful write tools become events POSTed to each subscribed URL:
+//  - events are typed (EVENT_TYPES) and carry the normalized bookmark: the
+//    create-bookmark result, or a fresh get-bookmark after a tag or list
+//    change. router.js announces every write (onToolWrite), whether it came
+//    from a REST route, /batch, /import or MCP;
+//  - bodies are signed: `X-Shim-Signature: t=<unix time>,v1=<hex>`, the
+//    HMAC-SHA256 of "<t>.<body>" under the subscription's secret;
+//  - each event is one delivery per matching subscription, kept in an outbox
+//    (WEBHOOK_DIR/outbox.json, rewritten atomically) until the receiver
+//    answers 2xx. Failures are retried with exponential backoff; after
+//    WEBHOOK_MAX_ATTEMPTS the delivery moves to `failed`, where
+//    /admin/webhooks shows it and POST /admin/webhooks/retry requeues it;
+//  - a subscription with `"format": "slack"` gets `{ "text": "..." }`
+//    instead, which Slack-style incoming webhooks render as a message.
+// Deliveries to one subscription go out one at a time, oldest first.
+
+import { createHmac, randomUUID } from "node:crypto";
+import { mkdirSync, readFileSync } from "node:fs";
+import { rename, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import fetch from "node-fetch";
+import {
+  SHIM_WEBHOOKS,
+  SHIM_WEBHOOKS_FILE,
+  WEBHOOK_DIR,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_BASE_MS,
+  WEBHOOK_RETRY_MAX_MS,
+  WEBHOOK_TIMEOUT_MS,
+} from "./config.js";
+import { getCachedOpenAPI } from "./openapi.js";
+import { onToolWrite, runTool } from "./router.js";
+import { withTimeout } from "./upstream.js";
+import { findToolPath, squashToolName } from "./tools.js";
+import { sendError } from "./errors.js";
+import { info, warn } from "./logger.js";
+
+const STORE_VERSION = 1;
+
+// Failed deliveries kept for /admin/webhooks, newest last
+const FAILED_KEEP = 100;
+
+/* ------------------------------------------------------------------ */
+/* Events                                                              */
+/* ------------------------------------------------------------------ */
+
+// Write tool -> event type, the id of the bookmark it touched, and extra data
+const TOOL_EVENTS = {
+  "create-bookmark": { type: "bookmark.created", bookmarkId: (body, payload) => payload?.id },
+  "attach-tag-to-bookmark": {
+    type: "bookmark.tags_attached",
+    bookmarkId: (body) => body.bookmarkId,
+    data: (body) => ({ tags: body.tagsToAttach ?? [] }),
+  },
+  "detach-tag-from-bookmark": {
+    type: "bookmark.tags_detached",
+    bookmarkId: (body) => body.bookmarkId,
+    data: (body) => ({ tags: body.tagsToDetach ?? [] }),
+  },
+  "add-bookmark-to-list": {
+    type: "bookmark.added_to_list",
+    bookmarkId: (body) => body.bookmarkId,
+    data: (body) => ({ listId: body.listId ?? null }),
+  },
+  "remove-bookmark-from-list": {
+    type: "bookmark.removed_from_list",
+    bookmarkId: (body) => body.bookmarkId,
+    data: (body) => ({ listId: body.listId ?? null }),
+  },
+  "create-list": { type: "list.created", data: (body, payload) => ({ list: payload }) },
+};
+
+export const EVENT_TYPES = [...Object.values(TOOL_EVENTS).map((e) => e.type), "webhook.ping"];
+
+const TOOL_EVENT_BY_NAME = new Map(
+  Object.entries(TOOL_EVENTS).map(([tool, e]) => [squashToolName(tool), { tool, ...e }])
+);
+
+/** Does a subscription's `events` list ("bookmark.created", "bookmark.*", "*") take `type`? */
+export function matchesEvent(patterns, type) {
+  return patterns.some((p) => p === "*" || p === type || (p.endsWith(".*") && type.startsWith(p.slice(0, -1))));
+}
+
+/** One line for chat notifiers */
+export function eventText(event) {
+  const { bookmark, list, tags, listId } = event.data || {};
+  const link = bookmark?.url ? `<${bookmark.url}>` : "";
+  const what = bookmark?.title ? `"${bookmark.title}"${link ? ` ${link}` : ""}` : link || bookmark?.id || "";
+  switch (event.type) {
+    case "bookmark.created":
+      return `Bookmark saved: ${what}`;
+    case "bookmark.tags_attached":
+      return `Tagged ${what || event.data.bookmarkId} with ${tags.join(", ")}`;
+    case "bookmark.tags_detached":
+      return `Removed tags ${tags.join(", ")} from ${what || event.data.bookmarkId}`;
+    case "bookmark.added_to_list":
+      return `Added ${what || event.data.bookmarkId} to list ${listId}`;
+    case "bookmark.removed_from_list":
+      return `Removed ${what || event.data.bookmarkId} from list ${listId}`;
+    case "list.created":
+      return `List created: ${list?.icon ? `${list.icon} ` : ""}${list?.name ?? list?.id}`;
+    default:
+      return `KaraKeep shim event: ${event.type}`;
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/* Subscriptions                                                       */
+/* ------------------------------------------------------------------ */
+
+/** Validate the configured subscriptions; throws on anything ambiguous */
+export function parseSubscriptions(text, source) {
+  const list = JSON.parse(text);
+  if (!Array.isArray(list)) throw new Error(`${source}: expected a JSON array of subscriptions`);
+  const labels = new Set();
+  return list.map((s, i) => {
+    const label = typeof s?.label === "string" && s.label ? s.label : `webhook#${i}`;
+    if (labels.has(label)) throw new Error(`${source}[${i}]: duplicate label "${label}"`);
+    labels.add(label);
+    let url;
+    try {
+      url = new URL(s?.url);
+    } catch {
+      throw new Error(`${source}[${i}] (${label}): "url" is not a URL`);
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      throw new Error(`${source}[${i}] (${label}): "url" must be http(s)`);
+    }
+    if (typeof s.secret !== "string" || s.secret.length === 0) {
+      throw new Error(`${source}[${i}] (${label}): missing "secret"`);
+    }
+    const events = Array.isArray(s.events) && s.events.length ? s.events.map(String) : ["*"];
+    const unknown = events.filter((p) => !EVENT_TYPES.some((type) => matchesEvent([p], type)));
+    if (unknown.length) throw new Error(`${source}[${i}] (${label}): unknown events ${unknown.join(", ")}`);
+    const format = s.format ?? "event";
+    if (format !== "event" && format !== "slack") {
+      throw new Error(`${source}[${i}] (${label}): format is "event" or "slack"`);
+    }
+    return { label, url: url.toString(), secret: s.secret, events, format };
+  });
+}
+
+function loadSubscriptions() {
+  const subs = [];
+  if (SHIM_WEBHOOKS) subs.push(...parseSubscriptions(SHIM_WEBHOOKS, "SHIM_WEBHOOKS"));
+  if (SHIM_WEBHOOKS_FILE) {
+    subs.push(...parseSubscriptions(readFileSync(SHIM_WEBHOOKS_FILE, "utf8"), SHIM_WEBHOOKS_FILE));
+  }
+  const byLabel = new Map();
+  for (const s of subs) {
+    if (byLabel.has(s.label)) throw new Error(`Webhooks: label "${s.label}" is configured twice`);
+    byLabel.set(s.label, s);
+  }
+  return byLabel;
+}
+
+const subscriptions = loadSubscriptions();
+
+export function webhooksEnabled() {
+  return subscriptions.size > 0;
+}
+
+/* ------------------------------------------------------------------ */
+/* Delivery                                                            */
+/* ------------------------------------------------------------------ */
+
+/** `X-Shim-Signature` value for `body` sent at unix time `timestamp` */
+export function signBody(secret, body, timestamp) {
+  const mac = createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${mac}`;
+}
+
+/** Exponential backoff with jitter: between half and all of base * 2^attempt, capped */
+export function backoffMs(attempt, { base = WEBHOOK_RETRY_BASE_MS, max = WEBHOOK_RETRY_MAX_MS } = {}) {
+  const cap = Math.min(max, base * 2 ** attempt);
+  return cap / 2 + (Math.random() * cap) / 2;
+}
+
+/**
+ * POST one delivery to its subscription; never throws.
+ * @returns {Promise<{ ok: boolean, status: number|null, error?: string }>}
+ */
+export async function deliver(subscription, delivery, { timeoutMs = WEBHOOK_TIMEOUT_MS } = {}) {
+  const { event } = delivery;
+  const body = JSON.stringify(subscription.format === "slack" ? { text: eventText(event) } : event);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const t = withTimeout(timeoutMs);
+  try {
+    const r = await fetch(subscription.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "karakeep-shim-webhooks",
+        "X-Shim-Event": event.type,
+        "X-Shim-Delivery": delivery.id,
+        "X-Shim-Signature": signBody(subscription.secret, body, timestamp),
+      },
+      body,
+      redirect: "manual",
+      signal: t.signal,
+    });
+    await r.text().catch(() => "");
+    return r.ok ? { ok: true, status: r.status } : { ok: false, status: r.status, error: `HTTP ${r.status}` };
+  } catch (e) {
+    const error = e?.name === "AbortError" ? `No answer within ${timeoutMs}ms` : e?.message || String(e);
+    return { ok: false, status: null, error };
+  } finally {
+    t.cancel();
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/* Outbox                                                              */
+/* ------------------------------------------------------------------ */
+
+// Delivery: { id, subscription, event, attempts, nextAttemptAt, lastError, lastStatus }
+const outbox = { pending: [], failed: [] };
+const stats = { delivered: 0, retried: 0, lastDeliveredAt: null };
+const busy = new Set(); // labels with a delivery in flight
+let timer = null;
+let saving = null;
+let dirty = false;
+
+function storeFile() {
+  return join(WEBHOOK_DIR, "outbox.json");
+}
+
+/** Load the outbox a previous run left; deliveries for removed subscriptions are dropped */
+function loadOutbox() {
+  mkdirSync(WEBHOOK_DIR, { recursive: true });
+  let data;
+  try {
+    data = JSON.parse(readFileSync(storeFile(), "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") warn(`Webhooks: ignoring unreadable ${storeFile()}: ${e.message}`);
+    return;
+  }
+  if (data?.version !== STORE_VERSION || !Array.isArray(data.pending)) {
+    warn(`Webhooks: ignoring ${storeFile()} (unknown format)`);
+    return;
+  }
+  const known = (d) => subscriptions.has(d?.subscription);
+  const dropped = data.pending.filter((d) => !known(d)).length;
+  if (dropped) warn(`Webhooks: dropping ${dropped} queued deliveries for subscriptions no longer configured`);
+  outbox.pending = data.pending.filter(known);
+  outbox.failed = (data.failed || []).filter(known).slice(-FAILED_KEEP);
+  info(`Webhooks: ${outbox.pending.length} queued deliveries loaded from ${storeFile()}`);
+}
+
+/** Write the outbox (temp file, then rename); one write at a time, coalescing changes made meanwhile */
+function saveOutbox() {
+  if (!WEBHOOK_DIR) return;
+  dirty = true;
+  if (saving) return;
+  saving = (async () => {
+    while (dirty) {
+      dirty = false;
+      const tmp = `${storeFile()}.${process.pid}.tmp`;
+      await writeFile(tmp, JSON.stringify({ version: STORE_VERSION, ...outbox }));
+      await rename(tmp, storeFile());
+    }
+  })()
+    .catch((e) => warn(`Webhooks: could not save the outbox: ${e?.message || e}`))
+    .finally(() => {
+      saving = null;
+    });
+}
+
+/**
+ * The oldest queued delivery of each subscription without one in flight.
+ * Only these go out: a later delivery waits while an earlier one backs off.
+ */
+function idleHeads() {
+  const heads = new Map();
+  for (const d of outbox.pending) {
+    if (!heads.has(d.subscription)) heads.set(d.subscription, d);
+  }
+  return [...heads.values()].filter((d) => !busy.has(d.subscription));
+}
+
+/** Wake up when the next delivery is due */
+function schedule() {
+  clearTimeout(timer);
+  const heads = idleHeads();
+  if (heads.length === 0) return;
+  const next = Math.min(...heads.map((d) => d.nextAttemptAt));
+  timer = setTimeout(drain, Math.max(0, next - Date.now()));
+  timer.unref();
+}
+
+/** Send every due delivery that may go out now */
+function drain() {
+  const now = Date.now();
+  for (const d of idleHeads()) {
+    if (d.nextAttemptAt > now) continue;
+    busy.add(d.subscription);
+    attempt(d).finally(() => {
+      busy.delete(d.subscription);
+      schedule();
+    });
+  }
+  schedule();
+}
+
+async function attempt(d) {
+  const r = await deliver(subscriptions.get(d.subscription), d);
+  d.attempts++;
+  d.lastStatus = r.status;
+  if (r.ok) {
+    outbox.pending.splice(outbox.pending.indexOf(d), 1);
+    stats.delivered++;
+    stats.lastDeliveredAt = new Date().toISOString();
+  } else if (d.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+    outbox.pending.splice(outbox.pending.indexOf(d), 1);
+    d.lastError = r.error;
+    outbox.failed = [...outbox.failed, d].slice(-FAILED_KEEP);
+    warn(`Webhooks: giving up on ${d.event.type} to "${d.subscription}" after ${d.attempts} attempts: ${r.error}`);
+  } else {
+    d.lastError = r.error;
+    d.nextAttemptAt = Date.now() + backoffMs(d.attempts - 1);
+    stats.retried++;
+    warn(`Webhooks: ${d.event.type} to "${d.subscription}" failed (${r.error}); attempt ${d.attempts + 1} later`);
+  }
+  saveOutbox();
+}
+
+/** Queue `event` for every subscription that takes it */
+function enqueue(event) {
+  let queued = 0;
+  for (const sub of subscriptions.values()) {
+    if (!matchesEvent(sub.events, event.type)) continue;
+    outbox.pending.push({
+      id: randomUUID(),
+      subscription: sub.label,
+      event,
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      lastError: null,
+      lastStatus: null,
+    });
+    queued++;
+  }
+  if (queued === 0) return;
+  saveOutbox();
+  drain();
+}
+
+/* ------------------------------------------------------------------ */
+/* From writes to events                                               */
+/* ------------------------------------------------------------------ */
+
+/** The bookmark as it is now, without `raw`; null when get-bookmark fails */
+async function currentBookmark(bookmarkId, { client, requestId }) {
+  const path = findToolPath(getCachedOpenAPI()?.paths, "get-bookmark");
+  if (!path || !bookmarkId) return null;
+  try {
+    const { status, payload } = await runTool(path, { body: { bookmarkId }, client, requestId, noCache: true });
+    return status < 400 ? withoutRaw(payload) : null;
+  } catch {
+    return null;
+  }
+}
+
+function withoutRaw(bookmark) {
+  if (!bookmark || typeof bookmark !== "object") return bookmark ?? null;
+  const { raw, ...rest } = bookmark;
+  return rest;
+}
+
+/** Turn one successful write (router.js onToolWrite) into an event */
+async function recordWrite({ path, body = {}, payload, client, requestId }) {
+  const spec = TOOL_EVENT_BY_NAME.get(squashToolName(path));
+  if (!spec) return;
+
+  const data = { ...(spec.data?.(body, payload) || {}) };
+  if (spec.bookmarkId) {
+    const bookmarkId = spec.bookmarkId(body, payload) ?? null;
+    data.bookmarkId = bookmarkId;
+    data.bookmark =
+      spec.type === "bookmark.created"
+        ? withoutRaw(payload)
+        : await currentBookmark(bookmarkId, { client, requestId });
+  }
+  if (data.list) data.list = withoutRaw(data.list);
+  enqueue({
+    id: randomUUID(),
+    type: spec.type,
+    createdAt: new Date().toISOString(),
+    data,
+    source: { tool: spec.tool, client: client?.label ?? null, requestId },
+  });
+}
+
+/** Load the outbox, listen for writes and resume deliveries; a no-op without subscriptions */
+export function startWebhooks() {
+  if (!webhooksEnabled()) return;
+  if (WEBHOOK_DIR) loadOutbox();
+  else warn("Webhooks: WEBHOOK_DIR is not set; queued deliveries are lost on restart");
+  onToolWrite((write) => {
+    recordWrite(write).catch((e) => warn(`Webhooks: could not record ${write.path}: ${e?.message || e}`));
+  });
+  info(`Webhooks: ${subscriptions.size} subscription(s)`, { labels: [...subscriptions.keys()] });
+  drain();
+}
+
+/* ------------------------------------------------------------------ */
+/* Status and admin routes                                             */
+/* ------------------------------------------------------------------ */
+
+function summary(d) {
+  return {
+    id: d.id,
+    subscription: d.subscription,
+    type: d.event.type,
+    eventId: d.event.id,
+    createdAt: d.event.createdAt,
+    attempts: d.attempts,
+    nextAttemptAt: new Date(d.nextAttemptAt).toISOString(),
+    lastStatus: d.lastStatus,
+    lastError: d.lastError,
+  };
+}
+
+/** Webhook numbers for /health */
+export function webhooksStatus() {
+  return { subscriptions: subscriptions.size, pending: outbox.pending.length, failed: outbox.failed.length, ...stats };
+}
+
+// GET /admin/webhooks
+export function webhooksHandler(req, res) {
+  if (!webhooksEnabled()) return sendError(res, "not_found", "No webhooks configured (set SHIM_WEBHOOKS)");
+  res.set("Cache-Control", "no-store");
+  res.json({
+    ...webhooksStatus(),
+    // Secrets stay out, and so do URL paths: incoming-webhook URLs often embed a token
+    subscriptions: [...subscriptions.values()].map(({ label, url, events, format }) => ({
+      label,
+      url: new URL(url).origin,
+      events,
+      format,
+    })),
+    queue: outbox.pending.map(summary),
+    failedDeliveries: outbox.failed.map(summary),
+  });
+}
+
+// POST /admin/webhooks/retry: failed deliveries back into the queue
+export function webhooksRetryHandler(req, res) {
+  if (!webhooksEnabled()) return sendError(res, "not_found", "No webhooks configured (set SHIM_WEBHOOKS)");
+  const requeued = outbox.failed.splice(0);
+  for (const d of requeued) {
+    // Ahead of newer events to the same subscription: it still gets its events oldest first
+    const newer = outbox.pending.findIndex(
+      (p) => p.subscription === d.subscription && p.event.createdAt > d.event.createdAt
+    );
+    const at = newer === -1 ? outbox.pending.length : newer;
+    outbox.pending.splice(at, 0, { ...d, attempts: 0, nextAttemptAt: Date.now() });
+  }
+  if (requeued.length) {
+    saveOutbox();
+    drain();
+  }
+  res.json({ requeued: requeued.length });
+}
+
+// POST /admin/webhooks/ping: a webhook.ping event to every subscription that takes it
+export function webhooksPingHandler(req, res) {
+  if (!webhooksEnabled()) return sendError(res, "not_found", "No webhooks configured (set SHIM_WEBHOOKS)");
+  const event = {
+    id: randomUUID(),
+    type: "webhook.ping",
+    createdAt: new Date().toISOString(),
+    data: {},
+    source: { tool: null, client: req.auth?.label ?? null, requestId: req.id },
+  };
+  enqueue(event);
+  res.status(202).json({ eventId: event.id });
+}
@@ -0,0 +1,125 @@
+// zip.js
+//
+// Why this file exists:
+// ---------------------
+// /export (export.js) streams the library as a zip of Markdown files, and the
+// shim has no zip dependency. This is the smallest writer that any unzip
+// tool reads: entries are "stored" (uncompressed), which is fine for a backup
+// of text files and keeps it to a CRC-32 and three header layouts:
+//  - each file is written as soon as it's added: local header (CRC-32 and
+//    sizes are known up front, so no data descriptors), then the bytes;
+//  - the central directory is kept in memory and written by end();
+//  - names are flagged UTF-8; no ZIP64, so at most 65535 entries and 4 GiB.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/** CRC-32 (IEEE) of a Buffer */
+export function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/** MS-DOS time and date words for a Date (local fields, 2-second resolution, 1980 floor) */
+function dosDateTime(date) {
+  const d = Number.isFinite(date?.getTime?.()) && date.getFullYear() >= 1980 ? date : new Date(1980, 0, 1);
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+    date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+const UTF8_NAMES = 0x0800;
+const MAX_ENTRIES = 0xffff;
+const MAX_OFFSET = 0xffffffff;
+
+function zipError(message) {
+  const e = new Error(message);
+  e.name = "ZipError";
+  return e;
+}
+
+/**
+ * Zip writer over `write(buffer)`:
+ *
+ *   const zip = createZipWriter((b) => res.write(b));
+ *   zip.addFile("notes/a.md", "# A", new Date());
+ *   zip.end();
+ */
+export function createZipWriter(write) {
+  const central = [];
+  let offset = 0;
+
+  const emit = (buf) => {
+    write(buf);
+    offset += buf.length;
+  };
+
+  return {
+    /** Add one file; `data` is a string (written as UTF-8) or a Buffer */
+    addFile(name, data, modified = new Date()) {
+      if (central.length >= MAX_ENTRIES) throw zipError(`More than ${MAX_ENTRIES} files need ZIP64`);
+      const nameBuf = Buffer.from(name, "utf8");
+      const body = Buffer.isBuffer(data) ? data : Buffer.from(String(data), "utf8");
+      if (offset + 30 + nameBuf.length + body.length > MAX_OFFSET) throw zipError("Archive larger than 4 GiB needs ZIP64");
+      const crc = crc32(body);
+      const { time, date } = dosDateTime(modified);
+
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0);
+      local.writeUInt16LE(20, 4); // version needed
+      local.writeUInt16LE(UTF8_NAMES, 6);
+      local.writeUInt16LE(0, 8); // stored
+      local.writeUInt16LE(time, 10);
+      local.writeUInt16LE(date, 12);
+      local.writeUInt32LE(crc, 14);
+      local.writeUInt32LE(body.length, 18);
+      local.writeUInt32LE(body.length, 22);
+      local.writeUInt16LE(nameBuf.length, 26);
+      local.writeUInt16LE(0, 28); // extra field length
+
+      central.push({ nameBuf, crc, size: body.length, time, date, offset });
+      emit(local);
+      emit(nameBuf);
+      emit(body);
+    },
+
+    /** Write the central directory; the writer is done after this */
+    end() {
+      const start = offset;
+      for (const f of central) {
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4); // version made by
+        header.writeUInt16LE(20, 6); // version needed
+        header.writeUInt16LE(UTF8_NAMES, 8);
+        header.writeUInt16LE(0, 10); // stored
+        header.writeUInt16LE(f.time, 12);
+        header.writeUInt16LE(f.date, 14);
+        header.writeUInt32LE(f.crc, 16);
+        header.writeUInt32LE(f.size, 20);
+        header.writeUInt32LE(f.size, 24);
+        header.writeUInt16LE(f.nameBuf.length, 28);
+        // extra, comment, disk number, internal and external attributes: all 0
+        header.writeUInt32LE(f.offset, 42);
+        emit(header);
+        emit(f.nameBuf);
+      }
+      const eocd = Buffer.alloc(22);
+      eocd.writeUInt32LE(0x06054b50, 0);
+      eocd.writeUInt16LE(central.length, 8);
+      eocd.writeUInt16LE(central.length, 10);
+      eocd.writeUInt32LE(offset - start, 12);
+      eocd.writeUInt32LE(start, 16);
+      emit(eocd);
+    },
+  };
+}